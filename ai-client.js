@@ -0,0 +1,188 @@
+/**
+ * AI-Client.js - Asks the AI for Moves without Blocking the Page
+ * Sends the position to ai-worker.js and resolves with the reply. Where workers
+ * are not available (e.g. some browsers when index.html is opened as a file),
+ * the same search runs on the page instead.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the strategies for the synchronous fallback, which the browser gets from strategy.js
+if (typeof AIStrategy === 'undefined' && typeof require === 'function') {
+    globalThis.AIStrategy = require('./strategy.js');
+}
+
+class AIClient {
+    /**
+     * @param {Object} options - Client settings
+     * @param {string} options.workerUrl - Worker script ('ai-worker.js' by default)
+     * @param {boolean} options.useWorker - Set to false to always search on the page
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'ai-worker.js';
+        this.useWorker = options.useWorker !== false && typeof Worker !== 'undefined';
+        this.worker = null;
+        this.pending = null; // {request, resolve, reject, timer}
+        this.nextId = 1;
+    }
+
+    /**
+     * Whether a request is waiting for its reply
+     */
+    get isBusy() {
+        return this.pending !== null;
+    }
+
+    /**
+     * Ask for the AI's move. Cancels any request still running.
+     * @param {GameEngine} engine - Game to move in; the player to move is the AI
+     * @param {Object} options - {strategy (see strategy.js), and its options: timeLimit (ms), blunderRate, playouts}
+     * @returns {Promise} - Resolves with {move, analysis} (see AIStrategy.getMove),
+     *     or with null if the request is cancelled
+     */
+    getMove(engine, options = {}) {
+        return this.send(Object.assign({ type: 'move' }, options, {
+            position: AIClient.describePosition(engine)
+        }));
+    }
+
+    /**
+     * Ask for an evaluation of every move for the player to move (see TicTacToeAI.analyzeMoves).
+     * Cancels any request still running.
+     * @param {GameEngine} engine - Game to analyse
+     * @param {Object} options - {timeLimit (ms)}
+     * @returns {Promise} - Resolves with {results, nodes}, or with null if the request is cancelled
+     */
+    analyze(engine, options = {}) {
+        return this.send(Object.assign({ type: 'analyze' }, options, {
+            position: AIClient.describePosition(engine)
+        }));
+    }
+
+    /**
+     * Copy the parts of a game the search needs into a message-safe object
+     * @param {GameEngine} engine - Game to describe
+     * @returns {Object} - position for AIStrategy.runRequest
+     */
+    static describePosition(engine) {
+        return {
+            size: engine.rules.size,
+            winLength: engine.rules.winLength,
+            maxMoves: Number.isFinite(engine.maxMoves) ? engine.maxMoves : null,
+            pieceLimit: Number.isFinite(engine.rules.pieceLimit) ? engine.rules.pieceLimit : null,
+            misere: engine.rules.misere,
+            ultimate: engine.rules.ultimate,
+            board: engine.board.slice(),
+            moveHistory: engine.moveHistory.map(move => ({ index: move.index, player: move.player })),
+            player: engine.currentPlayer
+        };
+    }
+
+    /**
+     * Stop the request still running, if any. Its promise resolves with null.
+     * A worker can't be interrupted mid-search, so it is stopped and replaced.
+     */
+    cancel() {
+        if (!this.pending) {
+            return;
+        }
+        const pending = this.pending;
+        this.pending = null;
+
+        clearTimeout(pending.timer);
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        pending.resolve(null);
+    }
+
+    send(message) {
+        this.cancel();
+
+        const request = Object.assign({ id: this.nextId++ }, message);
+        return new Promise((resolve, reject) => {
+            this.pending = { request, resolve, reject, timer: null };
+            if (this.startWorker()) {
+                this.worker.postMessage(request);
+            } else {
+                this.runOnPage();
+            }
+        });
+    }
+
+    /**
+     * Start the worker if there isn't one yet
+     * @returns {boolean} - False if workers can't be used
+     */
+    startWorker() {
+        if (this.worker) {
+            return true;
+        }
+        if (!this.useWorker) {
+            return false;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            this.useWorker = false;
+            return false;
+        }
+
+        this.worker.onmessage = event => this.handleReply(event.data);
+
+        // The worker script failed to load - search on the page from now on
+        this.worker.onerror = event => {
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.useWorker = false;
+            if (this.pending) {
+                this.runOnPage();
+            }
+        };
+        return true;
+    }
+
+    /**
+     * Synchronous fallback: run the pending request on the page after the
+     * current event, so callers get a reply the same way as from the worker
+     */
+    runOnPage() {
+        const pending = this.pending;
+        pending.timer = setTimeout(() => {
+            let reply;
+            try {
+                reply = AIStrategy.runRequest(pending.request);
+            } catch (error) {
+                reply = { id: pending.request.id, error: error.message };
+            }
+            this.handleReply(reply);
+        }, 0);
+    }
+
+    handleReply(reply) {
+        // Ignore replies to cancelled requests
+        if (!this.pending || reply.id !== this.pending.request.id) {
+            return;
+        }
+        const pending = this.pending;
+        this.pending = null;
+
+        if (reply.error) {
+            pending.reject(new Error(reply.error));
+        } else {
+            pending.resolve(reply);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIClient;
+}
@@ -0,0 +1,25 @@
+/**
+ * AI-Worker.js - Runs the AI Search in a Web Worker
+ * Keeps the page and the background animation smooth while the AI thinks.
+ * Receives requests from ai-client.js and answers with AIStrategy.runRequest.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+importScripts('rules.js', 'engine.js', 'transposition.js', 'ai.js', 'mcts.js', 'strategy.js');
+
+self.onmessage = event => {
+    const request = event.data;
+    let reply;
+    try {
+        reply = AIStrategy.runRequest(request);
+    } catch (error) {
+        reply = { id: request.id, error: error.message };
+    }
+    self.postMessage(reply);
+};
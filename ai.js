@@ -1,6 +1,7 @@
 /**
  * AI.js - Minimax Algorithm Implementation for Tic-Tac-Toe
- * Provides optimal AI opponent using Minimax with Alpha-Beta Pruning
+ * Provides optimal AI opponent using Minimax with Alpha-Beta Pruning,
+ * falling back to depth-limited search on boards larger than 3×3 and in Ultimate X O
  * 
  * @author Abdessamad Guiadiri
  * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
@@ -10,23 +11,112 @@
  * @github https://github.com/abdessamad159
  */
 
+// Node: load the shared rules and engine, which the browser gets from rules.js and engine.js
+if (typeof GameRules === 'undefined' && typeof require === 'function') {
+    globalThis.GameRules = require('./rules.js');
+}
+if (typeof GameEngine === 'undefined' && typeof require === 'function') {
+    globalThis.GameEngine = require('./engine.js');
+}
+if (typeof TranspositionTable === 'undefined' && typeof require === 'function') {
+    globalThis.TranspositionTable = require('./transposition.js');
+}
+
+// Score of a won position; wins found sooner score higher
+const WIN_SCORE = 100000000;
+
+// Scores within this many plies of WIN_SCORE are forced wins or losses
+const MATE_PLIES = 1000;
+
+// Largest board (in cells) that full-depth minimax can handle in time
+const FULL_SEARCH_CELLS = 9;
+
 class TicTacToeAI {
-    constructor(aiPlayer = 'O', humanPlayer = 'X') {
+    /**
+     * @param {string} aiPlayer - Symbol played by the AI
+     * @param {string} humanPlayer - Symbol played by the opponent
+     * @param {Object} options - Search settings
+     * @param {GameRules} options.rules - Board size and win condition (3×3 by default)
+     * @param {number} options.maxMoves - Pieces kept on the board before the oldest is removed
+     * @param {number} options.maxDepth - Deepest search (in plies) for the sliding-window rule
+     * @param {number} options.timeLimit - Time budget per move in milliseconds
+     * @param {number} options.blunderRate - Chance (0-1) of a random move on hard difficulty
+     *     (TicTacToeAI.BLUNDER_RATE by default)
+     * @param {boolean} options.useTable - Remember searched positions in a transposition table
+     *     (see transposition.js), sharing entries between symmetric positions (true by default;
+     *     never in Ultimate, where the sub-board to play in is not part of the table's key)
+     * @param {boolean} options.useOrdering - Search the likeliest best moves first (true by default)
+     */
+    constructor(aiPlayer = 'O', humanPlayer = 'X', options = {}) {
         this.aiPlayer = aiPlayer;
         this.humanPlayer = humanPlayer;
+        this.rules = options.rules || new GameRules();
+        this.maxMoves = options.maxMoves !== undefined ? options.maxMoves : this.rules.maxMoves;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 14;
+        this.timeLimit = options.timeLimit !== undefined ? options.timeLimit : 250;
+        this.blunderRate = options.blunderRate !== undefined ? options.blunderRate : TicTacToeAI.BLUNDER_RATE;
+        this.useOrdering = options.useOrdering !== false;
+        this.table = options.useTable === false || this.rules.ultimate ? null :
+            new TranspositionTable(this.rules, { maxMoves: this.maxMoves });
+
+        // Static move order: cells on the most win lines first - the centre, then the corners on 3×3
+        this.cellOrder = this.rules.linesThrough.map(lines => lines.length);
+
+        // Details of the last search: nodes searched, and lastSearch = {score, depth}
+        // of the deepest completed iteration (null when no search was run)
+        this.nodes = 0;
+        this.lastSearch = null;
+    }
+
+    /**
+     * Get an AI for a game's rules and player. AIs are kept between moves
+     * so their transposition tables carry over from one move to the next.
+     * @param {Object} game - {rules, maxMoves, player} (see AIStrategy.getMove in strategy.js)
+     * @returns {TicTacToeAI}
+     */
+    static forGame(game) {
+        const rules = game.rules;
+        const key = [rules.size, rules.winLength, game.maxMoves, rules.pieceLimit, rules.misere, rules.ultimate,
+            game.player].join('/');
+        const instances = TicTacToeAI.instances;
+        if (!instances.has(key)) {
+            // A few rule sets at most are in use at once - drop the oldest
+            if (instances.size >= 4) {
+                instances.delete(instances.keys().next().value);
+            }
+            const player = game.player;
+            instances.set(key, new TicTacToeAI(player, player === 'X' ? 'O' : 'X', {
+                rules,
+                maxMoves: game.maxMoves
+            }));
+        }
+        return instances.get(key);
     }
 
     /**
      * Get the best move for AI using Minimax algorithm
      * @param {Array} board - Current game board state
-     * @returns {number} - Best move index (0-8)
+     * @param {Array} [moveHistory] - Move order ({index, player}, oldest first);
+     *     when given, the search follows the sliding-window rule
+     * @returns {number} - Best move index, or -1 if there is none
      */
-    getBestMove(board) {
+    getBestMove(board, moveHistory) {
+        if (Array.isArray(moveHistory)) {
+            return this.getBestSlidingMove(board, moveHistory);
+        }
+
+        // Beyond 3×3 full minimax is too slow, and it only knows standard wins -
+        // use the depth-limited search with permanent pieces
+        if (board.length > FULL_SEARCH_CELLS || this.rules.misere) {
+            return this.getBestSlidingMove(board, [], Infinity);
+        }
+
         let bestScore = -Infinity;
         let bestMove = -1;
+        this.lastSearch = null;
 
         // Try each empty cell
-        for (let i = 0; i < 9; i++) {
+        for (let i = 0; i < board.length; i++) {
             if (board[i] === '') {
                 // Make the move
                 board[i] = this.aiPlayer;
@@ -45,6 +135,7 @@ class TicTacToeAI {
             }
         }
 
+        this.lastSearch = { score: bestScore, depth: board.length };
         return bestMove;
     }
 
@@ -58,6 +149,8 @@ class TicTacToeAI {
      * @returns {number} - Score of the position
      */
     minimax(board, depth, isMaximizing, alpha, beta) {
+        this.nodes++;
+
         // Check for terminal states
         const result = this.checkWinner(board);
         
@@ -75,7 +168,7 @@ class TicTacToeAI {
             // AI's turn (maximizing)
             let maxScore = -Infinity;
             
-            for (let i = 0; i < 9; i++) {
+            for (let i = 0; i < board.length; i++) {
                 if (board[i] === '') {
                     board[i] = this.aiPlayer;
                     let score = this.minimax(board, depth + 1, false, alpha, beta);
@@ -96,7 +189,7 @@ class TicTacToeAI {
             // Human's turn (minimizing)
             let minScore = Infinity;
             
-            for (let i = 0; i < 9; i++) {
+            for (let i = 0; i < board.length; i++) {
                 if (board[i] === '') {
                     board[i] = this.humanPlayer;
                     let score = this.minimax(board, depth + 1, true, alpha, beta);
@@ -116,87 +209,679 @@ class TicTacToeAI {
         }
     }
 
+    /**
+     * Get the best move under the sliding-window rule used by game.js:
+     * once maxMoves pieces have been placed, the oldest one is removed
+     * right before the next piece goes down, so a full board still has a move.
+     * Uses iterative deepening within the time budget, with a heuristic
+     * evaluation where the depth limit cuts a line off; positions repeated
+     * along a line are scored as a draw since the game can cycle forever.
+     * @param {Array} board - Current board state
+     * @param {Array} moveHistory - Move order ({index, player}, oldest first)
+     * @param {number} [maxMoves] - Removal window (Infinity keeps pieces forever)
+     * @returns {number} - Best move index, or -1 if there is none
+     */
+    getBestSlidingMove(board, moveHistory, maxMoves = this.maxMoves) {
+        const engine = this.createEngine(board, moveHistory, this.aiPlayer, maxMoves);
+        this.lastSearch = null;
+
+        let rootMoves = TicTacToeAI.getSearchMoves(engine);
+        if (rootMoves.length <= 1) {
+            return rootMoves.length ? rootMoves[0] : -1;
+        }
+
+        // The table only fits the window it was made for
+        const table = this.table;
+        if (table && maxMoves !== this.maxMoves) {
+            this.table = null;
+        }
+
+        this.startSearch();
+        rootMoves = this.orderMoves(rootMoves, -1, 0, this.aiPlayer);
+
+        let bestMove = rootMoves[0];
+        for (let depth = 1; depth <= this.maxDepth; depth++) {
+            const result = this.searchSlidingRoot(engine, rootMoves, depth);
+
+            // An unfinished iteration is not trustworthy
+            if (this.timedOut) {
+                break;
+            }
+
+            bestMove = result.move;
+            this.lastSearch = { score: result.score, depth };
+
+            // Forced win or loss found - deeper search won't change it
+            if (Math.abs(result.score) > WIN_SCORE - MATE_PLIES) {
+                break;
+            }
+
+            // Search the previous best move first in the next iteration
+            rootMoves = [bestMove, ...rootMoves.filter(move => move !== bestMove)];
+        }
+
+        this.table = table;
+        return bestMove;
+    }
+
+    /**
+     * Score every candidate move for the AI, for showing an analysis.
+     * Unlike getBestMove, each move gets an exact score rather than a bound.
+     * @param {Array} board - Current board state
+     * @param {Array} moveHistory - Move order ({index, player}, oldest first)
+     * @returns {Array} - [{index, score, outcome, moves}], best first. outcome is
+     *     'win', 'loss', 'draw' or 'unknown' (cut off by the depth limit), and
+     *     moves counts the winner's moves up to and including the winning one
+     */
+    analyzeMoves(board, moveHistory) {
+        const engine = this.createEngine(board, moveHistory, this.aiPlayer);
+        const rootMoves = TicTacToeAI.getSearchMoves(engine);
+        this.startSearch();
+
+        let results = rootMoves.map(index => ({ index, score: 0, outcome: 'unknown', moves: 0 }));
+        for (let depth = 1; depth <= this.maxDepth; depth++) {
+            const scored = [];
+            for (let index of rootMoves) {
+                this.hitHorizon = false;
+                const path = new Set([this.getPositionKey(engine)]);
+                engine.applyMove(index);
+                const score = this.slidingMinimax(engine, 1, depth, -Infinity, Infinity, path);
+                engine.undo();
+
+                if (this.timedOut) {
+                    break;
+                }
+                scored.push(this.describeScore(index, score, !this.hitHorizon));
+            }
+
+            // An unfinished iteration is not trustworthy
+            if (this.timedOut) {
+                break;
+            }
+            results = scored;
+
+            // Every move solved - deeper search won't change anything
+            if (results.every(result => result.outcome !== 'unknown')) {
+                break;
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Turn a search score into an outcome for analyzeMoves
+     * @param {number} index - Move searched
+     * @param {number} score - Search score
+     * @param {boolean} exact - Whether the search reached the end of every line
+     * @returns {Object} - {index, score, outcome, moves}
+     */
+    describeScore(index, score, exact) {
+        // Scores this close to WIN_SCORE are forced results; the distance is in plies
+        const plies = WIN_SCORE - Math.abs(score);
+        if (plies < MATE_PLIES) {
+            return {
+                index,
+                score,
+                outcome: score > 0 ? 'win' : 'loss',
+                moves: Math.ceil(plies / 2)
+            };
+        }
+        return { index, score, outcome: exact ? 'draw' : 'unknown', moves: 0 };
+    }
+
+    /**
+     * Reset the clock, counters and move-ordering statistics for a new search
+     */
+    startSearch() {
+        this.deadline = Date.now() + this.timeLimit;
+        this.nodes = 0;
+        this.timedOut = false;
+        this.repetitions = 0;
+        this.killers = []; // Per depth, the last two moves that caused a cutoff
+        this.history = { X: new Array(this.rules.cellCount).fill(0), O: new Array(this.rules.cellCount).fill(0) };
+    }
+
+    /**
+     * Search every root move to a fixed depth
+     * @param {GameEngine} engine - Position to search, AI to move
+     * @param {Array} rootMoves - Candidate moves, best guess first
+     * @param {number} depth - Depth to search in plies
+     * @returns {Object} - {move, score} of the best root move
+     */
+    searchSlidingRoot(engine, rootMoves, depth) {
+        const path = new Set([this.getPositionKey(engine)]);
+        let alpha = -Infinity;
+        let best = { move: rootMoves[0], score: -Infinity };
+
+        for (let move of rootMoves) {
+            engine.applyMove(move);
+            const score = this.slidingMinimax(engine, 1, depth, alpha, Infinity, path);
+            engine.undo();
+
+            if (this.timedOut) {
+                break;
+            }
+
+            if (score > best.score) {
+                best = { move, score };
+            }
+            alpha = Math.max(alpha, score);
+        }
+
+        return best;
+    }
+
+    /**
+     * Minimax with Alpha-Beta Pruning for the sliding-window rule
+     * @param {GameEngine} engine - Position to search
+     * @param {number} depth - Current depth in game tree
+     * @param {number} maxDepth - Depth at which the position is evaluated
+     * @param {number} alpha - Alpha value for pruning
+     * @param {number} beta - Beta value for pruning
+     * @param {Set} path - Position keys on the current line
+     * @returns {number} - Score of the position
+     */
+    slidingMinimax(engine, depth, maxDepth, alpha, beta, path) {
+        // Check the clock every 1024 nodes
+        if ((++this.nodes & 1023) === 0 && Date.now() > this.deadline) {
+            this.timedOut = true;
+        }
+        if (this.timedOut) {
+            return 0;
+        }
+
+        if (engine.winner === this.aiPlayer) {
+            return WIN_SCORE - depth;
+        }
+        if (engine.winner === this.humanPlayer) {
+            return depth - WIN_SCORE;
+        }
+
+        // Back to a position already on this line - the game is cycling
+        const key = this.getPositionKey(engine);
+        if (path.has(key)) {
+            this.repetitions++;
+            return 0;
+        }
+
+        const isMaximizing = engine.currentPlayer === this.aiPlayer;
+        if (depth >= maxDepth) {
+            this.hitHorizon = true;
+            return this.rules.ultimate ? this.evaluateUltimate(engine) : this.evaluateSliding(engine, isMaximizing);
+        }
+
+        const moves = TicTacToeAI.getSearchMoves(engine);
+        if (moves.length === 0) {
+            return 0; // Board full without removal - classic draw
+        }
+
+        // Use what is known about this position (or a symmetric one) from earlier searches
+        const alphaBefore = alpha;
+        const betaBefore = beta;
+        let tableKey = null;
+        let tableMove = -1;
+        if (this.table) {
+            tableKey = this.table.getKey(engine);
+            const entry = this.table.get(tableKey.key);
+            if (entry) {
+                tableMove = this.table.fromCanonical(entry.move, tableKey.symmetry);
+
+                // A result that reached the end of every line holds at any depth
+                if (!entry.horizon || entry.depth >= maxDepth - depth) {
+                    const score = this.fromTableScore(entry.score, depth);
+                    this.hitHorizon = this.hitHorizon || entry.horizon;
+                    if (entry.flag === TranspositionTable.EXACT) {
+                        return score;
+                    } else if (entry.flag === TranspositionTable.LOWER) {
+                        alpha = Math.max(alpha, score);
+                    } else {
+                        beta = Math.min(beta, score);
+                    }
+                    if (beta <= alpha) {
+                        return score;
+                    }
+                }
+            }
+        }
+
+        // Track whether this subtree reaches the depth limit or a repetition
+        const horizonBefore = this.hitHorizon;
+        const repetitionsBefore = this.repetitions;
+        this.hitHorizon = false;
+
+        path.add(key);
+        let bestScore = isMaximizing ? -Infinity : Infinity;
+        let bestMove = -1;
+
+        for (let move of this.orderMoves(moves, tableMove, depth, engine.currentPlayer)) {
+            engine.applyMove(move);
+            const score = this.slidingMinimax(engine, depth + 1, maxDepth, alpha, beta, path);
+            engine.undo();
+
+            if (isMaximizing ? score > bestScore : score < bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
+            if (isMaximizing) {
+                alpha = Math.max(alpha, score);
+            } else {
+                beta = Math.min(beta, score);
+            }
+
+            // Alpha-Beta Pruning
+            if (beta <= alpha) {
+                this.recordCutoff(move, depth, maxDepth, engine.currentPlayer);
+                break;
+            }
+        }
+        path.delete(key);
+
+        const horizon = this.hitHorizon;
+        this.hitHorizon = horizonBefore || horizon;
+
+        // A score that depends on the path taken (a repetition was scored as a draw)
+        // or on an unfinished search can't be reused
+        if (this.table && !this.timedOut && this.repetitions === repetitionsBefore) {
+            let flag = TranspositionTable.EXACT;
+            if (bestScore <= alphaBefore) {
+                flag = TranspositionTable.UPPER;
+            } else if (bestScore >= betaBefore) {
+                flag = TranspositionTable.LOWER;
+            }
+            this.table.set(tableKey.key, {
+                score: this.toTableScore(bestScore, depth),
+                flag,
+                depth: maxDepth - depth,
+                move: this.table.toCanonical(bestMove, tableKey.symmetry),
+                horizon
+            });
+        }
+
+        return bestScore;
+    }
+
+    /**
+     * Store forced results as the distance from the position rather than from
+     * the root, so they stay right when the position is reached at another depth
+     */
+    toTableScore(score, depth) {
+        if (score > WIN_SCORE - MATE_PLIES) {
+            return score + depth;
+        }
+        if (score < MATE_PLIES - WIN_SCORE) {
+            return score - depth;
+        }
+        return score;
+    }
+
+    fromTableScore(score, depth) {
+        if (score > WIN_SCORE - MATE_PLIES) {
+            return score - depth;
+        }
+        if (score < MATE_PLIES - WIN_SCORE) {
+            return score + depth;
+        }
+        return score;
+    }
+
+    /**
+     * Sort moves so the likeliest best ones are searched first, which lets
+     * alpha-beta prune more: the table's best move, then the killer moves that
+     * caused cutoffs at this depth, then by the history of cutoffs and the
+     * number of win lines through the cell
+     * @param {Array} moves - Candidate cell indexes
+     * @param {number} tableMove - Best move stored in the table, or -1
+     * @param {number} depth - Current depth in game tree
+     * @param {string} player - Player to move
+     * @returns {Array} - The moves, best guess first
+     */
+    orderMoves(moves, tableMove, depth, player) {
+        if (!this.useOrdering) {
+            return moves;
+        }
+
+        const killers = this.killers[depth] || [];
+        const history = this.history[player];
+        const rank = move => {
+            if (move === tableMove) {
+                return Infinity;
+            }
+            const killer = killers.indexOf(move);
+            if (killer !== -1) {
+                return Number.MAX_SAFE_INTEGER - killer;
+            }
+            return history[move] * 64 + this.cellOrder[move];
+        };
+
+        return moves
+            .map(move => ({ move, rank: rank(move) }))
+            .sort((a, b) => b.rank - a.rank)
+            .map(entry => entry.move);
+    }
+
+    /**
+     * Remember a move that caused a cutoff, for orderMoves
+     */
+    recordCutoff(move, depth, maxDepth, player) {
+        if (!this.useOrdering) {
+            return;
+        }
+        const killers = this.killers[depth] || (this.killers[depth] = []);
+        if (killers[0] !== move) {
+            killers.unshift(move);
+            killers.length = Math.min(killers.length, 2);
+        }
+        // Cutoffs far from the depth limit prune the most
+        const remaining = maxDepth - depth;
+        this.history[player][move] += remaining * remaining;
+    }
+
+    /**
+     * Heuristic score for a position cut off by the depth limit.
+     * Counts lines still open to one side, ignoring the piece about to be removed.
+     * A line one piece short for the side to move is a win on the next move.
+     * In misère open lines are a danger rather than a threat, so the count is reversed.
+     * @param {GameEngine} engine - Position to score
+     * @param {boolean} aiToMove - Whether the AI moves next
+     * @returns {number} - Score well inside the win/loss range
+     */
+    evaluateSliding(engine, aiToMove) {
+        const expiring = engine.getExpiringIndex();
+        const misere = this.rules.misere;
+        const threatCount = misere ? Infinity : this.rules.winLength - 1;
+        let score = 0;
+
+        for (let pattern of this.rules.winPatterns) {
+            let aiCount = 0;
+            let humanCount = 0;
+            for (let index of pattern) {
+                if (index === expiring) {
+                    continue;
+                }
+                if (engine.board[index] === this.aiPlayer) {
+                    aiCount++;
+                } else if (engine.board[index] === this.humanPlayer) {
+                    humanCount++;
+                }
+            }
+
+            // Each extra piece in an open line is worth ten times more
+            if (humanCount === 0 && aiCount > 0) {
+                if (aiToMove && aiCount === threatCount) {
+                    return WIN_SCORE / 2;
+                }
+                score += Math.pow(10, aiCount - 1);
+            } else if (aiCount === 0 && humanCount > 0) {
+                if (!aiToMove && humanCount === threatCount) {
+                    return -WIN_SCORE / 2;
+                }
+                score -= Math.pow(10, humanCount - 1);
+            }
+        }
+
+        return misere ? -score : score;
+    }
+
+    /**
+     * Heuristic score for an Ultimate position cut off by the depth limit.
+     * Lines of won sub-boards still open on the meta-board count like the open
+     * lines of evaluateSliding, a hundred times over; inside the sub-boards still
+     * in play, open lines count as usual.
+     * @param {GameEngine} engine - Position to score
+     * @returns {number} - Score well inside the win/loss range
+     */
+    evaluateUltimate(engine) {
+        const rules = this.rules;
+        const subWinners = engine.subWinners;
+        let score = 0;
+
+        // Each extra piece (or sub-board) in an open line is worth ten times more
+        const countLine = (values, line, weight) => {
+            let aiCount = 0;
+            let humanCount = 0;
+            for (let index of line) {
+                if (values[index] === this.aiPlayer) {
+                    aiCount++;
+                } else if (values[index] === this.humanPlayer) {
+                    humanCount++;
+                }
+            }
+            if (humanCount === 0 && aiCount > 0) {
+                score += weight * Math.pow(10, aiCount - 1);
+            } else if (aiCount === 0 && humanCount > 0) {
+                score -= weight * Math.pow(10, humanCount - 1);
+            }
+        };
+
+        for (let line of rules.metaRules.winPatterns) {
+            // A drawn sub-board blocks the line for both sides
+            if (!line.some(sub => subWinners[sub] === 'draw')) {
+                countLine(subWinners, line, 100);
+            }
+        }
+        for (let pattern of rules.winPatterns) {
+            if (subWinners[rules.subBoardOf(pattern[0])] === '') {
+                countLine(engine.board, pattern, 1);
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Get the moves worth searching. On large boards only cells next to a
+     * piece are considered, which keeps the branching factor manageable
+     * (Ultimate's send rule already does that). Also used by the Monte Carlo
+     * search (see mcts.js).
+     * @param {GameEngine} engine - Position to search
+     * @returns {Array} - Candidate cell indexes
+     */
+    static getSearchMoves(engine) {
+        const moves = engine.legalMoves();
+        const size = engine.rules.size;
+        if (size <= 5 || engine.rules.ultimate) {
+            return moves;
+        }
+
+        const expiring = engine.getExpiringIndex();
+        const hasNeighbour = index => {
+            const row = Math.floor(index / size);
+            const col = index % size;
+            for (let r = Math.max(0, row - 1); r <= Math.min(size - 1, row + 1); r++) {
+                for (let c = Math.max(0, col - 1); c <= Math.min(size - 1, col + 1); c++) {
+                    const neighbour = r * size + c;
+                    if (neighbour !== index && neighbour !== expiring && engine.board[neighbour] !== '') {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        };
+
+        const nearby = moves.filter(hasNeighbour);
+        if (nearby.length > 0) {
+            return nearby;
+        }
+
+        // Empty board - start in the centre
+        const centre = Math.floor(engine.rules.cellCount / 2);
+        return moves.includes(centre) ? [centre] : moves;
+    }
+
+    /**
+     * Create a game engine for a position
+     * @param {Array} board - Board state
+     * @param {Array} moveHistory - Move order ({index, player}, oldest first)
+     * @param {string} player - Player to move
+     * @param {number} [maxMoves] - Removal window (Infinity keeps pieces forever)
+     * @returns {GameEngine}
+     */
+    createEngine(board, moveHistory, player, maxMoves = this.maxMoves) {
+        return GameEngine.fromPosition({
+            rules: this.rules,
+            maxMoves,
+            board,
+            moveHistory,
+            currentPlayer: player
+        });
+    }
+
+    /**
+     * Build a key identifying a position. The move order matters because it
+     * decides which pieces are removed next; the side to move follows from it.
+     * @param {GameEngine} engine - Position
+     * @returns {string} - Position key
+     */
+    getPositionKey(engine) {
+        return engine.moveHistory.map(move => move.player + move.index).join('') + engine.currentPlayer;
+    }
+
     /**
      * Check if there's a winner or draw
      * @param {Array} board - Current board state
      * @returns {string|null} - Winner ('X' or 'O'), 'draw', or null
      */
     checkWinner(board) {
-        // All possible winning combinations
-        const winPatterns = [
-            [0, 1, 2], // Top row
-            [3, 4, 5], // Middle row
-            [6, 7, 8], // Bottom row
-            [0, 3, 6], // Left column
-            [1, 4, 7], // Middle column
-            [2, 5, 8], // Right column
-            [0, 4, 8], // Diagonal \
-            [2, 4, 6]  // Diagonal /
-        ];
+        return this.rules.checkWinner(board);
+    }
 
-        // Check each winning pattern
-        for (let pattern of winPatterns) {
-            const [a, b, c] = pattern;
-            if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-                return board[a]; // Return winner
-            }
+    /**
+     * Get a move for the chosen difficulty level - the entry point used by the
+     * minimax strategies (see strategy.js)
+     * @param {Array} board - Current board state
+     * @param {Array} moveHistory - Move order ({index, player}, oldest first)
+     * @param {string} difficulty - 'easy', 'medium', 'hard' or 'impossible'
+     * @returns {number} - Move index, or -1 if there is none
+     */
+    getMove(board, moveHistory, difficulty = 'impossible') {
+        this.nodes = 0;
+        this.lastSearch = null;
+        switch (difficulty) {
+            case 'easy':
+                return this.getRandomMove(board, moveHistory);
+            case 'medium':
+                return this.getMediumMove(board, moveHistory);
+            case 'hard':
+                return this.getHardMove(board, moveHistory);
+            default:
+                return this.getBestMove(board, moveHistory);
         }
+    }
 
-        // Check for draw (board full)
-        if (board.every(cell => cell !== '')) {
-            return 'draw';
+    /**
+     * Get a hard difficulty move: the best move, except that with
+     * probability blunderRate a different random move is played
+     * @param {Array} board - Current board state
+     * @param {Array} moveHistory - Move order ({index, player}, oldest first)
+     * @returns {number} - Move index, or -1 if there is none
+     */
+    getHardMove(board, moveHistory) {
+        const bestMove = this.getBestMove(board, moveHistory);
+        if (Math.random() >= this.blunderRate) {
+            return bestMove;
         }
 
-        // Game still in progress
-        return null;
+        const otherMoves = this.getLegalMoves(board, moveHistory).filter(move => move !== bestMove);
+        if (otherMoves.length === 0) {
+            return bestMove;
+        }
+        return otherMoves[Math.floor(Math.random() * otherMoves.length)];
     }
 
     /**
-     * Get a random move (for easier difficulty - not used in current implementation)
+     * Get the legal moves for a position
      * @param {Array} board - Current board state
-     * @returns {number} - Random empty cell index
+     * @param {Array} [moveHistory] - Move order; when given, the cell about to be freed is legal too
+     * @returns {Array} - Legal cell indexes
      */
-    getRandomMove(board) {
+    getLegalMoves(board, moveHistory) {
+        if (Array.isArray(moveHistory)) {
+            return this.createEngine(board, moveHistory, this.aiPlayer).legalMoves();
+        }
         const emptyCells = [];
-        for (let i = 0; i < 9; i++) {
+        for (let i = 0; i < board.length; i++) {
             if (board[i] === '') {
                 emptyCells.push(i);
             }
         }
-        return emptyCells[Math.floor(Math.random() * emptyCells.length)];
+        return emptyCells;
     }
 
     /**
-     * Get a medium difficulty move (blocks wins, takes wins, otherwise random)
+     * Get a random move (easy difficulty)
      * @param {Array} board - Current board state
-     * @returns {number} - Move index
+     * @param {Array} [moveHistory] - Move order ({index, player}, oldest first)
+     * @returns {number} - Random legal cell index, or -1 if there is none
      */
-    getMediumMove(board) {
+    getRandomMove(board, moveHistory) {
+        const moves = this.getLegalMoves(board, moveHistory);
+        if (moves.length === 0) {
+            return -1;
+        }
+        return moves[Math.floor(Math.random() * moves.length)];
+    }
+
+    /**
+     * Get a medium difficulty move (takes wins, blocks wins, otherwise random
+     * but never a move that loses on the spot, as completing a line does in misère)
+     * @param {Array} board - Current board state
+     * @param {Array} [moveHistory] - Move order ({index, player}, oldest first)
+     * @returns {number} - Move index, or -1 if there is none
+     */
+    getMediumMove(board, moveHistory) {
+        const moves = this.getLegalMoves(board, moveHistory);
+
         // Check if AI can win
-        for (let i = 0; i < 9; i++) {
-            if (board[i] === '') {
-                board[i] = this.aiPlayer;
-                if (this.checkWinner(board) === this.aiPlayer) {
-                    board[i] = '';
-                    return i;
-                }
-                board[i] = '';
-            }
+        const winningMove = moves.find(move => this.winsWith(board, moveHistory, move, this.aiPlayer));
+        if (winningMove !== undefined) {
+            return winningMove;
         }
 
         // Check if need to block human
-        for (let i = 0; i < 9; i++) {
-            if (board[i] === '') {
-                board[i] = this.humanPlayer;
-                if (this.checkWinner(board) === this.humanPlayer) {
-                    board[i] = '';
-                    return i;
-                }
-                board[i] = '';
-            }
+        const blockingMove = moves.find(move => this.winsWith(board, moveHistory, move, this.humanPlayer));
+        if (blockingMove !== undefined) {
+            return blockingMove;
         }
 
         // Otherwise, random move
-        return this.getRandomMove(board);
+        const safeMoves = moves.filter(move => this.getWinnerAfter(board, moveHistory, move, this.aiPlayer) === null);
+        if (safeMoves.length === 0) {
+            return this.getRandomMove(board, moveHistory);
+        }
+        return safeMoves[Math.floor(Math.random() * safeMoves.length)];
+    }
+
+    /**
+     * Check whether playing a move wins for the given player
+     * @returns {boolean} - True if the move wins (completes a line, except in misère)
+     */
+    winsWith(board, moveHistory, index, player) {
+        return this.getWinnerAfter(board, moveHistory, index, player) === player;
+    }
+
+    /**
+     * Play a move for a player on a copy of the position
+     * @returns {string|null} - Winner after the move, or null (also when the move isn't
+     *     legal for that player - under the piece limit each side has its own expiring cell)
+     */
+    getWinnerAfter(board, moveHistory, index, player) {
+        const engine = this.createEngine(board, Array.isArray(moveHistory) ? moveHistory : [], player,
+            Array.isArray(moveHistory) ? this.maxMoves : Infinity);
+        if (!engine.legalMoves().includes(index)) {
+            return null;
+        }
+        engine.applyMove(index);
+        return engine.winner;
     }
 }
+
+// AIs kept between moves (see forGame)
+TicTacToeAI.instances = new Map();
+
+// Chance of a random move on hard difficulty, unless an AI is given its own
+TicTacToeAI.BLUNDER_RATE = 0.2;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TicTacToeAI;
+}
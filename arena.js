@@ -0,0 +1,267 @@
+/**
+ * Arena.js - AI-vs-AI Self-play Matches
+ * Plays games between two AI strategies under the classic and the infinite
+ * (sliding-window) rule, alternating who moves first, and tallies wins, draws,
+ * game length and repeated positions. DOM-free; the game's spectator mode
+ * shows single games on the board.
+ *
+ * Usage: node arena.js [strategyA] [strategyB] [--games 1000] [--size 3 (9 for Ultimate)]
+ *            [--rules both|classic|infinite] [--time 10] [--playouts 2000] [--move-limit 200]
+ *
+ * Strategies are those registered in strategy.js: the AI difficulties impossible
+ * (getBestMove), hard, medium (getMediumMove) and easy (getRandomMove), and mcts.
+ *
+ * A game ends with a win, a full board (classic), the same position coming up
+ * for the third time (infinite - the players are going round in a cycle),
+ * or after the move limit.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the rules, engine and AI, which the browser gets from their own scripts
+if (typeof GameRules === 'undefined' && typeof require === 'function') {
+    globalThis.GameRules = require('./rules.js');
+}
+if (typeof GameEngine === 'undefined' && typeof require === 'function') {
+    globalThis.GameEngine = require('./engine.js');
+}
+if (typeof AIStrategy === 'undefined' && typeof require === 'function') {
+    globalThis.AIStrategy = require('./strategy.js');
+}
+
+// Times a position may come up before the game is called a draw by repetition
+const ARENA_REPETITIONS = 3;
+
+class AIArena {
+    /**
+     * @param {Object} options - Arena settings
+     * @param {number} options.size - Board size (a key of GameRules.PRESETS, 3 by default; 9 is Ultimate)
+     * @param {string} options.rules - 'classic' (no removal) or 'infinite' (the oldest piece is removed;
+     *     Ultimate is always classic)
+     * @param {number} options.timeLimit - Search time per move in milliseconds (10 by default)
+     * @param {number} options.playouts - Playouts per move for MCTS (2000 by default)
+     * @param {number} options.moveLimit - Moves after which a game is stopped as a draw (200 by default)
+     */
+    constructor(options = {}) {
+        const preset = GameRules.PRESETS[options.size] || GameRules.PRESETS[3];
+        this.rulesName = options.rules === 'classic' || preset.ultimate ? 'classic' : 'infinite';
+        this.rules = new GameRules(preset);
+        this.maxMoves = this.rulesName === 'classic' ? Infinity : this.rules.cellCount;
+        this.timeLimit = options.timeLimit !== undefined ? options.timeLimit : 10;
+        this.playouts = options.playouts || 2000;
+        this.moveLimit = options.moveLimit || 200;
+    }
+
+    /**
+     * Get the move a strategy plays
+     * @param {string|Function} strategy - A strategy name (see strategy.js), or a function (engine) => cell index
+     * @param {GameEngine} engine - Game to move in
+     * @returns {number} - Cell index, or -1 if there is no move
+     */
+    getMove(strategy, engine) {
+        if (typeof strategy === 'function') {
+            return strategy(engine);
+        }
+        return AIStrategy.get(strategy).getMove(AIStrategy.fromEngine(engine), {
+            timeLimit: this.timeLimit,
+            playouts: this.playouts
+        }).move;
+    }
+
+    /**
+     * Play one game
+     * @param {Object} strategies - {X, O}: the strategy of each side
+     * @param {string} firstPlayer - 'X' or 'O'
+     * @returns {Object} - {winner ('X', 'O' or null), end ('win', 'full', 'repetition' or 'moveLimit'),
+     *     moves, firstRepeat (move on which a position first came up again, or null), cycleLength}
+     */
+    playGame(strategies, firstPlayer = 'X') {
+        const engine = GameEngine.create({ rules: this.rules, maxMoves: this.maxMoves, firstPlayer });
+        const seen = new Map(); // Position key → {count, move on which it last came up}
+        let firstRepeat = null;
+        let cycleLength = null;
+
+        while (engine.status().state === 'playing') {
+            if (engine.moves.length >= this.moveLimit) {
+                return { winner: null, end: 'moveLimit', moves: engine.moves.length, firstRepeat, cycleLength };
+            }
+
+            const key = AIArena.positionKey(engine);
+            const previous = seen.get(key);
+            if (previous) {
+                if (firstRepeat === null) {
+                    firstRepeat = engine.moves.length;
+                    cycleLength = engine.moves.length - previous.move;
+                }
+                if (previous.count + 1 >= ARENA_REPETITIONS) {
+                    return { winner: null, end: 'repetition', moves: engine.moves.length, firstRepeat, cycleLength };
+                }
+            }
+            seen.set(key, { count: previous ? previous.count + 1 : 1, move: engine.moves.length });
+
+            const move = this.getMove(strategies[engine.currentPlayer], engine);
+            if (!engine.isLegalMove(move)) {
+                throw new Error(`Strategy for ${engine.currentPlayer} played an illegal move: ${move}`);
+            }
+            engine.applyMove(move);
+        }
+
+        const status = engine.status();
+        return {
+            winner: status.state === 'won' ? status.winner : null,
+            end: status.state === 'won' ? 'win' : 'full',
+            moves: engine.moves.length,
+            firstRepeat,
+            cycleLength
+        };
+    }
+
+    /**
+     * Play a match between two strategies, swapping sides every game
+     * so each plays X and moves first equally often
+     * @param {string|Function} strategyA
+     * @param {string|Function} strategyB
+     * @param {number} games - Games to play
+     * @param {Function} onGame - Called after each game with (game number, result)
+     * @returns {Object} - Match summary (see summarize)
+     */
+    playMatch(strategyA, strategyB, games, onGame) {
+        const results = [];
+        for (let i = 0; i < games; i++) {
+            const aIsX = i % 2 === 0;
+            const strategies = aIsX ? { X: strategyA, O: strategyB } : { X: strategyB, O: strategyA };
+            const result = this.playGame(strategies, 'X');
+            result.aIsX = aIsX;
+            results.push(result);
+            if (onGame) {
+                onGame(i + 1, result);
+            }
+        }
+        return AIArena.summarize(results);
+    }
+
+    /**
+     * Key of a position for spotting repetitions - with pieces removed, positions
+     * come back once the same pieces are on the board in the same order
+     * @param {GameEngine} engine - Game to read the position from
+     * @returns {string}
+     */
+    static positionKey(engine) {
+        return engine.moveHistory.map(move => move.player + move.index).join(',') + engine.currentPlayer;
+    }
+
+    /**
+     * Tally a match from the point of view of strategy A
+     * @param {Array} results - playGame results, each with aIsX
+     * @returns {Object} - {games, asX: {wins, draws, losses}, asO: {...}, total: {...},
+     *     averageMoves, ends: {win, full, repetition, moveLimit},
+     *     cycles: {games, averageFirstRepeat, averageLength}}
+     */
+    static summarize(results) {
+        const tally = () => ({ wins: 0, draws: 0, losses: 0 });
+        const summary = {
+            games: results.length,
+            asX: tally(),
+            asO: tally(),
+            total: tally(),
+            averageMoves: 0,
+            ends: { win: 0, full: 0, repetition: 0, moveLimit: 0 },
+            cycles: { games: 0, averageFirstRepeat: 0, averageLength: 0 }
+        };
+        if (results.length === 0) {
+            return summary;
+        }
+
+        let moves = 0;
+        let firstRepeats = 0;
+        let cycleLengths = 0;
+        results.forEach(result => {
+            const aSide = result.aIsX ? 'X' : 'O';
+            const outcome = result.winner === null ? 'draws' : result.winner === aSide ? 'wins' : 'losses';
+            summary[result.aIsX ? 'asX' : 'asO'][outcome]++;
+            summary.total[outcome]++;
+            summary.ends[result.end]++;
+            moves += result.moves;
+            if (result.firstRepeat !== null) {
+                summary.cycles.games++;
+                firstRepeats += result.firstRepeat;
+                cycleLengths += result.cycleLength;
+            }
+        });
+
+        summary.averageMoves = moves / results.length;
+        if (summary.cycles.games > 0) {
+            summary.cycles.averageFirstRepeat = firstRepeats / summary.cycles.games;
+            summary.cycles.averageLength = cycleLengths / summary.cycles.games;
+        }
+        return summary;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIArena;
+}
+
+// Command line: print a table per rule set
+if (typeof require === 'function' && require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const position = args.indexOf(`--${name}`);
+        return position !== -1 ? args[position + 1] : fallback;
+    };
+    const [strategyA = 'impossible', strategyB = 'medium'] =
+        args.filter((arg, i) => !arg.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+    const known = AIStrategy.names();
+    if (!known.includes(strategyA) || !known.includes(strategyB)) {
+        console.error(`Strategies: ${known.join(', ')}`);
+        process.exit(1);
+    }
+
+    const games = parseInt(option('games', 1000));
+    const size = parseInt(option('size', 3));
+    const rulesOption = option('rules', 'both');
+    // Ultimate only has the one rule set
+    const ruleSets = GameRules.PRESETS[size] && GameRules.PRESETS[size].ultimate ? ['classic'] :
+        rulesOption === 'both' ? ['classic', 'infinite'] : [rulesOption];
+    const percent = (count, total) => `${(100 * count / total).toFixed(1)}%`.padStart(7);
+
+    ruleSets.forEach(rules => {
+        const arena = new AIArena({
+            size,
+            rules,
+            timeLimit: parseFloat(option('time', 10)),
+            playouts: parseInt(option('playouts', 2000)),
+            moveLimit: parseInt(option('move-limit', 200))
+        });
+        const startedAt = Date.now();
+        const summary = arena.playMatch(strategyA, strategyB, games, played => {
+            if (played % 100 === 0) {
+                process.stderr.write(`\r${rules}: ${played}/${games}`);
+            }
+        });
+        process.stderr.write('\r');
+
+        console.log(`\n${strategyA} vs ${strategyB} - ${rules} rules, ${arena.rules.size}×${arena.rules.size}, ` +
+            `${games} games (${((Date.now() - startedAt) / 1000).toFixed(1)} s)`);
+        console.log(`  ${strategyA} as         wins    draws   losses`);
+        [['X (first)', summary.asX], ['O (second)', summary.asO], ['total', summary.total]].forEach(([name, tally]) => {
+            const total = tally.wins + tally.draws + tally.losses;
+            console.log(`  ${name.padEnd(12)} ${percent(tally.wins, total)}  ${percent(tally.draws, total)}  ${percent(tally.losses, total)}`);
+        });
+        console.log(`  Average length: ${summary.averageMoves.toFixed(1)} moves`);
+        console.log(`  Endings: ${summary.ends.win} wins, ${summary.ends.full} full boards, ` +
+            `${summary.ends.repetition} repetitions, ${summary.ends.moveLimit} move limits`);
+        if (summary.cycles.games > 0) {
+            console.log(`  Cycles: ${summary.cycles.games} games repeated a position, first on move ` +
+                `${summary.cycles.averageFirstRepeat.toFixed(1)} on average, going round every ` +
+                `${summary.cycles.averageLength.toFixed(1)} moves`);
+        } else {
+            console.log('  Cycles: no position repeated');
+        }
+    });
+}
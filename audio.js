@@ -0,0 +1,202 @@
+/**
+ * Audio.js - Sound Effects
+ * Every sound is synthesized with the Web Audio API from short tones, so there
+ * is nothing to download. Browsers only let a page play sound once the player
+ * has interacted with it: game.js calls unlock() on the first click or key press,
+ * and until then sounds are skipped.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+class SoundEffects {
+    /**
+     * @param {Object} settings - Saved settings (see toJSON); missing values fall back to the defaults
+     * @param {number} settings.volume - Master volume from 0 to 1
+     * @param {boolean} settings.muted - Every sound off
+     * @param {Object} settings.cues - Cue name → false for the cues switched off
+     */
+    constructor(settings = {}) {
+        this.context = null; // Created by unlock()
+        this.master = null;
+        this.volume = 0.6;
+        this.muted = false;
+        this.cues = {};
+        Object.keys(SoundEffects.CUES).forEach(cue => {
+            this.cues[cue] = true;
+        });
+        this.configure(settings);
+    }
+
+    /**
+     * Apply saved settings
+     * @param {Object} settings - See the constructor
+     */
+    configure(settings = {}) {
+        const volume = parseFloat(settings.volume);
+        if (volume >= 0 && volume <= 1) {
+            this.setVolume(volume);
+        }
+        this.muted = settings.muted === true;
+        Object.keys(this.cues).forEach(cue => {
+            this.cues[cue] = !(settings.cues && settings.cues[cue] === false);
+        });
+    }
+
+    /**
+     * Create (or wake up) the audio context - call from a click or key press handler
+     * @returns {boolean} - False if the browser has no Web Audio
+     */
+    unlock() {
+        if (!this.context) {
+            const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            if (!AudioContext) {
+                return false;
+            }
+            this.context = new AudioContext();
+            this.master = this.context.createGain();
+            this.master.gain.value = this.volume;
+            this.master.connect(this.context.destination);
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return true;
+    }
+
+    /**
+     * Set the master volume
+     * @param {number} volume - From 0 to 1
+     */
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, volume));
+        if (this.master) {
+            this.master.gain.value = this.volume;
+        }
+    }
+
+    /**
+     * Switch every sound off or back on
+     * @param {boolean} muted
+     */
+    setMuted(muted) {
+        this.muted = muted;
+    }
+
+    /**
+     * Switch one cue off or back on
+     * @param {string} cue - A key of SoundEffects.CUES
+     * @param {boolean} enabled
+     */
+    setCueEnabled(cue, enabled) {
+        if (cue in this.cues) {
+            this.cues[cue] = enabled;
+        }
+    }
+
+    /**
+     * Check if a cue would be heard
+     * @param {string} cue - A key of SoundEffects.CUES
+     * @returns {boolean}
+     */
+    isAudible(cue) {
+        return !this.muted && this.cues[cue] === true && this.volume > 0;
+    }
+
+    /**
+     * Play a cue - skipped while muted, switched off, or before the audio is unlocked
+     * @param {string} cue - A key of SoundEffects.CUES
+     */
+    play(cue) {
+        // A context still starting up plays the tones once it runs
+        if (!this.isAudible(cue) || !this.context) {
+            return;
+        }
+        SoundEffects.CUES[cue].forEach(note => this.playTone(note));
+    }
+
+    /**
+     * Play one tone with a short attack and an exponential fade
+     * @param {Object} note - {frequency, to (frequency glided to), type (oscillator wave),
+     *     delay and duration in seconds, gain (loudness before the master volume)}
+     */
+    playTone(note) {
+        const { frequency, to = frequency, type = 'sine', delay = 0, duration = 0.15, gain = 0.3 } = note;
+        const start = this.context.currentTime + delay;
+        const end = start + duration;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        if (to !== frequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(to, end);
+        }
+
+        // Exponential ramps can't start from or reach zero
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        oscillator.connect(envelope);
+        envelope.connect(this.master);
+        oscillator.start(start);
+        oscillator.stop(end + 0.02);
+    }
+
+    /**
+     * Get the settings for saving
+     * @returns {Object} - Input for the constructor
+     */
+    toJSON() {
+        return {
+            volume: this.volume,
+            muted: this.muted,
+            cues: { ...this.cues }
+        };
+    }
+}
+
+// The cues, as the tones each one plays (see playTone)
+SoundEffects.CUES = {
+    // X: a bright falling click, O: a rounder rising one
+    placeX: [
+        { frequency: 660, to: 520, type: 'triangle', duration: 0.12 }
+    ],
+    placeO: [
+        { frequency: 440, to: 560, duration: 0.15 }
+    ],
+    // The oldest piece fading off the board
+    expire: [
+        { frequency: 500, to: 180, duration: 0.35, gain: 0.2 }
+    ],
+    // The piece the next move removes - two soft ticks
+    warning: [
+        { frequency: 880, type: 'square', duration: 0.05, gain: 0.04, delay: 0.12 },
+        { frequency: 880, type: 'square', duration: 0.05, gain: 0.04, delay: 0.22 }
+    ],
+    // The computer starts thinking
+    thinking: [
+        { frequency: 300, duration: 0.1, gain: 0.1 },
+        { frequency: 360, duration: 0.1, gain: 0.1, delay: 0.12 }
+    ],
+    // Rising major arpeggio
+    win: [
+        { frequency: 523, type: 'triangle', duration: 0.18 },
+        { frequency: 659, type: 'triangle', duration: 0.18, delay: 0.12 },
+        { frequency: 784, type: 'triangle', duration: 0.18, delay: 0.24 },
+        { frequency: 1047, type: 'triangle', duration: 0.4, delay: 0.36 }
+    ],
+    // A quick sweep down as the board clears
+    reset: [
+        { frequency: 800, to: 300, duration: 0.2, gain: 0.15 }
+    ]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SoundEffects;
+}
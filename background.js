@@ -1,14 +1,16 @@
 /**
- * Background Animation - Simple Falling Stars
- * Lightweight and smooth falling stars animation
- * 
+ * Background Animation - Falling Stars or Snow
+ * Lightweight and smooth background effects, coloured by the theme (see themes.js),
+ * and the burst of sparks along the winning line
+ *
  * @author Abdessamad Guiadiri
  * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
  */
 
 class Star {
-    constructor(canvas) {
+    constructor(canvas, color) {
         this.canvas = canvas;
+        this.tint = color; // Theme colour as 'r, g, b'
         this.reset();
         this.y = Math.random() * canvas.height; // Start at random position
     }
@@ -20,9 +22,9 @@ class Star {
         this.speed = Math.random() * 1.5 + 0.5;
         this.opacity = Math.random() * 0.7 + 0.3;
         
-        // Simple color variation
-        const brightness = Math.floor(Math.random() * 100 + 155);
-        this.color = `${brightness}, ${brightness}, ${brightness + 50}`;
+        // Simple color variation around the theme colour
+        const shade = Math.random() * 0.4 + 0.6;
+        this.color = this.tint.split(',').map(value => Math.round(parseInt(value) * shade)).join(', ');
     }
 
     update() {
@@ -48,6 +50,30 @@ class Star {
     }
 }
 
+// Larger, slower flakes that sway from side to side as they fall
+class Snowflake extends Star {
+    reset() {
+        super.reset();
+        this.size = Math.random() * 2.5 + 1.5;
+        this.speed = Math.random() * 0.8 + 0.3;
+        this.sway = Math.random() * Math.PI * 2;
+        this.color = this.tint;
+    }
+
+    update() {
+        this.sway += 0.02;
+        this.x += Math.sin(this.sway) * 0.5;
+        super.update();
+    }
+
+    draw(ctx) {
+        ctx.fillStyle = `rgba(${this.color}, ${this.opacity})`;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
 class StarryBackground {
     constructor() {
         this.canvas = document.getElementById('backgroundCanvas');
@@ -56,20 +82,76 @@ class StarryBackground {
         this.ctx = this.canvas.getContext('2d');
         this.stars = [];
         this.starCount = 50; // Reduced for better performance
+        this.effect = 'stars'; // 'stars', 'snow' or 'none'
+        this.trailColor = '15, 12, 41';
+        this.starColor = '200, 200, 255';
+        this.sparkColor = '255, 215, 0';
         this.explosionStars = [];
+        this.frame = null;
         
         this.init();
-        this.animate();
+        
+        // No animation for players who asked their system for reduced motion
+        this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        if (this.reducedMotion) {
+            this.reducedMotion.addEventListener('change', () => this.updateMotion());
+        }
+        
+        // Nobody sees the animation in a hidden tab - stop drawing until it comes back
+        document.addEventListener('visibilitychange', () => this.updateMotion());
+        this.updateMotion();
         
         window.addEventListener('resize', () => this.handleResize());
     }
 
+    /**
+     * Apply a theme's background (see Theme.getBackground in themes.js)
+     * @param {Object} options - {effect, density, trail, particles, spark}
+     */
+    configure(options) {
+        if (!this.canvas) return;
+        
+        this.effect = options.effect;
+        this.starCount = options.density;
+        this.trailColor = options.trail;
+        this.starColor = options.particles;
+        this.sparkColor = options.spark;
+        this.init();
+        
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.updateMotion();
+    }
+
+    canAnimate() {
+        return !(this.reducedMotion && this.reducedMotion.matches) && !document.hidden;
+    }
+
+    updateMotion() {
+        if (!this.canAnimate()) {
+            // Sparks of a hidden tab would all burst at once on its return
+            this.stop();
+        } else if (this.frame === null && (this.effect !== 'none' || this.explosionStars.length > 0)) {
+            this.animate();
+        }
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.explosionStars = [];
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
     init() {
         this.resizeCanvas();
         this.stars = [];
+        if (this.effect === 'none') {
+            return;
+        }
         
+        const Particle = this.effect === 'snow' ? Snowflake : Star;
         for (let i = 0; i < this.starCount; i++) {
-            this.stars.push(new Star(this.canvas));
+            this.stars.push(new Particle(this.canvas, this.starColor));
         }
     }
 
@@ -82,32 +164,54 @@ class StarryBackground {
         this.resizeCanvas();
     }
 
-    triggerExplosion() {
-        // Create explosion stars
+    /**
+     * Burst sparks out of the winning line
+     * @param {Object} [line] - {x1, y1, x2, y2} in page (viewport) coordinates;
+     *     without one the sparks burst from the centre of the screen
+     */
+    triggerExplosion(line) {
+        if (!this.canvas || !this.canAnimate()) {
+            return;
+        }
+        const centreX = this.canvas.width / 2;
+        const centreY = this.canvas.height / 2;
+        const { x1, y1, x2, y2 } = line || { x1: centreX, y1: centreY, x2: centreX, y2: centreY };
+        
+        // Create explosion stars, spread along the line
         for (let i = 0; i < 30; i++) {
+            const along = Math.random();
             this.explosionStars.push({
-                x: this.canvas.width / 2,
-                y: this.canvas.height / 2,
+                x: x1 + (x2 - x1) * along,
+                y: y1 + (y2 - y1) * along,
                 vx: (Math.random() - 0.5) * 10,
                 vy: (Math.random() - 0.5) * 10 - 3,
                 size: Math.random() * 3 + 1,
                 life: 1,
-                color: `255, ${Math.floor(Math.random() * 100 + 155)}, 0`
+                color: this.sparkColor
             });
         }
+        
+        // Without a background effect the animation only runs for the sparks
+        if (this.frame === null) {
+            this.animate();
+        }
     }
 
     animate() {
-        // Clear with slight trail
-        this.ctx.fillStyle = 'rgba(15, 12, 41, 0.15)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
+        // Clear with slight trail - or, with no background effect, clear completely
+        if (this.effect === 'none') {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        } else {
+            this.ctx.fillStyle = `rgba(${this.trailColor}, 0.15)`;
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        
         // Draw normal stars
         this.stars.forEach(star => {
             star.update();
             star.draw(this.ctx);
         });
-
+        
         // Draw and update explosion stars
         this.explosionStars = this.explosionStars.filter(star => {
             star.vy += 0.2; // Gravity
@@ -124,8 +228,15 @@ class StarryBackground {
             }
             return false;
         });
-
-        requestAnimationFrame(() => this.animate());
+        
+        // The sparks are gone and there is nothing else to draw
+        if (this.effect === 'none' && this.explosionStars.length === 0) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.frame = null;
+            return;
+        }
+        
+        this.frame = requestAnimationFrame(() => this.animate());
     }
 }
 
@@ -136,8 +247,14 @@ document.addEventListener('DOMContentLoaded', () => {
     starryBackground = new StarryBackground();
 });
 
-window.triggerStarExplosion = function() {
+window.triggerStarExplosion = function(line) {
+    if (starryBackground) {
+        starryBackground.triggerExplosion(line);
+    }
+};
+
+window.setBackgroundTheme = function(options) {
     if (starryBackground) {
-        starryBackground.triggerExplosion();
+        starryBackground.configure(options);
     }
 };
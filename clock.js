@@ -0,0 +1,167 @@
+/**
+ * Clock.js - Chess-clock Style Time Controls
+ * Counts down the time of the player to move, either a fixed time for each move
+ * or a time bank for the whole game, and remembers the time at each move so
+ * undo gives it back. DOM-free, so it loads in Node as well as the browser.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// How often the clock checks for a timeout and reports the time left
+const CLOCK_TICK_MS = 200;
+
+class GameClock {
+    /**
+     * @param {Object} options - Time control
+     * @param {string} options.mode - 'move' (the full time for every move) or 'game' (one bank per player)
+     * @param {number} options.seconds - Time per move or per game
+     */
+    constructor(options = {}) {
+        this.mode = options.mode === 'game' ? 'game' : 'move';
+        this.limit = Math.max(1, options.seconds || 30) * 1000;
+        this.listeners = {};
+        this.paused = false;
+        this.timer = null;
+        this.player = null; // Player whose time is running
+        this.runningSince = null;
+        this.reset();
+    }
+
+    /**
+     * Subscribe to an event: 'tick' ({player, remaining}) while a player's time runs,
+     * and 'timeout' ({player}) when it runs out
+     */
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    emit(event, details) {
+        (this.listeners[event] || []).forEach(listener => listener(details));
+    }
+
+    /**
+     * Stop the clock and give both players their full time
+     */
+    reset() {
+        this.stop();
+        this.remaining = { X: this.limit, O: this.limit };
+        this.turnStart = { X: this.limit, O: this.limit }; // Times when the current turn began
+        this.history = []; // Times when each earlier turn began, for undo
+    }
+
+    /**
+     * Start counting down for a player
+     * @param {string} player - 'X' or 'O'
+     */
+    start(player) {
+        this.stop();
+        this.player = player;
+        if (this.mode === 'move') {
+            this.remaining[player] = this.limit;
+        }
+        this.turnStart = Object.assign({}, this.remaining);
+        this.run();
+    }
+
+    /**
+     * A move was played: keep the times for undo and start the next player's turn
+     * @param {string} nextPlayer - Player to move now
+     */
+    moveMade(nextPlayer) {
+        this.stop();
+        this.history.push(this.turnStart);
+        this.start(nextPlayer);
+    }
+
+    /**
+     * A move was taken back: restore the times from when it was about to be played
+     * @param {string} player - Player to move again
+     */
+    undo(player) {
+        this.stop();
+        const before = this.history.pop();
+        if (before) {
+            this.remaining = Object.assign({}, before);
+        }
+        this.start(player);
+    }
+
+    /**
+     * Stop counting, e.g. while the AI thinks - the time doesn't run until resume()
+     */
+    pause() {
+        this.settle();
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.run();
+    }
+
+    /**
+     * Stop the clock for good, e.g. when the game ends
+     */
+    stop() {
+        this.settle();
+        clearInterval(this.timer);
+        this.timer = null;
+        this.player = null;
+    }
+
+    /**
+     * Get a player's time left
+     * @param {string} player - 'X' or 'O'
+     * @returns {number} - Milliseconds
+     */
+    getRemaining(player) {
+        let remaining = this.remaining[player];
+        if (player === this.player && this.runningSince !== null) {
+            remaining -= Date.now() - this.runningSince;
+        }
+        return Math.max(0, remaining);
+    }
+
+    // Count down for the current player unless paused
+    run() {
+        this.settle();
+        if (!this.player || this.paused) {
+            return;
+        }
+        this.runningSince = Date.now();
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), CLOCK_TICK_MS);
+        }
+        this.emit('tick', { player: this.player, remaining: this.getRemaining(this.player) });
+    }
+
+    // Take the time used so far off the current player's time
+    settle() {
+        if (this.player && this.runningSince !== null) {
+            this.remaining[this.player] = this.getRemaining(this.player);
+        }
+        this.runningSince = null;
+    }
+
+    tick() {
+        if (this.runningSince === null) {
+            return;
+        }
+        const player = this.player;
+        const remaining = this.getRemaining(player);
+        this.emit('tick', { player, remaining });
+        if (remaining <= 0) {
+            this.stop();
+            this.emit('timeout', { player });
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameClock;
+}
@@ -0,0 +1,551 @@
+/**
+ * Engine.js - DOM-free Game Engine for X O
+ * Owns the board, the move order and the sliding-window removal rule (or, in
+ * Ultimate X O, the sub-boards and the send rule), and emits events the UI
+ * subscribes to. Loads in Node as well as the browser.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the shared rules, which the browser gets from rules.js
+if (typeof GameRules === 'undefined' && typeof require === 'function') {
+    globalThis.GameRules = require('./rules.js');
+}
+
+// Version of the serialize() format
+const ENGINE_FORMAT_VERSION = 1;
+
+class GameEngine {
+    /**
+     * @param {Object} options - Game settings
+     * @param {GameRules} options.rules - Rules to play by; otherwise built from the options below
+     * @param {number} options.size - Board width and height
+     * @param {number} options.winLength - Pieces in a row needed to win
+     * @param {number} options.maxMoves - Pieces kept before the oldest is removed
+     *     (Infinity keeps every piece, like classic X O)
+     * @param {number} options.pieceLimit - Pieces each player keeps before their own oldest is removed
+     * @param {boolean} options.misere - Completing a line loses instead of winning
+     * @param {boolean} options.ultimate - Ultimate X O (see GameRules)
+     * @param {string} options.firstPlayer - Player who moves first ('X' by default)
+     */
+    constructor(options = {}) {
+        this.listeners = {};
+        this.configure(options);
+        this.clear();
+    }
+
+    /**
+     * Create a new game
+     * @param {Object} options - Same as the constructor
+     * @returns {GameEngine}
+     */
+    static create(options = {}) {
+        return new GameEngine(options);
+    }
+
+    /**
+     * Create a game starting from a given position rather than an empty board.
+     * Moves made before that position can't be undone.
+     * @param {Object} options - Same as the constructor, plus:
+     * @param {Array} options.board - Board state
+     * @param {Array} options.moveHistory - Pieces on the board in order ({index, player}, oldest first)
+     * @param {string} options.currentPlayer - Player to move
+     * @returns {GameEngine}
+     */
+    static fromPosition(options) {
+        const engine = new GameEngine(options);
+        engine.start = {
+            board: options.board.slice(),
+            moveHistory: options.moveHistory.map(move => ({ index: move.index, player: move.player })),
+            currentPlayer: options.currentPlayer
+        };
+        engine.clear();
+        return engine;
+    }
+
+    /**
+     * Rebuild a game from serialize() output, replaying and checking every move
+     * @param {Object} data - Serialized game
+     * @returns {GameEngine}
+     */
+    static deserialize(data) {
+        if (!data || data.version !== ENGINE_FORMAT_VERSION) {
+            throw new Error('Unsupported game data version');
+        }
+
+        const options = {
+            size: data.size,
+            winLength: data.winLength,
+            maxMoves: data.maxMoves === null ? Infinity : data.maxMoves,
+            pieceLimit: data.pieceLimit || Infinity,
+            misere: data.misere === true,
+            ultimate: data.ultimate === true,
+            firstPlayer: data.firstPlayer
+        };
+        const engine = data.start ?
+            GameEngine.fromPosition(Object.assign(options, data.start)) :
+            new GameEngine(options);
+
+        data.moves.forEach(move => {
+            if (move.player !== engine.currentPlayer) {
+                throw new Error(`Move ${move.index} is out of turn`);
+            }
+            engine.applyMove(move.index);
+        });
+        return engine;
+    }
+
+    /**
+     * Subscribe to an event: 'move', 'expire', 'win', 'draw', 'undo', 'reset' or 'load'
+     * (redo replays a move, so it emits 'expire', 'move' and 'win' like a new move)
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event details
+     */
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    /**
+     * Unsubscribe a listener added with on()
+     */
+    off(event, listener) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(fn => fn !== listener);
+        }
+    }
+
+    emit(event, details) {
+        const listeners = this.listeners[event];
+        if (listeners) {
+            listeners.slice().forEach(listener => listener(details));
+        }
+    }
+
+    /**
+     * Apply rule settings (see the constructor)
+     */
+    configure(options) {
+        this.rules = options.rules instanceof GameRules ? options.rules : new GameRules(options);
+        // Ultimate never removes pieces
+        this.maxMoves = options.maxMoves !== undefined && !this.rules.ultimate ? options.maxMoves : this.rules.maxMoves;
+        this.firstPlayer = options.firstPlayer || 'X';
+        this.start = null;
+    }
+
+    /**
+     * Go back to the starting position without emitting events
+     */
+    clear() {
+        if (this.start) {
+            this.board = this.start.board.slice();
+            this.moveHistory = this.start.moveHistory.map(move => ({ index: move.index, player: move.player }));
+            this.currentPlayer = this.start.currentPlayer;
+        } else {
+            this.board = this.rules.createBoard();
+            this.moveHistory = []; // Pieces on the board, oldest first
+            this.currentPlayer = this.firstPlayer;
+        }
+        this.moves = []; // Every move played, including removed pieces
+        this.redoStack = []; // Moves taken back, most recent last
+        this.winner = null;
+        this.winningLine = null;
+
+        // Ultimate: result of each sub-board ('', 'X', 'O' or 'draw') and the line that won it
+        this.subWinners = null;
+        this.subLines = null;
+        if (this.rules.ultimate) {
+            this.subWinners = new Array(9).fill('');
+            this.subLines = new Array(9).fill(null);
+            for (let sub = 0; sub < 9; sub++) {
+                this.settleSubBoard(sub);
+            }
+        }
+    }
+
+    /**
+     * Start a new game, optionally with new rules
+     * @param {Object} [options] - Same as the constructor
+     */
+    reset(options) {
+        if (options) {
+            this.configure(options);
+        }
+        this.clear();
+        this.emit('reset', { rules: this.rules });
+    }
+
+    /**
+     * Replace the game with a serialized one (see serialize()), checking every move.
+     * Emits a single 'load' event rather than one per move.
+     * @param {Object} data - Serialized game
+     */
+    load(data) {
+        const loaded = GameEngine.deserialize(data);
+        ['rules', 'maxMoves', 'firstPlayer', 'start', 'board', 'moveHistory', 'currentPlayer',
+            'moves', 'redoStack', 'winner', 'winningLine', 'subWinners', 'subLines'].forEach(key => {
+            this[key] = loaded[key];
+        });
+        this.emit('load', { rules: this.rules });
+    }
+
+    /**
+     * Get the cell whose piece is removed by the next move: the oldest piece once
+     * maxMoves are on the board, or else the mover's own oldest piece once they
+     * have pieceLimit on the board
+     * @returns {number} - Cell index, or -1 if nothing is removed
+     */
+    getExpiringIndex() {
+        const position = this.getExpiringPosition();
+        return position === -1 ? -1 : this.moveHistory[position].index;
+    }
+
+    /**
+     * Get the place in moveHistory of the piece removed by the next move
+     * @returns {number} - Index into moveHistory, or -1 if nothing is removed
+     */
+    getExpiringPosition() {
+        if (this.moveHistory.length >= this.maxMoves) {
+            return 0;
+        }
+        const limit = this.rules.pieceLimit;
+        if (limit === Infinity) {
+            return -1;
+        }
+
+        let oldest = -1;
+        let count = 0;
+        for (let i = 0; i < this.moveHistory.length; i++) {
+            if (this.moveHistory[i].player === this.currentPlayer) {
+                if (oldest === -1) {
+                    oldest = i;
+                }
+                count++;
+            }
+        }
+        return count >= limit ? oldest : -1;
+    }
+
+    /**
+     * Ultimate: get the sub-boards the next move may be played in - the one the
+     * last move sends the player to, or any undecided one if that one is decided
+     * (or on the first move)
+     * @returns {Array} - Sub-boards 0-8 (empty once the game is over); null outside Ultimate
+     */
+    getAllowedBoards() {
+        if (!this.rules.ultimate) {
+            return null;
+        }
+        if (this.winner) {
+            return [];
+        }
+        const last = this.moveHistory[this.moveHistory.length - 1];
+        if (last && this.subWinners[this.rules.subCellOf(last.index)] === '') {
+            return [this.rules.subCellOf(last.index)];
+        }
+        const open = [];
+        this.subWinners.forEach((result, sub) => {
+            if (result === '') {
+                open.push(sub);
+            }
+        });
+        return open;
+    }
+
+    /**
+     * Check if a move is legal: the cell is empty, or it holds the oldest
+     * piece which is removed before the new one is placed. In Ultimate the
+     * cell must also be in a sub-board the move is allowed in.
+     * @param {number} index - Cell index
+     * @returns {boolean}
+     */
+    isLegalMove(index) {
+        if (this.winner || index < 0 || index >= this.board.length) {
+            return false;
+        }
+        if (this.rules.ultimate) {
+            return this.board[index] === '' && this.getAllowedBoards().includes(this.rules.subBoardOf(index));
+        }
+        return this.board[index] === '' || index === this.getExpiringIndex();
+    }
+
+    /**
+     * Get every legal move
+     * @returns {Array} - Cell indexes
+     */
+    legalMoves() {
+        if (this.winner) {
+            return [];
+        }
+        if (this.rules.ultimate) {
+            const moves = [];
+            this.getAllowedBoards().forEach(sub => {
+                this.rules.subBoards[sub].forEach(index => {
+                    if (this.board[index] === '') {
+                        moves.push(index);
+                    }
+                });
+            });
+            return moves.sort((a, b) => a - b);
+        }
+        const expiring = this.getExpiringIndex();
+        const moves = [];
+        for (let i = 0; i < this.board.length; i++) {
+            if (this.board[i] === '' || i === expiring) {
+                moves.push(i);
+            }
+        }
+        return moves;
+    }
+
+    /**
+     * Check if the board is full and no piece is due to be removed (a draw),
+     * or in Ultimate if every sub-board is decided
+     * @returns {boolean}
+     */
+    isBoardLocked() {
+        if (this.rules.ultimate) {
+            return this.subWinners.every(result => result !== '');
+        }
+        return this.moveHistory.length >= this.board.length && this.getExpiringPosition() === -1;
+    }
+
+    /**
+     * Ultimate: work out the result of a sub-board from its cells
+     * @param {number} sub - Sub-board 0-8
+     */
+    settleSubBoard(sub) {
+        const line = this.rules.subBoardLines[sub].find(pattern => this.rules.isLineComplete(this.board, pattern));
+        this.subLines[sub] = line || null;
+        if (line) {
+            this.subWinners[sub] = this.board[line[0]];
+        } else {
+            this.subWinners[sub] = this.rules.subBoards[sub].every(index => this.board[index] !== '') ? 'draw' : '';
+        }
+    }
+
+    /**
+     * Place the current player's piece, first removing the piece due to go
+     * (see getExpiringIndex)
+     * @param {number} index - Cell index
+     * @returns {Object} - The move ({index, player, expired, expiredPosition, result, winner},
+     *     and in Ultimate claimed - the result of the sub-board if the move decided it, or null)
+     */
+    applyMove(index) {
+        if (!this.isLegalMove(index)) {
+            throw new Error(`Illegal move: ${index}`);
+        }
+
+        // A new move replaces any moves that were taken back
+        if (this.redoStack.length) {
+            this.redoStack.length = 0;
+        }
+
+        const player = this.currentPlayer;
+        const opponent = player === 'X' ? 'O' : 'X';
+        const expiredPosition = this.getExpiringPosition();
+        let expired = null;
+        if (expiredPosition !== -1) {
+            expired = this.moveHistory.splice(expiredPosition, 1)[0];
+            this.board[expired.index] = '';
+            this.emit('expire', expired);
+        }
+
+        this.board[index] = player;
+        this.moveHistory.push({ index, player });
+        this.currentPlayer = opponent;
+
+        // result is set to 'win' or 'draw' if this move ends the game, and winner to who won
+        const move = { index, player, expired, expiredPosition, result: null, winner: null };
+        if (this.rules.ultimate) {
+            const sub = this.rules.subBoardOf(index);
+            this.settleSubBoard(sub);
+            move.claimed = this.subWinners[sub] || null;
+        }
+        this.moves.push(move);
+        this.emit('move', move);
+
+        // Ultimate is won by a line of sub-boards on the meta-board, drawn from
+        // the centre of the first sub-board to the centre of the last
+        if (this.rules.ultimate) {
+            const sub = this.rules.subBoardOf(index);
+            const metaRules = this.rules.metaRules;
+            if (move.claimed === player && metaRules.checkWinAt(this.subWinners, sub)) {
+                const metaLine = metaRules.linesThrough[sub].find(line => metaRules.isLineComplete(this.subWinners, line));
+                this.winner = player;
+                this.winningLine = metaLine.map(board => this.rules.subBoards[board][4]);
+                move.result = 'win';
+                move.winner = player;
+                this.emit('win', { winner: player, line: this.winningLine });
+            } else if (this.isBoardLocked()) {
+                move.result = 'draw';
+                this.emit('draw', {});
+            }
+            return move;
+        }
+
+        // Removing a piece never completes a line, so only the new piece can win
+        // (or lose, in misère)
+        if (this.rules.checkWinAt(this.board, index)) {
+            this.winner = this.rules.misere ? opponent : player;
+            this.winningLine = this.rules.linesThrough[index].find(line => this.rules.isLineComplete(this.board, line));
+            move.result = 'win';
+            move.winner = this.winner;
+            this.emit('win', { winner: this.winner, line: this.winningLine });
+        } else if (this.isBoardLocked()) {
+            move.result = 'draw';
+            this.emit('draw', {});
+        }
+
+        return move;
+    }
+
+    /**
+     * Take back the last move, restoring the piece it removed.
+     * The move can be played again with redo().
+     * @returns {Object|null} - The move taken back, or null if there is none
+     */
+    undo() {
+        const move = this.moves.pop();
+        if (!move) {
+            return null;
+        }
+        this.redoStack.push(move);
+
+        this.moveHistory.pop();
+        this.board[move.index] = '';
+        if (move.expired) {
+            this.moveHistory.splice(move.expiredPosition, 0, move.expired);
+            this.board[move.expired.index] = move.expired.player;
+        }
+        this.currentPlayer = move.player;
+        this.winner = null;
+        this.winningLine = null;
+        if (this.rules.ultimate) {
+            this.settleSubBoard(this.rules.subBoardOf(move.index));
+        }
+
+        this.emit('undo', move);
+        return move;
+    }
+
+    /**
+     * Play again the last move taken back with undo()
+     * @returns {Object|null} - The move played, or null if there is none
+     */
+    redo() {
+        const next = this.redoStack.pop();
+        if (!next) {
+            return null;
+        }
+
+        // applyMove clears the redo stack - keep the remaining moves
+        const remaining = this.redoStack.slice();
+        const move = this.applyMove(next.index);
+        this.redoStack = remaining;
+        return move;
+    }
+
+    canUndo() {
+        return this.moves.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Step backwards or forwards through the game to the position after a given move
+     * @param {number} moveCount - Number of moves played (0 is the starting position)
+     */
+    goTo(moveCount) {
+        while (this.moves.length > moveCount && this.undo()) {
+            // Keep undoing
+        }
+        while (this.moves.length < moveCount && this.redo()) {
+            // Keep redoing
+        }
+    }
+
+    /**
+     * Get every move of the game, including moves taken back, with the move
+     * that removed each piece under the sliding-window rule
+     * @returns {Array} - [{number, index, player, removedBy, undone}], in order;
+     *     number and removedBy count from 1, removedBy is null while the piece is on the board
+     */
+    timeline() {
+        const allMoves = this.moves.concat(this.redoStack.slice().reverse());
+        const entries = allMoves.map((move, i) => ({
+            number: i + 1,
+            index: move.index,
+            player: move.player,
+            removedBy: null,
+            undone: i >= this.moves.length
+        }));
+
+        // Follow the pieces on the board like moveHistory, starting with any from the start position
+        const onBoard = this.start ? this.start.moveHistory.map(() => null) : [];
+        allMoves.forEach((move, i) => {
+            if (move.expired) {
+                const removed = onBoard.splice(move.expiredPosition, 1)[0];
+                if (removed) {
+                    removed.removedBy = i + 1;
+                }
+            }
+            onBoard.push(entries[i]);
+        });
+
+        return entries;
+    }
+
+    /**
+     * Get the game status
+     * @returns {Object} - {state: 'playing' | 'won' | 'draw', winner, line}
+     */
+    status() {
+        if (this.winner) {
+            return { state: 'won', winner: this.winner, line: this.winningLine };
+        }
+        if (this.isBoardLocked()) {
+            return { state: 'draw', winner: null, line: null };
+        }
+        return { state: 'playing', winner: null, line: null };
+    }
+
+    /**
+     * Get a plain JSON-safe description of the game
+     * @returns {Object} - Input for GameEngine.deserialize
+     */
+    serialize() {
+        const data = {
+            version: ENGINE_FORMAT_VERSION,
+            size: this.rules.size,
+            winLength: this.rules.winLength,
+            maxMoves: Number.isFinite(this.maxMoves) ? this.maxMoves : null,
+            firstPlayer: this.firstPlayer,
+            moves: this.moves.map(move => ({ index: move.index, player: move.player }))
+        };
+        // Variants only - games under the standard rules keep the original format
+        if (Number.isFinite(this.rules.pieceLimit)) {
+            data.pieceLimit = this.rules.pieceLimit;
+        }
+        if (this.rules.misere) {
+            data.misere = true;
+        }
+        if (this.rules.ultimate) {
+            data.ultimate = true;
+        }
+        if (this.start) {
+            data.start = JSON.parse(JSON.stringify(this.start));
+        }
+        return data;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
@@ -10,333 +10,2906 @@
  * @github https://github.com/abdessamad159
  */
 
-// Game State
+// AI search settings
+const AI_THINK_TIME = 1000; // Time budget per AI move in milliseconds
+const AI_MOVE_DELAY = 300; // Shortest pause before the AI moves, so replies don't feel instant
+const ANALYSIS_TIME = 500; // Time budget for the move analysis in milliseconds
+const SAVED_GAME_VERSION = 1; // Version of the game saved in localStorage (xoGameSession)
+const ANNOUNCE_DELAY = 100; // Wait for the events of one move so they're read out together
+const ARENA_NEXT_GAME_DELAY = 2000; // Pause on a finished game before the spectator mode starts the next
+
+// Game Engine - owns the board, turns and move order (see engine.js)
+const engine = GameEngine.create(GameRules.PRESETS[3]);
+
+// Game State (UI settings - the position itself lives in the engine)
 const gameState = {
-    board: ['', '', '', '', '', '', '', '', ''],
-    currentPlayer: 'X',
-    gameMode: 'ai', // 'ai' or '2p'
+    boardSize: 3, // 3, 4, 5, 15, or 9 for Ultimate (see GameRules.PRESETS)
+    gameMode: 'ai', // 'ai', '2p', 'online', 'arena' (the computer plays itself) or 'puzzle'
+    difficulty: 'impossible', // AI strategy (see strategy.js): 'easy', 'medium', 'hard', 'impossible' or 'mcts'
+    playouts: 2000, // Games the Monte Carlo strategy plays out per move
+    aiPlayer: 'O', // Side the computer plays in AI mode
+    arena: { X: 'impossible', O: 'medium' }, // Strategy of each side in the spectator mode (see arena.js)
+    seriesFormat: '', // 'bestOf:N' or 'firstTo:N' for a series (see series.js), '' for single games
+    timeControl: '', // 'move:S' or 'game:S' for a clock (see clock.js), '' for untimed games
+    timeoutRandom: false, // Play a random move when the time per move runs out, rather than lose
+    timedOut: null, // Player who ran out of time, which ends the game
+    repeated: false, // Same position ARENA_REPETITIONS times in the spectator mode, which ends the game as a draw
+    rules: {
+        eviction: 'window', // 'window' (oldest piece on the board), 'player' (each player's oldest) or 'none'
+        window: 0, // Pieces on the board before the oldest is removed (0 for every cell)
+        pieceLimit: 3, // Pieces each player keeps, Three Men's Morris style
+        misere: false // Completing a line loses
+    },
+    showAnalysis: false, // Show move evaluations on the board
+    highContrast: false, // Plain high-contrast colours instead of gradients
+    theme: new Theme(), // Palette, piece symbols and background effect (see themes.js)
     scores: {
         X: 0,
         O: 0,
         draws: 0
     },
-    winningLine: null,
-    moveHistory: [], // Track move order for infinite gameplay
-    maxMoves: 9, // Maximum moves before removing oldest
-    isProcessing: false // Prevent multiple simultaneous moves
+    isProcessing: false, // Prevent multiple simultaneous moves
+    online: null // Online room joined: {code, role, players, spectators}
 };
 
-// Winning combinations
-const winPatterns = [
-    [0, 1, 2], // Top row
-    [3, 4, 5], // Middle row
-    [6, 7, 8], // Bottom row
-    [0, 3, 6], // Left column
-    [1, 4, 7], // Middle column
-    [2, 5, 8], // Right column
-    [0, 4, 8], // Diagonal \
-    [2, 4, 6]  // Diagonal /
-];
-
 // DOM Elements
-const cells = document.querySelectorAll('.cell');
+const gameBoard = document.getElementById('gameBoard');
+let cells = [];
+let focusedCell = 0; // Cell that takes the keyboard focus (the only one in the tab order)
 const currentPlayerDisplay = document.getElementById('currentPlayer');
 const gameStatusDisplay = document.getElementById('gameStatus');
 const scoreXDisplay = document.getElementById('scoreX');
 const scoreODisplay = document.getElementById('scoreO');
 const scoreDrawsDisplay = document.getElementById('scoreDraws');
+const scoreLabelX = document.getElementById('scoreLabelX');
+const scoreLabelO = document.getElementById('scoreLabelO');
+const seriesSelection = document.getElementById('seriesSelection');
+const seriesFormatSelect = document.getElementById('seriesFormat');
+const aiSideOption = document.getElementById('aiSideOption');
+const aiPlaysXInput = document.getElementById('aiPlaysX');
+const seriesBoard = document.getElementById('seriesBoard');
+const seriesName = document.getElementById('seriesName');
+const seriesScoreX = document.getElementById('seriesScoreX');
+const seriesScoreO = document.getElementById('seriesScoreO');
+const seriesProgress = document.getElementById('seriesProgress');
+const seriesSummary = document.getElementById('seriesSummary');
+const seriesResult = document.getElementById('seriesResult');
+const seriesGames = document.getElementById('seriesGames');
+const seriesAverage = document.getElementById('seriesAverage');
+const newSeriesBtn = document.getElementById('newSeriesBtn');
+const timeSelection = document.getElementById('timeSelection');
+const timeControlSelect = document.getElementById('timeControl');
+const timeoutRandomOption = document.getElementById('timeoutRandomOption');
+const timeoutRandomInput = document.getElementById('timeoutRandom');
+const moveClockDisplay = document.getElementById('moveClock');
+const rulesPanel = document.getElementById('rulesPanel');
+const rulesDescription = document.getElementById('rulesDescription');
+const evictionRuleSelect = document.getElementById('evictionRule');
+const windowOption = document.getElementById('windowOption');
+const evictionWindowInput = document.getElementById('evictionWindow');
+const pieceLimitOption = document.getElementById('pieceLimitOption');
+const pieceLimitInput = document.getElementById('pieceLimit');
+const misereRuleInput = document.getElementById('misereRule');
+const themeDescription = document.getElementById('themeDescription');
+const themePaletteSelect = document.getElementById('themePalette');
+const themeVariantSelect = document.getElementById('themeVariant');
+const themePiecesSelect = document.getElementById('themePieces');
+const themeBackgroundSelect = document.getElementById('themeBackground');
+const themeDensityOption = document.getElementById('themeDensityOption');
+const themeDensityInput = document.getElementById('themeDensity');
+const soundBtn = document.getElementById('soundBtn');
+const soundIcon = document.getElementById('soundIcon');
+const soundDescription = document.getElementById('soundDescription');
+const soundVolumeInput = document.getElementById('soundVolume');
+const soundCueInputs = document.querySelectorAll('[data-cue]');
 const newGameBtn = document.getElementById('newGameBtn');
 const resetScoreBtn = document.getElementById('resetScoreBtn');
 const aiModeBtn = document.getElementById('aiModeBtn');
 const twoPlayerBtn = document.getElementById('twoPlayerBtn');
+const onlineModeBtn = document.getElementById('onlineModeBtn');
+const arenaModeBtn = document.getElementById('arenaModeBtn');
+const arenaPanel = document.getElementById('arenaPanel');
+const arenaXSelect = document.getElementById('arenaX');
+const arenaOSelect = document.getElementById('arenaO');
+const arenaPauseBtn = document.getElementById('arenaPauseBtn');
+const puzzleModeBtn = document.getElementById('puzzleModeBtn');
+const puzzlePanel = document.getElementById('puzzlePanel');
+const puzzleProgressDisplay = document.getElementById('puzzleProgress');
+const puzzleList = document.getElementById('puzzleList');
+const puzzleGoal = document.getElementById('puzzleGoal');
+const puzzleHintBtn = document.getElementById('puzzleHintBtn');
+const puzzleRetryBtn = document.getElementById('puzzleRetryBtn');
+const puzzleNextBtn = document.getElementById('puzzleNextBtn');
+const onlinePanel = document.getElementById('onlinePanel');
+const onlineSetup = document.getElementById('onlineSetup');
+const onlineServerInput = document.getElementById('onlineServer');
+const onlineNameInput = document.getElementById('onlineName');
+const createRoomBtn = document.getElementById('createRoomBtn');
+const joinCodeInput = document.getElementById('joinCode');
+const joinRoomBtn = document.getElementById('joinRoomBtn');
+const onlineRoom = document.getElementById('onlineRoom');
+const roomCodeDisplay = document.getElementById('roomCode');
+const onlineStatusDisplay = document.getElementById('onlineStatus');
+const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+const offlineIndicator = document.getElementById('offlineIndicator');
+const updatePrompt = document.getElementById('updatePrompt');
+const updateBtn = document.getElementById('updateBtn');
+const updateLaterBtn = document.getElementById('updateLaterBtn');
+const resumePrompt = document.getElementById('resumePrompt');
+const resumeText = document.getElementById('resumeText');
+const resumeGameBtn = document.getElementById('resumeGameBtn');
+const discardGameBtn = document.getElementById('discardGameBtn');
+const statsBtn = document.getElementById('statsBtn');
+const statsPanel = document.getElementById('statsPanel');
+const statsCloseBtn = document.getElementById('statsCloseBtn');
+const profileSelect = document.getElementById('profileSelect');
+const addProfileBtn = document.getElementById('addProfileBtn');
+const renameProfileBtn = document.getElementById('renameProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const statsSummary = document.getElementById('statsSummary');
+const statsTable = document.getElementById('statsTable');
+const statsNote = document.getElementById('statsNote');
+const difficultySelection = document.getElementById('difficultySelection');
+const difficultyBtns = document.querySelectorAll('.difficulty-btn');
+const playoutsSelection = document.getElementById('playoutsSelection');
+const playoutsSelect = document.getElementById('mctsPlayouts');
+const sizeSelection = document.getElementById('sizeSelection');
+const sizeBtns = document.querySelectorAll('.size-btn');
 const winLineSvg = document.getElementById('winLine');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const moveTimeline = document.getElementById('moveTimeline');
+const exportBtn = document.getElementById('exportBtn');
+const downloadBtn = document.getElementById('downloadBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFile');
+const replayBtn = document.getElementById('replayBtn');
+const replayBar = document.getElementById('replayBar');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replayBackBtn = document.getElementById('replayBackBtn');
+const replayForwardBtn = document.getElementById('replayForwardBtn');
+const replaySeek = document.getElementById('replaySeek');
+const replayPosition = document.getElementById('replayPosition');
+const replaySpeed = document.getElementById('replaySpeed');
+const replayExitBtn = document.getElementById('replayExitBtn');
+const analysisBtn = document.getElementById('analysisBtn');
+const contrastBtn = document.getElementById('contrastBtn');
+const languageSelect = document.getElementById('languageSelect');
+const announcer = document.getElementById('announcer');
+const analysisLegend = document.getElementById('analysisLegend');
+const searchInfo = document.getElementById('searchInfo');
+
+// AI searches run in a worker (see ai-client.js) - one for moves, one for the analysis
+const aiClient = new AIClient();
+const analysisClient = new AIClient();
+
+// Sound effects (see audio.js) - silent until the first click or key press unlocks them
+const sound = new SoundEffects();
+
+// Pending AI move, waiting out AI_MOVE_DELAY
+let aiMoveTimer = null;
+
+// Replay being shown (see replay.js), or null
+let replay = null;
+
+// Pending move analysis
+let analysisTimer = null;
+
+// Connection to the online server (see online.js), while in the online mode
+let online = null;
+
+// Profile database (see stats.js) and the profile playing - null until opened,
+// or if IndexedDB isn't available, in which case scores stay in localStorage
+let stats = null;
+let profile = null;
+
+// Id (a promise) of the last game stored, so taking back its final move can remove it
+let lastRecordedGame = null;
+
+// Game saved before the page was closed, while the player decides whether to resume it
+let pendingSavedGame = null;
+
+// Series being played (see series.js) - null for single games
+let series = null;
+
+// Clock of a timed game (see clock.js) - null for untimed games
+let clock = null;
+
+// Spectator mode (AI vs AI): results of the games watched, how often each position
+// of the current game came up, and the pending start of the next game
+let arenaTally = { X: 0, O: 0, draws: 0 };
+let arenaPositions = new Map();
+let arenaTimer = null;
+let arenaPaused = false;
 
-// AI Instance
-let ai = new TicTacToeAI('O', 'X');
+// Puzzle being solved (see puzzles.js): {entry (from PuzzleBook.PUZZLES), movesLeft,
+// hint (cell shown, or -1), failed, solved} - and the progress on each puzzle tried,
+// {attempts, hints, solved}, with the puzzle last chosen
+let puzzle = null;
+let puzzleProgress = { current: null, puzzles: {} };
+
+// Offline play (see service-worker.js): a new version waiting to take over,
+// and whether the player asked for it
+let waitingWorker = null;
+let updateAccepted = false;
+
+// Messages waiting to be read out by screen readers
+let announcements = [];
+
+// Language of the interface (see i18n.js)
+let locale = new Translator('ar');
 
 // Initialize game
 function init() {
+    loadLanguage();
     loadScores();
+    loadDifficulty();
+    loadMatchSettings();
+    loadRules();
+    loadContrast();
+    loadTheme();
+    loadSound();
+    loadPuzzles();
+    loadBoardSize();
+    renderBoard();
+    subscribeToEngine();
+    updateHistoryDisplay();
     updateScoreDisplay();
+    updateDifficultyDisplay();
+    updateArenaDisplay();
+    updatePuzzleDisplay();
+    updateBoardSizeDisplay();
+    updateRulesDisplay();
     updateCurrentPlayerDisplay();
     attachEventListeners();
+    resumeOnlineSession();
+    startSeries();
+    startClock();
+    offerSavedGame();
+    openStats();
+    registerServiceWorker();
+    updateOfflineIndicator();
+    
+    // The AI opens the game when it plays first
+    if (!pendingSavedGame) {
+        scheduleAIMove();
+    }
 }
 
 // Attach event listeners
 function attachEventListeners() {
-    cells.forEach(cell => {
-        cell.addEventListener('click', handleCellClick);
-    });
-    
     newGameBtn.addEventListener('click', resetGame);
+    undoBtn.addEventListener('click', undoMove);
+    redoBtn.addEventListener('click', redoMove);
+    moveTimeline.addEventListener('click', handleTimelineClick);
+    exportBtn.addEventListener('click', copyGameRecord);
+    downloadBtn.addEventListener('click', downloadGameRecord);
+    importBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', importGameRecord);
+    replayBtn.addEventListener('click', startReplay);
+    replayPlayBtn.addEventListener('click', () => replay && replay.toggle());
+    replayBackBtn.addEventListener('click', () => replay && (replay.pause(), replay.stepBack()));
+    replayForwardBtn.addEventListener('click', () => replay && (replay.pause(), replay.stepForward()));
+    replaySeek.addEventListener('input', () => replay && (replay.pause(), replay.seek(parseInt(replaySeek.value))));
+    replaySpeed.addEventListener('change', () => replay && replay.setSpeed(parseFloat(replaySpeed.value)));
+    replayExitBtn.addEventListener('click', exitReplay);
+    analysisBtn.addEventListener('click', toggleAnalysis);
+    contrastBtn.addEventListener('click', () => setHighContrast(!gameState.highContrast));
+    languageSelect.addEventListener('change', () => {
+        setLanguage(languageSelect.value);
+        refreshLanguage();
+    });
+    gameBoard.addEventListener('keydown', handleBoardKey);
+    document.addEventListener('keydown', handleShortcutKey);
     resetScoreBtn.addEventListener('click', resetScores);
     aiModeBtn.addEventListener('click', () => setGameMode('ai'));
     twoPlayerBtn.addEventListener('click', () => setGameMode('2p'));
+    onlineModeBtn.addEventListener('click', () => setGameMode('online'));
+    arenaModeBtn.addEventListener('click', () => setGameMode('arena'));
+    arenaXSelect.addEventListener('change', () => setArenaStrategy('X', arenaXSelect.value));
+    arenaOSelect.addEventListener('change', () => setArenaStrategy('O', arenaOSelect.value));
+    arenaPauseBtn.addEventListener('click', () => setArenaPaused(!arenaPaused));
+    puzzleModeBtn.addEventListener('click', () => setGameMode('puzzle'));
+    puzzleList.addEventListener('click', handlePuzzleListClick);
+    puzzleHintBtn.addEventListener('click', showPuzzleHint);
+    puzzleRetryBtn.addEventListener('click', resetGame);
+    puzzleNextBtn.addEventListener('click', nextPuzzle);
+    createRoomBtn.addEventListener('click', createRoom);
+    joinRoomBtn.addEventListener('click', joinRoom);
+    joinCodeInput.addEventListener('keydown', event => event.key === 'Enter' && joinRoom());
+    leaveRoomBtn.addEventListener('click', leaveRoom);
+    resumeGameBtn.addEventListener('click', resumeSavedGame);
+    seriesFormatSelect.addEventListener('change', () => setSeriesFormat(seriesFormatSelect.value));
+    aiPlaysXInput.addEventListener('change', () => setAIPlayer(aiPlaysXInput.checked ? 'X' : 'O'));
+    newSeriesBtn.addEventListener('click', resetGame);
+    timeControlSelect.addEventListener('change', () => setTimeControl(timeControlSelect.value));
+    evictionRuleSelect.addEventListener('change', () => setRules({ eviction: evictionRuleSelect.value }));
+    evictionWindowInput.addEventListener('change', () => setRules({ window: parseInt(evictionWindowInput.value) || 0 }));
+    pieceLimitInput.addEventListener('change', () => setRules({ pieceLimit: parseInt(pieceLimitInput.value) || 3 }));
+    misereRuleInput.addEventListener('change', () => setRules({ misere: misereRuleInput.checked }));
+    timeoutRandomInput.addEventListener('change', () => {
+        gameState.timeoutRandom = timeoutRandomInput.checked;
+        saveMatchSettings();
+    });
+    themePaletteSelect.addEventListener('change', () => setTheme({ palette: themePaletteSelect.value }));
+    themeVariantSelect.addEventListener('change', () => setTheme({ variant: themeVariantSelect.value }));
+    themePiecesSelect.addEventListener('change', () => setTheme({ pieces: themePiecesSelect.value }));
+    themeBackgroundSelect.addEventListener('change', () => setTheme({ background: themeBackgroundSelect.value }));
+    themeDensityInput.addEventListener('change', () => setTheme({ density: parseInt(themeDensityInput.value) }));
+    soundBtn.addEventListener('click', () => setSound({ muted: !sound.muted }));
+    soundVolumeInput.addEventListener('change', () => setSound({ volume: parseInt(soundVolumeInput.value) / 100 }));
+    soundCueInputs.forEach(input => {
+        input.addEventListener('change', () => setSound({ cues: { [input.dataset.cue]: input.checked } }));
+    });
+    // Browsers only start audio from a user gesture
+    ['click', 'keydown'].forEach(type => {
+        document.addEventListener(type, () => sound.unlock(), { capture: true, once: true });
+    });
+    discardGameBtn.addEventListener('click', discardSavedGame);
+    updateBtn.addEventListener('click', applyUpdate);
+    updateLaterBtn.addEventListener('click', () => updatePrompt.classList.add('hidden'));
+    window.addEventListener('online', updateOfflineIndicator);
+    window.addEventListener('offline', updateOfflineIndicator);
+    statsBtn.addEventListener('click', toggleStats);
+    statsCloseBtn.addEventListener('click', toggleStats);
+    profileSelect.addEventListener('change', () => switchProfile(parseInt(profileSelect.value)));
+    addProfileBtn.addEventListener('click', addProfile);
+    renameProfileBtn.addEventListener('click', renameProfile);
+    deleteProfileBtn.addEventListener('click', deleteProfile);
+    difficultyBtns.forEach(btn => {
+        btn.addEventListener('click', () => setDifficulty(btn.getAttribute('data-difficulty')));
+    });
+    playoutsSelect.addEventListener('change', () => setPlayouts(parseInt(playoutsSelect.value)));
+    sizeBtns.forEach(btn => {
+        btn.addEventListener('click', () => setBoardSize(parseInt(btn.getAttribute('data-size'))));
+    });
+}
+
+// Keep the UI in sync with the engine
+function subscribeToEngine() {
+    // A new or loaded game stops the AI mid-think
+    engine.on('reset', cancelAIMove);
+    engine.on('load', cancelAIMove);
+    
+    engine.on('expire', handleExpire);
+    engine.on('move', handleMove);
+    engine.on('win', ({ winner, line }) => handleWin(winner, line));
+    engine.on('draw', handleDraw);
+    engine.on('reset', handleReset);
+    engine.on('undo', handleUndo);
+    engine.on('load', handleLoad);
+    
+    // Keep the clock with the game - undo gives back the time of the moves taken back
+    engine.on('move', () => clock && clock.moveMade(engine.currentPlayer));
+    engine.on('undo', () => clock && clock.undo(engine.currentPlayer));
+    engine.on('win', () => clock && clock.stop());
+    engine.on('draw', () => clock && clock.stop());
+    engine.on('reset', restartClock);
+    engine.on('load', restartClock);
+    
+    // Keep the timeline, undo/redo buttons and analysis current
+    ['move', 'undo', 'reset', 'load'].forEach(event => {
+        engine.on(event, updateHistoryDisplay);
+        engine.on(event, scheduleAnalysis);
+        engine.on(event, saveGame);
+    });
+    
+    // Save again once a result has been counted in the series
+    engine.on('win', saveGame);
+    engine.on('draw', saveGame);
+    
+    // The spectator mode counts its own results, watches for repeated positions
+    // and moves on to the next game
+    engine.on('move', trackArenaPosition);
+    engine.on('win', ({ winner }) => finishArenaGame(winner));
+    engine.on('draw', () => finishArenaGame(null));
+    engine.on('reset', clearArenaGame);
+    engine.on('load', clearArenaGame);
+    
+    // Puzzles count a win as solved, and keep the order of the pieces on show
+    engine.on('win', ({ winner }) => finishPuzzle(winner));
+    engine.on('move', updatePuzzleDisplay);
+    engine.on('load', updatePuzzleDisplay);
+}
+
+// Render one cell per board square, as an ARIA grid of rows
+// (the rows are display: contents, so the cells still lay out in the board's CSS grid)
+function renderBoard() {
+    const rules = engine.rules;
+    gameBoard.innerHTML = '';
+    gameBoard.style.setProperty('--board-size', rules.size);
+    gameBoard.setAttribute('data-size', rules.size);
+    gameBoard.setAttribute('aria-label', locale.t('board.label', { size: rules.size }));
+
+    cells = [];
+    focusedCell = Math.floor(rules.cellCount / 2); // Start from the centre
+    for (let row = 0; row < rules.size; row++) {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'board-row';
+        rowElement.setAttribute('role', 'row');
+        for (let col = 0; col < rules.size; col++) {
+            const i = row * rules.size + col;
+            const cell = document.createElement('div');
+            cell.className = 'cell';
+            cell.setAttribute('data-index', i);
+            cell.setAttribute('role', 'gridcell');
+            cell.tabIndex = i === focusedCell ? 0 : -1;
+            cell.addEventListener('click', handleCellClick);
+            cell.addEventListener('focus', () => setFocusedCell(i));
+            rowElement.appendChild(cell);
+            cells.push(cell);
+        }
+        gameBoard.appendChild(rowElement);
+    }
+    updateCellLabels();
 }
 
 // Handle cell click
 function handleCellClick(event) {
-    const cell = event.target;
-    const index = parseInt(cell.getAttribute('data-index'));
+    playCell(parseInt(event.currentTarget.getAttribute('data-index')));
+}
+
+// Move the keyboard focus to a cell
+function setFocusedCell(index, moveFocus = false) {
+    cells[focusedCell].tabIndex = -1;
+    focusedCell = index;
+    cells[index].tabIndex = 0;
+    if (moveFocus) {
+        cells[index].focus();
+    }
+}
+
+// Arrow keys move between cells, Enter or Space plays the focused cell
+function handleBoardKey(event) {
+    const size = engine.rules.size;
+    const row = Math.floor(focusedCell / size);
+    const col = focusedCell % size;
+    // In a right-to-left page the first column is on the right
+    const forward = getComputedStyle(gameBoard).direction === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const backward = forward === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
     
-    // Prevent multiple simultaneous moves
-    if (gameState.isProcessing) {
+    let target;
+    switch (event.key) {
+        case 'ArrowUp': target = row > 0 ? focusedCell - size : focusedCell; break;
+        case 'ArrowDown': target = row < size - 1 ? focusedCell + size : focusedCell; break;
+        case forward: target = col < size - 1 ? focusedCell + 1 : focusedCell; break;
+        case backward: target = col > 0 ? focusedCell - 1 : focusedCell; break;
+        case 'Home': target = row * size; break;
+        case 'End': target = row * size + size - 1; break;
+        case 'Enter':
+        case ' ':
+            event.preventDefault();
+            playCell(focusedCell);
+            return;
+        default:
+            return;
+    }
+    event.preventDefault();
+    setFocusedCell(target, true);
+}
+
+// Number keys 1-9 play the 3×3 board laid out like a number pad (7 is the top-left cell)
+function handleShortcutKey(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey || engine.rules.size !== 3 ||
+        event.target.closest('input, select, textarea')) {
+        return;
+    }
+    const key = parseInt(event.key);
+    if (!(key >= 1 && key <= 9)) {
+        return;
+    }
+    
+    const row = 2 - Math.floor((key - 1) / 3);
+    let col = (key - 1) % 3;
+    if (getComputedStyle(gameBoard).direction === 'rtl') {
+        col = 2 - col;
+    }
+    event.preventDefault();
+    setFocusedCell(row * 3 + col, true);
+    playCell(row * 3 + col);
+}
+
+// Play a cell for the player to move, if the move is allowed
+function playCell(index) {
+    // Prevent multiple simultaneous moves, and moves while a replay is shown or after a timeout
+    if (gameState.isProcessing || replay || gameState.timedOut) {
         return;
     }
     
-    // Validate move - only check if cell is empty
-    if (gameState.board[index] !== '') {
+    // Validate move - empty cell, or the oldest piece that is about to be removed
+    // (also rejects moves once the game has ended - start a new game to continue)
+    if (!engine.isLegalMove(index)) {
         return;
     }
     
     // Don't allow clicks during AI turn
-    if (gameState.gameMode === 'ai' && gameState.currentPlayer === 'O') {
+    if (isAITurn()) {
+        return;
+    }
+    
+    // Puzzle moves are checked against every defence
+    if (gameState.gameMode === 'puzzle') {
+        playPuzzleMove(index);
+        return;
+    }
+    
+    // Online the server checks the move and sends back the new position
+    if (gameState.gameMode === 'online') {
+        if (gameState.online && gameState.online.role === engine.currentPlayer) {
+            online.move(index, engine.moves.length);
+        }
         return;
     }
     
     // Make player move
-    makeMove(index);
+    engine.applyMove(index);
     
     // Check if player won
     if (checkGameStatus()) {
-        return; // Game ended, but can continue after reset
+        return; // Game ended
     }
     
-    // AI turn in AI mode
-    if (gameState.gameMode === 'ai' && gameState.currentPlayer === 'O') {
-        gameState.isProcessing = true;
-        setTimeout(() => {
-            const aiMove = ai.getBestMove(gameState.board);
-            if (aiMove !== -1 && gameState.board[aiMove] === '') {
-                makeMove(aiMove);
-                checkGameStatus();
-            }
-            gameState.isProcessing = false;
-        }, 300);
-    }
+    scheduleAIMove();
 }
 
-// Make a move
-function makeMove(index) {
-    // Check if board is full (9 moves made)
-    if (gameState.moveHistory.length >= gameState.maxMoves) {
-        // Remove the oldest move
-        const oldestMove = gameState.moveHistory.shift();
-        gameState.board[oldestMove.index] = '';
-        
-        // Update UI - remove from oldest cell with fade out animation
-        const oldCell = cells[oldestMove.index];
-        oldCell.classList.remove('oldest'); // Remove warning indicator
-        oldCell.style.opacity = '0.3';
-        
-        // Use a shorter timeout to avoid blocking AI
-        setTimeout(() => {
-            oldCell.textContent = '';
-            oldCell.classList.remove('filled', 'x', 'o');
-            oldCell.style.opacity = '1';
-        }, 150);
+// AI turn in AI mode
+function scheduleAIMove() {
+    if (!isAITurn() || checkGameStatus() || arenaPaused) {
+        return;
+    }
+    
+    // A puzzle's defence is found on the spot, without the worker
+    if (gameState.gameMode === 'puzzle') {
+        playPuzzleDefence();
+        return;
     }
     
-    // Update board state
-    gameState.board[index] = gameState.currentPlayer;
+    setThinking(true);
+    sound.play('thinking');
+    const startedAt = Date.now();
     
-    // Track this move
-    gameState.moveHistory.push({
-        index: index,
-        player: gameState.currentPlayer
+    aiClient.getMove(engine, {
+        strategy: gameState.gameMode === 'arena' ? gameState.arena[engine.currentPlayer] : gameState.difficulty,
+        timeLimit: AI_THINK_TIME,
+        blunderRate: TicTacToeAI.BLUNDER_RATE, // Chance of a random move on hard difficulty
+        playouts: gameState.playouts
+    }).then(reply => {
+        if (reply === null) {
+            return; // Cancelled
+        }
+        const wait = Math.max(0, AI_MOVE_DELAY - (Date.now() - startedAt));
+        aiMoveTimer = setTimeout(() => {
+            aiMoveTimer = null;
+            setThinking(false);
+            if (reply.move !== -1 && engine.isLegalMove(reply.move)) {
+                engine.applyMove(reply.move);
+            }
+            showSearchInfo(reply.analysis);
+            scheduleAnalysis();
+            
+            // In the spectator mode the other side is the computer too
+            scheduleAIMove();
+        }, wait);
+    }).catch(error => {
+        setThinking(false);
+        displayStatus(locale.t('status.aiFailed', { error: error.message }), 'error');
     });
+}
+
+// Check if the computer is to move - in a puzzle, the defending side
+function isAITurn() {
+    if (gameState.gameMode === 'puzzle') {
+        return puzzle !== null && engine.currentPlayer !== puzzle.entry.player;
+    }
+    return gameState.gameMode === 'arena' || (gameState.gameMode === 'ai' && engine.currentPlayer === gameState.aiPlayer);
+}
+
+// Check if the moves come from elsewhere - the server online, the computer on both
+// sides in the spectator mode, a set position in a puzzle - so the game can't be taken
+// back or replaced
+function isAutoPlayed() {
+    return ['online', 'arena', 'puzzle'].includes(gameState.gameMode);
+}
+
+// Stop an AI move that is still being searched or waiting to be played
+function cancelAIMove() {
+    aiClient.cancel();
+    clearTimeout(aiMoveTimer);
+    aiMoveTimer = null;
+    if (gameState.isProcessing) {
+        setThinking(false);
+    }
+}
+
+// Lock the board while the AI thinks
+function setThinking(thinking) {
+    gameState.isProcessing = thinking;
     
-    // Update UI
-    const cell = cells[index];
-    cell.textContent = gameState.currentPlayer;
-    cell.classList.add('filled', gameState.currentPlayer.toLowerCase());
+    // The AI's thinking time isn't counted
+    if (clock) {
+        if (thinking) {
+            clock.pause();
+        } else {
+            clock.resume();
+        }
+    }
+    document.body.classList.toggle('ai-thinking', thinking);
+    updateHistoryDisplay();
+}
+
+// Show how the AI found its last move - how deep minimax searched,
+// or how many games the Monte Carlo search played out
+function showSearchInfo(analysis) {
+    if (analysis && analysis.playouts) {
+        searchInfo.textContent = locale.t('search.mcts', {
+            playouts: analysis.playouts,
+            nodes: analysis.nodes,
+            percent: locale.number(analysis.winRate, { style: 'percent' })
+        });
+    } else if (analysis && analysis.depth) {
+        searchInfo.textContent = locale.t('search.info', {
+            depth: analysis.depth,
+            nodes: analysis.nodes,
+            score: describeSearchScore(analysis.score)
+        });
+    } else {
+        searchInfo.textContent = '';
+    }
+}
+
+// Put a search score (from the AI's side) into words - scores near WIN_SCORE are forced results
+function describeSearchScore(score) {
+    const plies = WIN_SCORE - Math.abs(score);
+    if (plies < MATE_PLIES) {
+        const moves = Math.ceil(plies / 2);
+        return locale.t(score > 0 ? 'search.aiWins' : 'search.aiLoses', { count: moves });
+    }
+    return locale.t('search.score', { score });
+}
+
+// Undo - in AI mode also takes back the AI reply so it's the player's turn again
+function undoMove() {
+    // A loss on time can't be taken back
+    if (gameState.isProcessing || replay || isAutoPlayed() || gameState.timedOut ||
+        !engine.canUndo()) {
+        return;
+    }
     
-    // Highlight oldest move if board is getting full (8+ moves)
-    updateOldestMoveIndicator();
+    engine.undo();
+    if (isAITurn()) {
+        engine.undo();
+    }
     
-    // Switch player
-    gameState.currentPlayer = gameState.currentPlayer === 'X' ? 'O' : 'X';
-    updateCurrentPlayerDisplay();
+    // Back at the start of a game the AI opens
+    scheduleAIMove();
 }
 
-// Update oldest move indicator
-function updateOldestMoveIndicator() {
-    // Remove all oldest indicators
-    cells.forEach(cell => cell.classList.remove('oldest'));
+// Redo - in AI mode also replays the AI reply
+function redoMove() {
+    if (gameState.isProcessing || replay || isAutoPlayed() || gameState.timedOut ||
+        !engine.canRedo()) {
+        return;
+    }
     
-    // If we have 8+ moves, highlight the oldest one
-    if (gameState.moveHistory.length >= 8) {
-        const oldestIndex = gameState.moveHistory[0].index;
-        cells[oldestIndex].classList.add('oldest');
+    engine.redo();
+    if (isAITurn()) {
+        if (engine.canRedo()) {
+            engine.redo();
+        } else {
+            scheduleAIMove();
+        }
     }
 }
 
-// Check game status (win only - no draws in infinite mode)
-function checkGameStatus() {
-    // Check for winner
-    for (let pattern of winPatterns) {
-        const [a, b, c] = pattern;
-        if (gameState.board[a] && 
-            gameState.board[a] === gameState.board[b] && 
-            gameState.board[a] === gameState.board[c]) {
-            
-            // Winner found
-            handleWin(gameState.board[a], pattern);
-            return true; // Return true to indicate game ended
+// Jump to a move picked in the timeline
+function handleTimelineClick(event) {
+    const entry = event.target.closest('[data-move]');
+    if (!entry || gameState.isProcessing || replay || isAutoPlayed() || gameState.timedOut) {
+        return;
+    }
+    
+    engine.goTo(parseInt(entry.getAttribute('data-move')));
+    
+    // In AI mode the AI replies to the chosen position
+    if (isAITurn()) {
+        if (engine.canRedo()) {
+            engine.redo();
+        } else {
+            scheduleAIMove();
+        }
+    }
+}
+
+// Redraw the board after a move is taken back, bringing back any removed piece
+function handleUndo(move) {
+    // The game had ended on this move - take back its result
+    if (move.result === 'win') {
+        gameState.scores[move.winner]--;
+    } else if (move.result === 'draw') {
+        gameState.scores.draws--;
+    }
+    if (move.result) {
+        saveScores();
+        updateScoreDisplay();
+        
+        if (lastRecordedGame) {
+            lastRecordedGame.then(id => stats.deleteGame(id));
+            lastRecordedGame = null;
+        }
+        if (series && series.games.length) {
+            series.takeBack();
+            updateSeriesDisplay();
         }
     }
     
-    // No draw check - game continues infinitely until someone wins!
-    return false; // Game continues
+    renderPosition();
 }
 
-// Handle win
-function handleWin(winner, pattern) {
-    gameState.gameActive = false;
-    gameState.winningLine = pattern;
+// Show the engine's current position on the board
+// (source is the engine to show - the live game unless replaying)
+function renderPosition(source = engine) {
+    cells.forEach((cell, index) => {
+        const piece = source.board[index];
+        cell.textContent = piece ? getPieceSymbol(piece) : '';
+        cell.className = piece ? `cell filled ${piece.toLowerCase()}` : 'cell';
+        cell.style.opacity = '1';
+    });
     
-    // Trigger star explosion effect
-    if (window.triggerStarExplosion) {
-        window.triggerStarExplosion();
+    updateOldestMoveIndicator(source);
+    updateCellLabels(source);
+    updateCurrentPlayerDisplay(source);
+    gameStatusDisplay.innerHTML = '';
+    winLineSvg.classList.remove('show');
+    updateSubBoards(source);
+}
+
+// Show a game loaded into the engine (imported record) without counting its result
+function handleLoad() {
+    gameState.timedOut = null;
+    gameState.repeated = false;
+    if (cells.length !== engine.rules.cellCount) {
+        renderBoard();
     }
+    showGameState();
     
-    // Update score
-    gameState.scores[winner]++;
-    saveScores();
-    updateScoreDisplay();
+    // Carry on with the loaded game's rules (online rooms and puzzles keep their own)
+    if (gameState.gameMode !== 'online' && gameState.gameMode !== 'puzzle') {
+        setRulesFromEngine();
+    }
+}
+
+// Show a position together with its result, if the game has ended
+function showGameState(source = engine) {
+    renderPosition(source);
     
-    // Highlight winning cells
-    pattern.forEach(index => {
-        cells[index].classList.add('winning');
+    const status = source.status();
+    if (status.state === 'won') {
+        showWin(status.winner, status.line);
+    } else if (status.state === 'draw') {
+        displayStatus(locale.t('status.draw'), 'draw');
+    }
+}
+
+// Build the record of the current game (see record.js)
+function getGameRecord() {
+    return GameRecord.export(engine, {
+        Date: new Date().toISOString().slice(0, 10).replace(/-/g, '.'),
+        Mode: gameState.gameMode,
+        X: getPlayerLabel('X'),
+        O: getPlayerLabel('O')
     });
+}
+
+// Copy the game record to the clipboard, or download it if the clipboard is unavailable
+function copyGameRecord() {
+    const record = getGameRecord();
+    if (!navigator.clipboard) {
+        downloadGameRecord();
+        return;
+    }
     
-    // Draw win line
-    drawWinLine(pattern);
+    navigator.clipboard.writeText(record)
+        .then(() => displayStatus(locale.t('record.copied'), 'info'))
+        .catch(() => downloadGameRecord());
+}
+
+// Save the game record as a text file
+function downloadGameRecord() {
+    const blob = new Blob([getGameRecord()], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `xo-game-${Date.now()}.xo.txt`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Load a game record picked by the player, if it is legal
+function importGameRecord() {
+    const file = importFileInput.files[0];
+    importFileInput.value = ''; // Allow picking the same file again
+    if (!file || gameState.isProcessing || replay || isAutoPlayed()) {
+        return;
+    }
     
-    // Display winner message
-    const winnerLabel = gameState.gameMode === 'ai' && winner === 'O' ? 'الكمبيوتر' : `اللاعب ${winner}`;
-    displayStatus(`🎉 ${winnerLabel} فاز!`, 'winner');
+    const reader = new FileReader();
+    reader.onload = () => {
+        let imported;
+        try {
+            imported = GameRecord.import(reader.result);
+        } catch (error) {
+            displayStatus(locale.t('record.invalid', { error: error.message }), 'error');
+            return;
+        }
+        
+        const mode = imported.tags.Mode === '2p' ? '2p' : 'ai';
+        gameState.gameMode = mode;
+        aiModeBtn.classList.toggle('active', mode === 'ai');
+        twoPlayerBtn.classList.toggle('active', mode === '2p');
+        updateDifficultyDisplay();
+        
+        gameState.boardSize = imported.engine.rules.size;
+        engine.load(imported.engine.serialize());
+        updateBoardSizeDisplay();
+        
+        // The AI replies if the game stopped on its turn
+        scheduleAIMove();
+    };
+    reader.readAsText(file);
 }
 
-// Handle draw
-function handleDraw() {
-    gameState.gameActive = false;
+// Replay the current game from the start
+function startReplay() {
+    if (replay || gameState.isProcessing || isAutoPlayed() || !engine.canUndo()) {
+        return;
+    }
     
-    // Update score
-    gameState.scores.draws++;
-    saveScores();
-    updateScoreDisplay();
+    replay = new GameReplay(engine.serialize());
+    const source = replay.engine;
     
-    // Display draw message
-    displayStatus('🤝 تعادل!', 'draw');
+    // Steps are drawn like live moves, including the fade-out of removed pieces
+    replay.on('expire', move => handleExpire(move, source));
+    replay.on('move', move => handleMove(move, source));
+    replay.on('win', ({ winner, line }) => showWin(winner, line));
+    replay.on('draw', () => displayStatus(locale.t('status.draw'), 'draw'));
+    replay.on('seek', () => showGameState(source));
+    replay.on('state', updateReplayControls);
+    
+    clearAnalysis();
+    if (clock) {
+        clock.pause();
+    }
+    document.body.classList.add('replaying');
+    replayBar.classList.remove('hidden');
+    replaySeek.max = replay.length;
+    replay.setSpeed(parseFloat(replaySpeed.value));
+    showGameState(source);
+    replay.play();
 }
 
-// Draw win line
-function drawWinLine(pattern) {
-    const boardRect = document.getElementById('gameBoard').getBoundingClientRect();
-    const firstCell = cells[pattern[0]].getBoundingClientRect();
-    const lastCell = cells[pattern[2]].getBoundingClientRect();
-    
-    // Calculate line coordinates relative to board
-    const x1 = firstCell.left + firstCell.width / 2 - boardRect.left;
-    const y1 = firstCell.top + firstCell.height / 2 - boardRect.top;
-    const x2 = lastCell.left + lastCell.width / 2 - boardRect.left;
-    const y2 = lastCell.top + lastCell.height / 2 - boardRect.top;
+// Leave the replay and show the live game again
+function exitReplay() {
+    if (!replay) {
+        return;
+    }
     
-    // Set line attributes
-    winLineSvg.setAttribute('x1', x1);
-    winLineSvg.setAttribute('y1', y1);
-    winLineSvg.setAttribute('x2', x2);
-    winLineSvg.setAttribute('y2', y2);
-    winLineSvg.classList.add('show');
+    replay.stop();
+    replay = null;
+    document.body.classList.remove('replaying');
+    replayBar.classList.add('hidden');
+    showGameState();
+    if (gameState.timedOut) {
+        showTimeout(gameState.timedOut);
+    }
+    if (clock) {
+        clock.resume();
+    }
+    scheduleAnalysis();
 }
 
-// Display status message
-function displayStatus(message, type) {
-    gameStatusDisplay.innerHTML = `<div class="status-message ${type}">${message}</div>`;
+// Update the replay controls
+function updateReplayControls(state) {
+    replayPlayBtn.textContent = state.playing ? '⏸' : '▶';
+    replayPlayBtn.title = locale.t(state.playing ? 'replay.pause' : 'replay.play');
+    replaySeek.value = state.position;
+    replayPosition.textContent = `${locale.number(state.position)} / ${locale.number(state.length)}`;
 }
 
-// Update current player display
-function updateCurrentPlayerDisplay() {
-    currentPlayerDisplay.textContent = gameState.currentPlayer;
-    currentPlayerDisplay.className = 'current-player';
-    currentPlayerDisplay.classList.add(`player-${gameState.currentPlayer.toLowerCase()}`);
+// Turn the move analysis overlay on or off
+function toggleAnalysis() {
+    gameState.showAnalysis = !gameState.showAnalysis;
+    analysisBtn.classList.toggle('active', gameState.showAnalysis);
+    analysisBtn.setAttribute('aria-pressed', gameState.showAnalysis);
+    analysisLegend.classList.toggle('hidden', !gameState.showAnalysis);
+    scheduleAnalysis();
 }
 
-// Update score display
-function updateScoreDisplay() {
-    scoreXDisplay.textContent = gameState.scores.X;
-    scoreODisplay.textContent = gameState.scores.O;
-    scoreDrawsDisplay.textContent = gameState.scores.draws;
+// Switch the high-contrast colours on or off
+function setHighContrast(on) {
+    gameState.highContrast = on;
+    document.body.classList.toggle('high-contrast', on);
+    contrastBtn.classList.toggle('active', on);
+    contrastBtn.setAttribute('aria-pressed', on);
+    localStorage.setItem('xoGameContrast', on ? 'high' : 'normal');
 }
 
-// Reset game (new game)
-function resetGame() {
-    // Reset board state
-    gameState.board = ['', '', '', '', '', '', '', '', ''];
-    gameState.currentPlayer = 'X';
-    gameState.gameActive = true;
-    gameState.winningLine = null;
-    gameState.moveHistory = []; // Clear move history
-    
-    // Clear UI
-    cells.forEach(cell => {
-        cell.textContent = '';
-        cell.className = 'cell';
-        cell.style.opacity = '1'; // Reset opacity
+// Load the contrast setting - without one, follow the system's preference
+function loadContrast() {
+    const saved = localStorage.getItem('xoGameContrast');
+    if (saved) {
+        setHighContrast(saved === 'high');
+    } else if (window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches) {
+        setHighContrast(true);
+    }
+}
+
+// Get the symbol the theme shows for a player's pieces
+function getPieceSymbol(player) {
+    return gameState.theme.getSymbol(player);
+}
+
+// Change the theme - changes holds the settings to change (see Theme in themes.js)
+function setTheme(changes) {
+    gameState.theme = new Theme({ ...gameState.theme.toJSON(), ...changes });
+    saveTheme();
+    applyTheme();
+}
+
+// Apply the theme: its colours, the background effect and the piece symbols on the board
+function applyTheme() {
+    const theme = gameState.theme;
+    Object.entries(theme.getVariables()).forEach(([name, value]) => {
+        document.documentElement.style.setProperty(name, value);
     });
+    document.body.classList.toggle('theme-light', theme.variant === 'light');
+    document.body.classList.toggle('emoji-pieces', theme.hasEmojiPieces());
+    if (window.setBackgroundTheme) {
+        window.setBackgroundTheme(theme.getBackground());
+    }
     
-    // Clear status
-    gameStatusDisplay.innerHTML = '';
-    
-    // Hide win line
-    winLineSvg.classList.remove('show');
-    
-    // Update display
-    updateCurrentPlayerDisplay();
+    // Show the pieces with the new symbols, keeping the win line and highlights
+    const source = replay ? replay.engine : engine;
+    cells.forEach((cell, index) => {
+        if (source.board[index]) {
+            cell.textContent = getPieceSymbol(source.board[index]);
+        }
+    });
+    updateCurrentPlayerDisplay(source);
+    updateThemeDisplay();
 }
 
-// Reset scores
-function resetScores() {
-    if (confirm('هل أنت متأكد من إعادة تعيين جميع النتائج؟')) {
-        gameState.scores = {
-            X: 0,
-            O: 0,
-            draws: 0
-        };
-        saveScores();
-        updateScoreDisplay();
-    }
+// Update the theme panel
+function updateThemeDisplay() {
+    const theme = gameState.theme;
+    themePaletteSelect.value = theme.palette;
+    themeVariantSelect.value = theme.variant;
+    themePiecesSelect.value = theme.pieces;
+    themeBackgroundSelect.value = theme.background;
+    themeDensityInput.value = theme.density;
+    themeDensityOption.classList.toggle('hidden', theme.background === 'none');
+    themeDescription.textContent = [
+        locale.t(`palette.${theme.palette}`),
+        locale.t(`variant.${theme.variant}`),
+        locale.t(`pieces.${theme.pieces}`)
+    ].join(' · ');
 }
 
-// Set game mode
-function setGameMode(mode) {
-    gameState.gameMode = mode;
-    
-    // Update UI
-    if (mode === 'ai') {
-        aiModeBtn.classList.add('active');
-        twoPlayerBtn.classList.remove('active');
-    } else {
-        twoPlayerBtn.classList.add('active');
-        aiModeBtn.classList.remove('active');
+// Save the theme to localStorage
+function saveTheme() {
+    localStorage.setItem('xoGameTheme', JSON.stringify(gameState.theme));
+}
+
+// Load the theme from localStorage - without one, the light variant follows the system's preference
+function loadTheme() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('xoGameTheme'));
+    } catch (error) {
+        saved = null;
     }
-    
-    // Reset game when mode changes
-    resetGame();
+    if (!saved && window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches) {
+        saved = { variant: 'light' };
+    }
+    gameState.theme = new Theme(saved || {});
+    applyTheme();
 }
 
-// Save scores to localStorage
-function saveScores() {
-    localStorage.setItem('xoGameScores', JSON.stringify(gameState.scores));
+// Change the sound settings - changes holds the settings to change (see SoundEffects in audio.js)
+function setSound(changes) {
+    const settings = sound.toJSON();
+    sound.configure({ ...settings, ...changes, cues: { ...settings.cues, ...changes.cues } });
+    saveSound();
+    updateSoundDisplay();
 }
 
-// Load scores from localStorage
-function loadScores() {
-    const savedScores = localStorage.getItem('xoGameScores');
-    if (savedScores) {
-        gameState.scores = JSON.parse(savedScores);
+// Update the mute button and the sounds panel
+function updateSoundDisplay() {
+    soundBtn.classList.toggle('active', sound.muted);
+    soundBtn.setAttribute('aria-pressed', sound.muted);
+    soundIcon.textContent = sound.muted ? '🔇' : '🔊';
+    soundVolumeInput.value = Math.round(sound.volume * 100);
+    soundCueInputs.forEach(input => {
+        input.checked = sound.cues[input.dataset.cue];
+    });
+    soundDescription.textContent = sound.muted ? locale.t('sound.muted') :
+        locale.number(sound.volume, { style: 'percent' });
+}
+
+// Save the sound settings to localStorage
+function saveSound() {
+    localStorage.setItem('xoGameSound', JSON.stringify(sound));
+}
+
+// Load the sound settings from localStorage
+function loadSound() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('xoGameSound'));
+    } catch (error) {
+        saved = null;
+    }
+    sound.configure(saved || {});
+    updateSoundDisplay();
+}
+
+// Install the service worker that keeps the game playable offline, and watch for new versions
+// (service workers need the page served over HTTP - opened as a file, the game just stays online-only)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        return;
     }
+    
+    navigator.serviceWorker.register('service-worker.js').then(registration => {
+        // A new version downloaded on an earlier visit, still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                }
+            });
+        });
+    }).catch(() => {
+        // The game still works, just not offline
+    });
+    
+    // The new version has taken over - reload to run it (the game in progress is saved, see saveGame)
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) {
+            location.reload();
+        }
+    });
+}
+
+// Offer to switch to a new version of the game
+function showUpdatePrompt(worker) {
+    waitingWorker = worker;
+    updatePrompt.classList.remove('hidden');
+}
+
+// Let the new version take over - the page reloads once it has
+function applyUpdate() {
+    updatePrompt.classList.add('hidden');
+    if (waitingWorker) {
+        updateAccepted = true;
+        waitingWorker.postMessage({ type: 'skipWaiting' });
+    }
+}
+
+// Show whether the device is offline - everything but online games still works
+function updateOfflineIndicator() {
+    offlineIndicator.classList.toggle('hidden', navigator.onLine);
+}
+
+// Switch the interface language, with the page direction that goes with it
+function setLanguage(language) {
+    locale = new Translator(language);
+    localStorage.setItem('xoGameLanguage', locale.language);
+    document.documentElement.lang = locale.language;
+    document.documentElement.dir = locale.dir;
+    languageSelect.value = locale.language;
+    translatePage();
+}
+
+// Load the language setting - without one, follow the browser's languages
+function loadLanguage() {
+    setLanguage(localStorage.getItem('xoGameLanguage') || Translator.detect(navigator.languages || [navigator.language]));
+}
+
+// Translate the fixed text of the page, marked with data-i18n attributes
+// (data-i18n-count gives the count of plural messages)
+function translatePage() {
+    const paramsOf = element => element.dataset.i18nCount ? { count: Number(element.dataset.i18nCount) } : {};
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = locale.t(element.dataset.i18n, paramsOf(element));
+    });
+    const attributes = { i18nTitle: 'title', i18nPlaceholder: 'placeholder', i18nContent: 'content' };
+    Object.entries(attributes).forEach(([key, attribute]) => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, locale.t(element.dataset[key]));
+        });
+    });
+}
+
+// Redraw the text the game has written, after the language changed
+function refreshLanguage() {
+    const source = replay ? replay.engine : engine;
+    gameBoard.setAttribute('aria-label', locale.t('board.label', { size: engine.rules.size }));
+    updateCellLabels(source);
+    updateScoreDisplay();
+    updateRulesDisplay();
+    updateThemeDisplay();
+    updateSoundDisplay();
+    updateSeriesDisplay();
+    updateHistoryDisplay();
+    updateClockDisplay();
+    updateOnlineDisplay();
+    updateArenaDisplay();
+    updatePuzzleDisplay();
+    if (replay) {
+        updateReplayControls(replay.getState());
+    }
+    if (pendingSavedGame) {
+        updateResumePrompt();
+    }
+    if (!statsPanel.classList.contains('hidden')) {
+        showStats();
+    }
+    
+    // Put the result of a finished game into the new language
+    if (gameState.timedOut && !replay) {
+        showTimeout(gameState.timedOut);
+    } else if (gameState.repeated && !replay) {
+        showRepetition();
+    } else if (puzzle && (puzzle.solved || puzzle.failed) && !replay) {
+        showPuzzleResult();
+    } else if (source.status().state !== 'playing') {
+        showGameState(source);
+    }
+}
+
+// Analyse the position once the board has been drawn, if it's a player's turn
+function scheduleAnalysis() {
+    clearTimeout(analysisTimer);
+    analysisClient.cancel();
+    clearAnalysis();
+    
+    // No hints in online games, and puzzles give hints of their own
+    if (!gameState.showAnalysis || replay || gameState.isProcessing || gameState.gameMode === 'online' ||
+        gameState.gameMode === 'puzzle' || checkGameStatus()) {
+        return;
+    }
+    if (isAITurn()) {
+        return;
+    }
+    
+    analysisTimer = setTimeout(showAnalysis, 50);
+}
+
+// Show the evaluation of each move for the side to move, best move highlighted
+// (any change to the game cancels the analysis, so the reply is for the position shown)
+function showAnalysis() {
+    analysisClient.analyze(engine, { timeLimit: ANALYSIS_TIME }).then(reply => {
+        if (reply !== null) {
+            drawAnalysis(reply.results);
+        }
+    }).catch(error => {
+        displayStatus(locale.t('analysis.failed', { error: error.message }), 'error');
+    });
+}
+
+// Label each analysed cell with its outcome
+function drawAnalysis(results) {
+    results.forEach((result, rank) => {
+        const label = document.createElement('span');
+        label.className = 'cell-eval';
+        
+        if (result.outcome === 'win') {
+            label.textContent = `+${result.moves}`;
+            label.title = locale.t('analysis.winIn', { count: result.moves });
+        } else if (result.outcome === 'loss') {
+            label.textContent = `−${result.moves}`;
+            label.title = locale.t('analysis.lossIn', { count: result.moves });
+        } else if (result.outcome === 'draw') {
+            label.textContent = '=';
+            label.title = locale.t('analysis.drawn');
+        } else {
+            label.textContent = '?';
+            label.title = locale.t('analysis.undecided');
+        }
+        
+        const cell = cells[result.index];
+        cell.classList.add(`eval-${result.outcome}`);
+        if (rank === 0) {
+            cell.classList.add('best-move');
+        }
+        cell.appendChild(label);
+    });
+}
+
+// Remove the analysis overlay
+function clearAnalysis() {
+    cells.forEach(cell => {
+        cell.classList.remove('eval-win', 'eval-loss', 'eval-draw', 'eval-unknown', 'best-move');
+        const label = cell.querySelector('.cell-eval');
+        if (label) {
+            label.remove();
+        }
+    });
+}
+
+// Update the move timeline and the undo/redo buttons
+function updateHistoryDisplay() {
+    // Online games follow the server and the spectator mode the computer, so they can't be stepped through
+    const autoPlayed = isAutoPlayed();
+    const locked = gameState.isProcessing || autoPlayed || gameState.timedOut !== null;
+    undoBtn.disabled = locked || !engine.canUndo();
+    redoBtn.disabled = locked || !engine.canRedo();
+    replayBtn.disabled = autoPlayed;
+    importBtn.disabled = autoPlayed;
+    
+    const size = engine.rules.size;
+    const entries = engine.timeline().map(entry => {
+        const row = Math.floor(entry.index / size) + 1;
+        const col = entry.index % size + 1;
+        const classes = ['timeline-move', entry.player.toLowerCase()];
+        let title = locale.t('history.move', { number: entry.number });
+        
+        if (entry.undone) {
+            classes.push('undone');
+        }
+        if (entry.removedBy !== null && entry.removedBy <= engine.moves.length) {
+            classes.push('expired');
+            title += locale.t('history.removedBy', { number: entry.removedBy });
+        }
+        if (entry.number === engine.moves.length) {
+            classes.push('current');
+        }
+        
+        return `<li><button class="${classes.join(' ')}" data-move="${entry.number}" title="${title}">` +
+            `${entry.number}. ${entry.player} ${row}:${col}</button></li>`;
+    });
+    
+    const startClass = engine.moves.length === 0 ? 'timeline-move current' : 'timeline-move';
+    moveTimeline.innerHTML = `<li><button class="${startClass}" data-move="0">${locale.t('history.start')}</button></li>` +
+        entries.join('');
+    
+    // Keep the current move in view
+    const current = moveTimeline.querySelector('.current');
+    if (current && current.scrollIntoView) {
+        current.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+}
+
+// Fade out a piece removed by the sliding-window rule
+function handleExpire(oldestMove, source = engine) {
+    const oldCell = cells[oldestMove.index];
+    oldCell.classList.remove('oldest'); // Remove warning indicator
+    oldCell.style.opacity = '0.3';
+    sound.play('expire');
+    announce(locale.t('announce.expired', { player: oldestMove.player, cell: describeCell(oldestMove.index) }));
+    
+    // Use a shorter timeout to avoid blocking AI
+    setTimeout(() => {
+        // The new piece may have been placed in the freed cell
+        if (source.board[oldestMove.index] === '') {
+            oldCell.textContent = '';
+            oldCell.classList.remove('filled', 'x', 'o');
+        }
+        oldCell.style.opacity = '1';
+    }, 150);
+}
+
+// Show a piece placed on the board
+function handleMove(move, source = engine) {
+    const cell = cells[move.index];
+    cell.textContent = getPieceSymbol(move.player);
+    cell.classList.remove('x', 'o');
+    cell.classList.add('filled', move.player.toLowerCase());
+    sound.play(`place${move.player}`);
+    
+    // Highlight oldest move if board is getting full - with a warning that a piece is about to go
+    if (updateOldestMoveIndicator(source) !== -1) {
+        sound.play('warning');
+    }
+    updateCellLabels(source);
+    updateCurrentPlayerDisplay(source);
+    announce(locale.t('announce.move', {
+        name: getPlayerLabel(move.player),
+        player: move.player,
+        cell: describeCell(move.index)
+    }));
+    
+    if (source.rules.ultimate) {
+        updateSubBoards(source);
+        announceSubBoards(move, source);
+    }
+}
+
+// Ultimate: mark the sub-boards the next move may be played in and the ones
+// already decided, and draw a line through each sub-board won
+function updateSubBoards(source = engine) {
+    const svg = winLineSvg.ownerSVGElement;
+    svg.querySelectorAll('.sub-win-line').forEach(line => line.remove());
+    if (!source.rules.ultimate) {
+        return;
+    }
+    
+    const allowed = source.getAllowedBoards();
+    source.rules.subBoards.forEach((boardCells, sub) => {
+        const result = source.subWinners[sub];
+        boardCells.forEach(index => {
+            cells[index].classList.toggle('allowed', allowed.includes(sub));
+            cells[index].classList.remove('claimed-x', 'claimed-o', 'claimed-draw');
+            if (result) {
+                cells[index].classList.add(`claimed-${result.toLowerCase()}`);
+            }
+        });
+        
+        if (source.subLines[sub]) {
+            const line = document.createElementNS(svg.namespaceURI, 'line');
+            line.setAttribute('class', `sub-win-line ${source.subWinners[sub].toLowerCase()}`);
+            svg.insertBefore(line, winLineSvg);
+            placeLine(line, source.subLines[sub]);
+        }
+    });
+}
+
+// Ultimate: read out the sub-board a move decided, and where the next move goes
+function announceSubBoards(move, source = engine) {
+    const sub = source.rules.subBoardOf(move.index);
+    if (move.claimed === 'draw') {
+        announce(locale.t('announce.subBoardDrawn', { board: describeSubBoard(sub) }));
+    } else if (move.claimed) {
+        announce(locale.t('announce.subBoardWon', { player: move.claimed, board: describeSubBoard(sub) }));
+    }
+    
+    const allowed = source.getAllowedBoards();
+    if (allowed.length === 1) {
+        announce(locale.t('announce.nextBoard', { board: describeSubBoard(allowed[0]) }));
+    } else if (allowed.length > 1) {
+        announce(locale.t('announce.anyBoard'));
+    }
+}
+
+// Name a sub-board of the Ultimate board by its row and column
+function describeSubBoard(sub) {
+    return locale.t('subBoard.name', { row: Math.floor(sub / 3) + 1, col: sub % 3 + 1 });
+}
+
+// Name a cell for screen readers by its row and column
+function describeCell(index) {
+    const size = engine.rules.size;
+    return locale.t('cell.name', { row: Math.floor(index / size) + 1, col: index % size + 1 });
+}
+
+// Keep each cell's spoken label in step with the board
+function updateCellLabels(source = engine) {
+    const expiring = source.getExpiringIndex();
+    cells.forEach((cell, index) => {
+        let label = `${describeCell(index)}: ${source.board[index] || locale.t('cell.empty')}`;
+        if (index === expiring) {
+            label += locale.t('cell.expiring');
+        }
+        cell.setAttribute('aria-label', label);
+    });
+}
+
+// Read a message out to screen readers - messages of the same move are joined
+function announce(message) {
+    if (announcements.length === 0) {
+        // Clear first, so the same message twice in a row is still read out
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = announcements.join('. ');
+            announcements = [];
+        }, ANNOUNCE_DELAY);
+    }
+    announcements.push(message);
+}
+
+// Update oldest move indicator - returns the cell marked, or -1
+function updateOldestMoveIndicator(source = engine) {
+    // Remove all oldest indicators
+    cells.forEach(cell => cell.classList.remove('oldest'));
+    
+    // Highlight the piece the next move removes - with the board-wide window,
+    // already a move earlier
+    let oldestIndex = source.getExpiringIndex();
+    if (oldestIndex === -1 && source.moveHistory.length > 0 && source.moveHistory.length >= source.maxMoves - 1) {
+        oldestIndex = source.moveHistory[0].index;
+    }
+    if (oldestIndex !== -1) {
+        cells[oldestIndex].classList.add('oldest');
+    }
+    return oldestIndex;
+}
+
+// Check game status - true once the game has ended
+// (no draws in infinite mode - the game continues until someone wins or runs out of time!)
+function checkGameStatus() {
+    return gameState.timedOut !== null || gameState.repeated || engine.status().state !== 'playing';
+}
+
+// Handle win
+function handleWin(winner, pattern) {
+    // Update score
+    if (isScored()) {
+        gameState.scores[winner]++;
+        saveScores();
+        updateScoreDisplay();
+    }
+    recordGame(winner);
+    recordSeriesGame(winner);
+    
+    const line = showWin(winner, pattern);
+    sound.play('win');
+    
+    // Trigger star explosion effect out of the winning line
+    if (window.triggerStarExplosion) {
+        window.triggerStarExplosion(line);
+    }
+}
+
+// Show the winning line and message - returns the line's ends on the page (see placeLine)
+function showWin(winner, pattern) {
+    // Highlight winning cells
+    pattern.forEach(index => {
+        cells[index].classList.add('winning');
+    });
+    
+    // Draw win line
+    const line = drawWinLine(pattern);
+    
+    // Display winner message - in misère the line belongs to the loser
+    if (engine.rules.misere) {
+        const loser = winner === 'X' ? 'O' : 'X';
+        displayStatus(locale.t('status.misereWin', { winner: getPlayerLabel(winner), loser: getPlayerLabel(loser) }), 'winner');
+    } else {
+        displayStatus(locale.t('status.win', { player: getPlayerLabel(winner) }), 'winner');
+    }
+    return line;
+}
+
+// Get the name shown for a player
+function getPlayerLabel(player) {
+    if (gameState.gameMode === 'online' && gameState.online && gameState.online.players[player]) {
+        // Players who didn't give a name are shown as "Player X" in this client's language
+        return gameState.online.players[player].name || locale.t('player.named', { player });
+    }
+    if (gameState.gameMode === 'arena') {
+        return locale.t('arena.player', { player, strategy: locale.t(`difficulty.${gameState.arena[player]}`) });
+    }
+    const computer = gameState.gameMode === 'puzzle' ? puzzle !== null && player !== puzzle.entry.player :
+        gameState.gameMode === 'ai' && player === gameState.aiPlayer;
+    return computer ? locale.t('player.computer') : locale.t('player.named', { player });
+}
+
+// Handle draw
+function handleDraw() {
+    // Update score
+    if (isScored()) {
+        gameState.scores.draws++;
+        saveScores();
+        updateScoreDisplay();
+    }
+    recordGame(null);
+    recordSeriesGame(null);
+    
+    // Display draw message
+    displayStatus(locale.t('status.draw'), 'draw');
+}
+
+// Draw win line
+function drawWinLine(pattern) {
+    const line = placeLine(winLineSvg, pattern);
+    winLineSvg.classList.add('show');
+    return line;
+}
+
+// Lay an SVG line from the centre of a pattern's first cell to the centre of its last
+// - returns its ends in page (viewport) coordinates, {x1, y1, x2, y2}
+function placeLine(line, pattern) {
+    const svgRect = winLineSvg.ownerSVGElement.getBoundingClientRect();
+    const firstCell = cells[pattern[0]].getBoundingClientRect();
+    const lastCell = cells[pattern[pattern.length - 1]].getBoundingClientRect();
+    
+    // Calculate line coordinates relative to the overlay
+    const x1 = firstCell.left + firstCell.width / 2 - svgRect.left;
+    const y1 = firstCell.top + firstCell.height / 2 - svgRect.top;
+    const x2 = lastCell.left + lastCell.width / 2 - svgRect.left;
+    const y2 = lastCell.top + lastCell.height / 2 - svgRect.top;
+    
+    // Set line attributes
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    
+    return { x1: x1 + svgRect.left, y1: y1 + svgRect.top, x2: x2 + svgRect.left, y2: y2 + svgRect.top };
+}
+
+// Display status message
+function displayStatus(message, type) {
+    // Messages can include text from imported files - never parse them as HTML
+    const status = document.createElement('div');
+    status.className = `status-message ${type}`;
+    status.textContent = message;
+    gameStatusDisplay.replaceChildren(status);
+    announce(message);
+}
+
+// Update current player display
+function updateCurrentPlayerDisplay(source = engine) {
+    currentPlayerDisplay.textContent = getPieceSymbol(source.currentPlayer);
+    currentPlayerDisplay.className = 'current-player';
+    currentPlayerDisplay.classList.add(`player-${source.currentPlayer.toLowerCase()}`);
+}
+
+// Update score display
+// (the spectator mode shows the games watched, which don't count in the player's scores)
+function updateScoreDisplay() {
+    const scores = gameState.gameMode === 'arena' ? arenaTally : gameState.scores;
+    scoreXDisplay.textContent = locale.number(scores.X);
+    scoreODisplay.textContent = locale.number(scores.O);
+    scoreDrawsDisplay.textContent = locale.number(scores.draws);
+    scoreLabelX.textContent = getPlayerLabel('X');
+    scoreLabelO.textContent = getPlayerLabel('O');
+}
+
+// Reset game (new game)
+function resetGame() {
+    // Online the server starts the new game for both players
+    if (gameState.online) {
+        online.newGame();
+        return;
+    }
+    exitReplay();
+    
+    // A puzzle starts again from its position
+    if (gameState.gameMode === 'puzzle') {
+        startPuzzle(puzzleProgress.current);
+        return;
+    }
+    
+    // After a decided series the next game starts a new one
+    if (series && series.isOver) {
+        startSeries();
+    }
+    
+    // Leaving the puzzles goes back to the board the player chose
+    const board = puzzle ? GameRules.PRESETS[gameState.boardSize] : engine.rules;
+    puzzle = null;
+    engine.reset(getRuleOptions(board));
+}
+
+// Clear the UI when the engine starts a new game
+function handleReset() {
+    gameState.timedOut = null;
+    gameState.repeated = false;
+    
+    // Board size may have changed
+    if (cells.length !== engine.rules.cellCount) {
+        renderBoard();
+    }
+    
+    // Clear UI
+    cells.forEach(cell => {
+        cell.textContent = '';
+        cell.className = 'cell';
+        cell.style.opacity = '1'; // Reset opacity
+    });
+    
+    // Clear status
+    gameStatusDisplay.innerHTML = '';
+    
+    // Hide win line
+    winLineSvg.classList.remove('show');
+    searchInfo.textContent = '';
+    sound.play('reset');
+    
+    // Update display
+    updateCurrentPlayerDisplay();
+    updateSubBoards();
+    
+    // The AI opens the game when it plays first
+    scheduleAIMove();
+}
+
+// Reset scores
+function resetScores() {
+    if (gameState.gameMode === 'arena') {
+        arenaTally = { X: 0, O: 0, draws: 0 };
+        updateScoreDisplay();
+        return;
+    }
+    if (confirm(locale.t('score.confirmReset'))) {
+        gameState.scores = {
+            X: 0,
+            O: 0,
+            draws: 0
+        };
+        saveScores();
+        updateScoreDisplay();
+    }
+}
+
+// Set game mode
+function setGameMode(mode) {
+    if (mode === gameState.gameMode && mode === 'online') {
+        return;
+    }
+    if (gameState.gameMode === 'online') {
+        leaveRoom();
+    }
+    gameState.gameMode = mode;
+    arenaPaused = false;
+    
+    // Update UI
+    aiModeBtn.classList.toggle('active', mode === 'ai');
+    twoPlayerBtn.classList.toggle('active', mode === '2p');
+    onlineModeBtn.classList.toggle('active', mode === 'online');
+    arenaModeBtn.classList.toggle('active', mode === 'arena');
+    puzzleModeBtn.classList.toggle('active', mode === 'puzzle');
+    updateDifficultyDisplay();
+    updateOnlineDisplay();
+    updateArenaDisplay();
+    updatePuzzleDisplay();
+    updateBoardSizeDisplay();
+    updateScoreDisplay();
+    updateRulesDisplay();
+    
+    // Reset game, series and clock when mode changes
+    startSeries();
+    startClock();
+    resetGame();
+    updateHistoryDisplay();
+}
+
+// Show the spectator mode's settings
+function updateArenaDisplay() {
+    arenaPanel.classList.toggle('hidden', gameState.gameMode !== 'arena');
+    arenaXSelect.value = gameState.arena.X;
+    arenaOSelect.value = gameState.arena.O;
+    arenaPauseBtn.textContent = locale.t(arenaPaused ? 'arena.resume' : 'arena.pause');
+}
+
+// Choose the difficulty of one side in the spectator mode, starting a new tally
+function setArenaStrategy(player, strategy) {
+    gameState.arena[player] = strategy;
+    saveMatchSettings();
+    arenaTally = { X: 0, O: 0, draws: 0 };
+    updateScoreDisplay();
+    updateDifficultyDisplay();
+    resetGame();
+}
+
+// Stop or carry on the games the computer plays itself
+function setArenaPaused(paused) {
+    arenaPaused = paused;
+    updateArenaDisplay();
+    if (paused) {
+        cancelAIMove();
+        clearTimeout(arenaTimer);
+        arenaTimer = null;
+    } else if (checkGameStatus()) {
+        resetGame();
+    } else {
+        scheduleAIMove();
+    }
+}
+
+// Count the position after a move - the same one coming up ARENA_REPETITIONS
+// times means the sides are going round in a cycle, and the game is drawn
+function trackArenaPosition() {
+    if (gameState.gameMode !== 'arena') {
+        return;
+    }
+    const key = AIArena.positionKey(engine);
+    const count = (arenaPositions.get(key) || 0) + 1;
+    arenaPositions.set(key, count);
+    if (count >= ARENA_REPETITIONS && engine.status().state === 'playing') {
+        gameState.repeated = true;
+        finishArenaGame(null);
+        showRepetition();
+    }
+}
+
+// Show a game drawn by repetition
+function showRepetition() {
+    displayStatus(locale.t('arena.repetition', { count: ARENA_REPETITIONS }), 'draw');
+}
+
+// Count a game the computer played itself and start the next one after a pause
+function finishArenaGame(winner) {
+    if (gameState.gameMode !== 'arena') {
+        return;
+    }
+    arenaTally[winner || 'draws']++;
+    updateScoreDisplay();
+    if (!arenaPaused) {
+        arenaTimer = setTimeout(() => {
+            arenaTimer = null;
+            resetGame();
+        }, ARENA_NEXT_GAME_DELAY);
+    }
+}
+
+// Forget the positions of the last game, and any pending start of the next
+function clearArenaGame() {
+    arenaPositions = new Map();
+    clearTimeout(arenaTimer);
+    arenaTimer = null;
+}
+
+// Set up a puzzle's position on the board - each try counts as an attempt
+function startPuzzle(id) {
+    const entry = PuzzleBook.PUZZLES.find(candidate => candidate.id === id) || PuzzleBook.PUZZLES[0];
+    puzzle = { entry, movesLeft: entry.moves, hint: -1, failed: false, solved: false };
+    puzzleProgress.current = entry.id;
+    getPuzzleProgress(entry.id).attempts++;
+    savePuzzles();
+    engine.load(PuzzleBook.createEngine(entry).serialize());
+}
+
+// Play the player's move in a puzzle - a move that lets the forced win slip,
+// against any defence, ends the attempt
+function playPuzzleMove(index) {
+    const wins = PuzzleBook.getSolutions(copyPuzzlePosition(), puzzle.movesLeft).includes(index);
+    puzzle.movesLeft--;
+    puzzle.hint = -1;
+    puzzle.failed = !wins;
+    engine.applyMove(index);
+    
+    if (puzzle.failed) {
+        showPuzzleResult();
+        updatePuzzleDisplay();
+        return;
+    }
+    
+    // The defence replies, unless the move won (see finishPuzzle)
+    scheduleAIMove();
+}
+
+// Reply to the player's move with the defence that holds out longest
+function playPuzzleDefence() {
+    setThinking(true);
+    aiMoveTimer = setTimeout(() => {
+        aiMoveTimer = null;
+        setThinking(false);
+        engine.applyMove(PuzzleBook.getDefence(copyPuzzlePosition(), puzzle.movesLeft));
+    }, AI_MOVE_DELAY);
+}
+
+// Copy the position for the puzzle search, so the moves it tries never reach the board
+function copyPuzzlePosition() {
+    return GameEngine.deserialize(engine.serialize());
+}
+
+// Count the puzzle solved once the player completes the line
+function finishPuzzle(winner) {
+    if (gameState.gameMode !== 'puzzle' || !puzzle || puzzle.failed || winner !== puzzle.entry.player) {
+        return;
+    }
+    puzzle.solved = true;
+    getPuzzleProgress(puzzle.entry.id).solved = true;
+    savePuzzles();
+    showPuzzleResult();
+    updatePuzzleDisplay();
+}
+
+// Show how the attempt at the puzzle ended
+function showPuzzleResult() {
+    if (puzzle.solved) {
+        displayStatus(locale.t('puzzle.solved'), 'winner');
+    } else if (puzzle.failed) {
+        displayStatus(locale.t('puzzle.failed'), 'error');
+    }
+}
+
+// Mark one of the moves that still win in time - counted in the puzzle's progress
+function showPuzzleHint() {
+    if (!puzzle || puzzle.failed || puzzle.solved || puzzle.hint !== -1 || isAITurn()) {
+        return;
+    }
+    puzzle.hint = PuzzleBook.getSolutions(copyPuzzlePosition(), puzzle.movesLeft)[0];
+    getPuzzleProgress(puzzle.entry.id).hints++;
+    savePuzzles();
+    updatePuzzleDisplay();
+}
+
+// Move on to the next puzzle not solved yet, in the order of the list
+function nextPuzzle() {
+    const list = PuzzleBook.PUZZLES;
+    const position = list.findIndex(entry => entry.id === puzzleProgress.current);
+    const following = list.slice(position + 1).concat(list.slice(0, position + 1));
+    const next = following.find(entry => !isPuzzleSolved(entry.id)) || following[0];
+    startPuzzle(next.id);
+}
+
+// Start the puzzle picked in the list
+function handlePuzzleListClick(event) {
+    const entry = event.target.closest('[data-puzzle]');
+    if (entry && !gameState.isProcessing) {
+        startPuzzle(entry.getAttribute('data-puzzle'));
+    }
+}
+
+// Get the progress on a puzzle, starting it on the first try
+function getPuzzleProgress(id) {
+    if (!puzzleProgress.puzzles[id]) {
+        puzzleProgress.puzzles[id] = { attempts: 0, hints: 0, solved: false };
+    }
+    return puzzleProgress.puzzles[id];
+}
+
+// Check if a puzzle has been solved
+function isPuzzleSolved(id) {
+    const progress = puzzleProgress.puzzles[id];
+    return Boolean(progress && progress.solved);
+}
+
+// Show the puzzle list with the progress on each, the goal of the puzzle on the board,
+// the hint, and under the sliding rule the order the pieces were played in (1 goes first)
+function updatePuzzleDisplay() {
+    const active = gameState.gameMode === 'puzzle';
+    puzzlePanel.classList.toggle('hidden', !active);
+    if (!active) {
+        return;
+    }
+    
+    const list = PuzzleBook.PUZZLES;
+    const solved = list.filter(entry => isPuzzleSolved(entry.id)).length;
+    puzzleProgressDisplay.textContent = locale.t('puzzle.progress', { solved, total: list.length });
+    
+    // Classic puzzles first, then the sliding ones, each numbered from 1
+    const groups = [
+        { name: locale.t('rules.classic'), entries: list.filter(entry => entry.maxMoves === null) },
+        { name: locale.t('puzzle.sliding'), entries: list.filter(entry => entry.maxMoves !== null) }
+    ];
+    puzzleList.replaceChildren(...groups.map(group => {
+        const element = document.createElement('div');
+        element.className = 'puzzle-group';
+        const name = document.createElement('span');
+        name.className = 'puzzle-group-name';
+        name.textContent = group.name;
+        element.appendChild(name);
+        
+        group.entries.forEach((entry, i) => {
+            const progress = puzzleProgress.puzzles[entry.id] || { attempts: 0, hints: 0, solved: false };
+            const button = document.createElement('button');
+            button.className = 'puzzle-btn';
+            button.classList.toggle('active', entry.id === puzzleProgress.current);
+            button.classList.toggle('solved', progress.solved);
+            button.setAttribute('data-puzzle', entry.id);
+            button.setAttribute('aria-pressed', entry.id === puzzleProgress.current);
+            button.textContent = `${locale.number(i + 1)} ${'★'.repeat(entry.rating)}${progress.solved ? ' ✓' : ''}`;
+            button.title = [
+                locale.t('puzzle.winIn', { count: entry.moves }),
+                locale.t('puzzle.rating', { rating: entry.rating }),
+                locale.t('puzzle.attempts', { count: progress.attempts }),
+                locale.t('puzzle.hints', { count: progress.hints })
+            ].join(' · ');
+            element.appendChild(button);
+        });
+        return element;
+    }));
+    
+    if (!puzzle) {
+        return;
+    }
+    const entry = puzzle.entry;
+    const rule = entry.maxMoves === null ? locale.t('rules.classic') :
+        locale.t('rules.windowDescription', { count: entry.maxMoves });
+    puzzleGoal.textContent = `${locale.t('puzzle.goal', { player: entry.player, count: entry.moves })} · ${rule}`;
+    puzzleHintBtn.disabled = puzzle.failed || puzzle.solved || puzzle.hint !== -1 || isAITurn();
+    
+    cells.forEach((cell, index) => {
+        cell.classList.toggle('puzzle-hint', index === puzzle.hint);
+        const order = cell.querySelector('.piece-order');
+        if (order) {
+            order.remove();
+        }
+    });
+    if (entry.maxMoves !== null) {
+        engine.moveHistory.forEach((move, i) => {
+            const order = document.createElement('span');
+            order.className = 'piece-order';
+            order.setAttribute('aria-hidden', 'true');
+            order.textContent = locale.number(i + 1);
+            cells[move.index].appendChild(order);
+        });
+    }
+}
+
+// Save the puzzle progress to localStorage
+function savePuzzles() {
+    localStorage.setItem('xoGamePuzzles', JSON.stringify(puzzleProgress));
+}
+
+// Load the puzzle progress from localStorage, for the puzzles still in the list
+function loadPuzzles() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('xoGamePuzzles'));
+    } catch (error) {
+        saved = null;
+    }
+    if (!saved || !saved.puzzles) {
+        return;
+    }
+    
+    PuzzleBook.PUZZLES.forEach(entry => {
+        const progress = saved.puzzles[entry.id];
+        if (progress) {
+            puzzleProgress.puzzles[entry.id] = {
+                attempts: parseInt(progress.attempts) || 0,
+                hints: parseInt(progress.hints) || 0,
+                solved: progress.solved === true
+            };
+        }
+    });
+    if (PuzzleBook.PUZZLES.some(entry => entry.id === saved.current)) {
+        puzzleProgress.current = saved.current;
+    }
+}
+
+// Connect to the online server, if not connected yet
+function startOnline(session) {
+    if (online) {
+        return online;
+    }
+    
+    const host = onlineServerInput.value.trim() || OnlineClient.defaultHost(window.location);
+    online = new OnlineClient(host, session);
+    online.on('status', updateOnlineDisplay);
+    online.on('joined', session => {
+        gameState.online = { code: session.code, role: session.role, players: { X: null, O: null }, spectators: 0 };
+        sessionStorage.setItem('xoOnlineSession', JSON.stringify({ host, code: session.code, token: session.token }));
+        updateOnlineDisplay();
+    });
+    online.on('state', applyOnlineState);
+    online.on('error', error => {
+        if (error.code === 'room') {
+            gameState.online = null;
+            sessionStorage.removeItem('xoOnlineSession');
+            updateOnlineDisplay();
+        }
+        displayStatus(`⚠️ ${describeOnlineError(error.message)}`, 'error');
+    });
+    return online;
+}
+
+// Create a room with the chosen board size
+function createRoom() {
+    saveOnlineName();
+    startOnline().create(gameState.boardSize, onlineNameInput.value);
+}
+
+// Join a room by its code
+function joinRoom() {
+    const code = joinCodeInput.value.trim();
+    if (!code) {
+        joinCodeInput.focus();
+        return;
+    }
+    saveOnlineName();
+    startOnline().join(code, onlineNameInput.value);
+}
+
+// Give up the seat and disconnect
+function leaveRoom() {
+    if (online) {
+        online.leave();
+        online = null;
+    }
+    gameState.online = null;
+    sessionStorage.removeItem('xoOnlineSession');
+    updateOnlineDisplay();
+}
+
+// Take back the seat after the page was reloaded
+function resumeOnlineSession() {
+    let session;
+    try {
+        session = JSON.parse(sessionStorage.getItem('xoOnlineSession'));
+    } catch (error) {
+        session = null;
+    }
+    if (!session || !session.code || !session.token) {
+        return;
+    }
+    
+    setGameMode('online');
+    onlineServerInput.value = session.host || '';
+    startOnline(session).connect();
+}
+
+// Show the position sent by the server
+function applyOnlineState(state) {
+    if (!gameState.online) {
+        return;
+    }
+    gameState.online.players = state.players;
+    gameState.online.spectators = state.spectators;
+    
+    const game = state.game;
+    const moves = engine.serialize().moves;
+    // The room's rules, not the local variant the board was last reset with
+    const sameRules = isSameGameRules(game, engine.serialize());
+    const isNextMove = sameRules && game.moves.length === moves.length + 1 &&
+        moves.every((move, i) => move.index === game.moves[i].index);
+    
+    if (isNextMove) {
+        // One new move - play it so it's animated like a local move
+        engine.applyMove(game.moves[moves.length].index);
+    } else if (JSON.stringify(game.moves) !== JSON.stringify(moves) || !sameRules) {
+        // New game, or a reconnect that missed moves
+        engine.load(game);
+        gameState.boardSize = engine.rules.size;
+        updateBoardSizeDisplay();
+    }
+    
+    updateOnlineDisplay();
+    updateCurrentPlayerDisplay();
+}
+
+// Whether two serialized games (see GameEngine.serialize) are played under the same
+// rules - variants left out of the data are the standard ones
+function isSameGameRules(a, b) {
+    const rulesOf = game => JSON.stringify([
+        game.size, game.winLength, game.maxMoves, game.firstPlayer,
+        game.pieceLimit || null, game.misere === true, game.ultimate === true, game.start || null
+    ]);
+    return rulesOf(a) === rulesOf(b);
+}
+
+// Update the online panel
+function updateOnlineDisplay() {
+    const isOnline = gameState.gameMode === 'online';
+    const room = gameState.online;
+    onlinePanel.classList.toggle('hidden', !isOnline);
+    onlineSetup.classList.toggle('hidden', room !== null);
+    onlineRoom.classList.toggle('hidden', room === null);
+    
+    if (isOnline && !onlineServerInput.value) {
+        onlineServerInput.value = OnlineClient.defaultHost(window.location);
+        onlineNameInput.value = localStorage.getItem('xoOnlineName') || '';
+    }
+    if (!room) {
+        return;
+    }
+    
+    roomCodeDisplay.textContent = room.code;
+    const parts = [room.role === 'spectator' ? locale.t('online.spectating') : locale.t('online.playing', { player: room.role })];
+    
+    if (online && online.status === 'reconnecting') {
+        parts.push(locale.t('online.reconnecting'));
+    } else if (online && online.status === 'connecting') {
+        parts.push(locale.t('online.connecting'));
+    } else if (room.role !== 'spectator') {
+        const opponentRole = room.role === 'X' ? 'O' : 'X';
+        const opponent = room.players[opponentRole];
+        if (!opponent) {
+            parts.push(locale.t('online.waiting'));
+        } else {
+            parts.push(locale.t(opponent.connected ? 'online.opponent' : 'online.opponentAway', { name: getPlayerLabel(opponentRole) }));
+        }
+    }
+    if (room.spectators > 0) {
+        parts.push(locale.t('online.spectators', { count: room.spectators }));
+    }
+    onlineStatusDisplay.textContent = parts.join(' · ');
+}
+
+// Whether the game is only being watched - online spectators' scores don't change,
+// nor do the player's when the computer plays itself
+function isSpectating() {
+    return gameState.gameMode === 'arena' || (gameState.online !== null && gameState.online.role === 'spectator');
+}
+
+// Whether a finished game counts in the scores and statistics - not when only watching,
+// nor a puzzle, which is played from a set position
+function isScored() {
+    return !isSpectating() && gameState.gameMode !== 'puzzle';
+}
+
+// Put a server error into words
+function describeOnlineError(message) {
+    const messages = {
+        'Room not found': 'online.roomNotFound',
+        'Seat no longer held': 'online.seatLost',
+        'Not your turn': 'online.notYourTurn',
+        'Only players can move': 'online.spectatorMove',
+        'Only players can start a new game': 'online.spectatorNewGame',
+        'The position has changed': 'online.positionChanged',
+        'Could not reach the server': 'online.unreachable'
+    };
+    return messages[message] ? locale.t(messages[message]) : message;
+}
+
+// Remember the name used online
+function saveOnlineName() {
+    localStorage.setItem('xoOnlineName', onlineNameInput.value.trim());
+}
+
+// Set board size (see GameRules.PRESETS)
+function setBoardSize(size) {
+    // An online room keeps the size it was created with, and puzzles are all 3×3
+    if (!GameRules.PRESETS[size] || size === gameState.boardSize || gameState.online ||
+        gameState.gameMode === 'puzzle') {
+        return;
+    }
+
+    gameState.boardSize = size;
+    exitReplay();
+    engine.reset(getRuleOptions(GameRules.PRESETS[size]));
+
+    saveBoardSize();
+    updateRulesDisplay();
+    updateBoardSizeDisplay();
+}
+
+// Update board size selector (hidden in the puzzle mode)
+function updateBoardSizeDisplay() {
+    sizeSelection.classList.toggle('hidden', gameState.gameMode === 'puzzle');
+    sizeBtns.forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.getAttribute('data-size')) === gameState.boardSize);
+    });
+}
+
+// Save board size to localStorage
+function saveBoardSize() {
+    localStorage.setItem('xoGameBoardSize', gameState.boardSize);
+}
+
+// Load board size from localStorage
+function loadBoardSize() {
+    const savedSize = parseInt(localStorage.getItem('xoGameBoardSize'));
+    if (GameRules.PRESETS[savedSize]) {
+        gameState.boardSize = savedSize;
+    }
+    engine.reset(getRuleOptions(GameRules.PRESETS[gameState.boardSize]));
+}
+
+// Engine options for a board under the chosen rule variant. Limits are kept
+// within what the board allows: at least a line's worth of pieces, so a win is possible.
+function getRuleOptions(board) {
+    // Ultimate has rules of its own - no pieces are removed, and no misère
+    if (board.ultimate) {
+        return { ultimate: true, firstPlayer: getFirstPlayer() };
+    }
+    // Online rooms play the standard rules (the server's game replaces this one)
+    if (gameState.gameMode === 'online') {
+        return { size: board.size, winLength: board.winLength, firstPlayer: 'X' };
+    }
+    
+    const variant = gameState.rules;
+    const cellCount = board.size * board.size;
+    const fit = (value, min, max) => Math.max(min, Math.min(max, value));
+    
+    const options = {
+        size: board.size,
+        winLength: board.winLength,
+        maxMoves: Infinity,
+        pieceLimit: Infinity,
+        misere: variant.misere,
+        firstPlayer: getFirstPlayer()
+    };
+    if (variant.eviction === 'window') {
+        options.maxMoves = variant.window ? fit(variant.window, board.winLength, cellCount) : cellCount;
+    } else if (variant.eviction === 'player') {
+        options.pieceLimit = fit(variant.pieceLimit, board.winLength, Math.floor(cellCount / 2));
+    }
+    return options;
+}
+
+// Change the rule variant and start a new game under it
+function setRules(changes) {
+    Object.assign(gameState.rules, changes);
+    saveRules();
+    if (gameState.gameMode !== 'online') {
+        exitReplay();
+        engine.reset(getRuleOptions(engine.rules));
+    }
+    updateRulesDisplay();
+}
+
+// Take the rule variant from the game in the engine (an imported or resumed game)
+function setRulesFromEngine() {
+    const rules = engine.rules;
+    const variant = gameState.rules;
+    if (rules.ultimate) {
+        updateRulesDisplay(); // Keep the variant for the other boards
+        return;
+    }
+    if (Number.isFinite(engine.maxMoves)) {
+        variant.eviction = 'window';
+        variant.window = engine.maxMoves === rules.cellCount ? 0 : engine.maxMoves;
+    } else if (Number.isFinite(rules.pieceLimit)) {
+        variant.eviction = 'player';
+        variant.pieceLimit = rules.pieceLimit;
+    } else {
+        variant.eviction = 'none';
+    }
+    variant.misere = rules.misere;
+    saveRules();
+    updateRulesDisplay();
+}
+
+// Update the rules panel for the game being played
+function updateRulesDisplay() {
+    const variant = gameState.rules;
+    const rules = engine.rules;
+    rulesPanel.classList.toggle('hidden', ['online', 'puzzle'].includes(gameState.gameMode) || rules.ultimate);
+    
+    evictionRuleSelect.value = variant.eviction;
+    windowOption.classList.toggle('hidden', variant.eviction !== 'window');
+    pieceLimitOption.classList.toggle('hidden', variant.eviction !== 'player');
+    misereRuleInput.checked = variant.misere;
+    
+    // Show the limits actually in play, which may have been fitted to the board
+    evictionWindowInput.min = rules.winLength;
+    evictionWindowInput.max = rules.cellCount;
+    evictionWindowInput.value = Number.isFinite(engine.maxMoves) ? engine.maxMoves : rules.cellCount;
+    pieceLimitInput.min = rules.winLength;
+    pieceLimitInput.max = Math.floor(rules.cellCount / 2);
+    pieceLimitInput.value = Number.isFinite(rules.pieceLimit) ? rules.pieceLimit : variant.pieceLimit;
+    
+    let description = locale.t('rules.classic');
+    if (Number.isFinite(engine.maxMoves)) {
+        description = locale.t('rules.windowDescription', { count: engine.maxMoves });
+    } else if (Number.isFinite(rules.pieceLimit)) {
+        description = locale.t('rules.limitDescription', { count: rules.pieceLimit });
+    }
+    rulesDescription.textContent = variant.misere ? `${description} · ${locale.t('rules.misereShort')}` : description;
+}
+
+// Save the rule variant to localStorage
+function saveRules() {
+    localStorage.setItem('xoGameRules', JSON.stringify(gameState.rules));
+}
+
+// Load the rule variant from localStorage
+function loadRules() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('xoGameRules'));
+    } catch (error) {
+        saved = null;
+    }
+    if (!saved) {
+        return;
+    }
+    
+    const variant = gameState.rules;
+    if (['window', 'player', 'none'].includes(saved.eviction)) {
+        variant.eviction = saved.eviction;
+    }
+    if (saved.window >= 0) {
+        variant.window = parseInt(saved.window);
+    }
+    if (saved.pieceLimit > 0) {
+        variant.pieceLimit = parseInt(saved.pieceLimit);
+    }
+    variant.misere = saved.misere === true;
+}
+
+// Set AI difficulty
+function setDifficulty(difficulty) {
+    gameState.difficulty = difficulty;
+    saveDifficulty();
+    updateDifficultyDisplay();
+}
+
+// Set the number of playouts of the Monte Carlo strategy
+function setPlayouts(playouts) {
+    gameState.playouts = playouts;
+    saveDifficulty();
+}
+
+// Update difficulty selector (only shown in AI mode), with the playouts
+// whenever the Monte Carlo strategy plays
+function updateDifficultyDisplay() {
+    difficultySelection.classList.toggle('hidden', gameState.gameMode !== 'ai');
+    difficultyBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.getAttribute('data-difficulty') === gameState.difficulty);
+    });
+    
+    const usesMCTS = gameState.gameMode === 'arena' ? Object.values(gameState.arena).includes('mcts') :
+        gameState.gameMode === 'ai' && gameState.difficulty === 'mcts';
+    playoutsSelection.classList.toggle('hidden', !usesMCTS);
+    playoutsSelect.value = gameState.playouts;
+}
+
+// Save difficulty to localStorage
+function saveDifficulty() {
+    localStorage.setItem('xoGameDifficulty', gameState.difficulty);
+    localStorage.setItem('xoGamePlayouts', gameState.playouts);
+}
+
+// Load difficulty from localStorage
+function loadDifficulty() {
+    const savedDifficulty = localStorage.getItem('xoGameDifficulty');
+    if (AIStrategy.names().includes(savedDifficulty)) {
+        gameState.difficulty = savedDifficulty;
+    }
+    const savedPlayouts = parseInt(localStorage.getItem('xoGamePlayouts'));
+    if (Array.from(playoutsSelect.options).some(option => parseInt(option.value) === savedPlayouts)) {
+        gameState.playouts = savedPlayouts;
+    }
+}
+
+// Start a new series in the chosen format (none online - each room game stands alone -
+// nor in the spectator mode)
+function startSeries() {
+    const [format, length] = gameState.seriesFormat.split(':');
+    series = format && !isAutoPlayed() ? new MatchSeries({ format, length }) : null;
+    updateSeriesDisplay();
+}
+
+// Player who moves first in the next game - taking turns during a series and between
+// the games the computer plays itself
+function getFirstPlayer() {
+    if (gameState.gameMode === 'arena') {
+        return (arenaTally.X + arenaTally.O + arenaTally.draws) % 2 === 0 ? 'X' : 'O';
+    }
+    return series ? series.nextFirstPlayer() : 'X';
+}
+
+// Choose single games or a series, starting afresh
+function setSeriesFormat(format) {
+    gameState.seriesFormat = format;
+    saveMatchSettings();
+    startSeries();
+    resetGame();
+}
+
+// Choose the side the computer plays, starting afresh
+function setAIPlayer(player) {
+    gameState.aiPlayer = player;
+    saveMatchSettings();
+    updateScoreDisplay();
+    startSeries();
+    resetGame();
+}
+
+// Count a finished game in the series
+function recordSeriesGame(winner) {
+    if (!series || series.isOver) {
+        return;
+    }
+    series.record(winner, engine.moves.length);
+    updateSeriesDisplay();
+}
+
+// Update the series settings, score and end-of-series summary
+function updateSeriesDisplay() {
+    seriesFormatSelect.value = gameState.seriesFormat;
+    seriesSelection.classList.toggle('hidden', isAutoPlayed());
+    aiSideOption.classList.toggle('hidden', gameState.gameMode !== 'ai');
+    aiPlaysXInput.checked = gameState.aiPlayer === 'X';
+    
+    seriesBoard.classList.toggle('hidden', !series);
+    seriesSummary.classList.toggle('hidden', !series || !series.isOver);
+    if (!series) {
+        return;
+    }
+    
+    const wins = series.wins;
+    seriesName.textContent = locale.t(series.format === 'bestOf' ? 'series.bestOf' : 'series.firstTo', { count: series.length });
+    seriesScoreX.textContent = locale.number(wins.X);
+    seriesScoreO.textContent = locale.number(wins.O);
+    seriesProgress.textContent = locale.t('series.progress', { games: series.games.length, draws: series.draws });
+    
+    if (series.isOver) {
+        showSeriesSummary();
+    }
+}
+
+// Show who took the series and how each game went
+function showSeriesSummary() {
+    const summary = series.summary();
+    const wins = summary.wins;
+    if (summary.winner) {
+        const loser = summary.winner === 'X' ? 'O' : 'X';
+        seriesResult.textContent = locale.t('series.won', {
+            player: getPlayerLabel(summary.winner),
+            wins: wins[summary.winner],
+            losses: wins[loser]
+        });
+    } else {
+        seriesResult.textContent = locale.t('series.tied', { x: wins.X, o: wins.O });
+    }
+    
+    seriesGames.innerHTML = '';
+    summary.games.forEach(game => {
+        const item = document.createElement('li');
+        const result = game.winner ? locale.t('series.gameWon', { player: getPlayerLabel(game.winner) }) : locale.t('status.draw');
+        item.textContent = locale.t('series.game', {
+            player: getPlayerLabel(game.firstPlayer),
+            result,
+            moves: locale.t('game.moves', { count: game.moves })
+        });
+        seriesGames.appendChild(item);
+    });
+    seriesAverage.textContent = locale.t('series.average', {
+        moves: locale.t('game.moves', { count: summary.averageMoves })
+    });
+}
+
+// Set up the clock for the chosen time control (none online - the server keeps the game -
+// nor in the spectator mode)
+function startClock() {
+    if (clock) {
+        clock.stop();
+    }
+    clock = null;
+    
+    const [mode, seconds] = gameState.timeControl.split(':');
+    if (mode && !isAutoPlayed()) {
+        clock = new GameClock({ mode, seconds: parseInt(seconds) });
+        clock.on('tick', updateClockDisplay);
+        clock.on('timeout', ({ player }) => handleTimeout(player));
+        if (gameState.isProcessing || replay || pendingSavedGame) {
+            clock.pause();
+        }
+        if (!checkGameStatus()) {
+            clock.start(engine.currentPlayer);
+        }
+    }
+    updateTimeControlDisplay();
+}
+
+// Give both players their full time when a game starts or is loaded
+function restartClock() {
+    if (clock) {
+        clock.reset();
+        if (!checkGameStatus()) {
+            clock.start(engine.currentPlayer);
+        }
+    }
+    updateClockDisplay();
+}
+
+// Choose the time control - it applies from the current move on
+function setTimeControl(timeControl) {
+    gameState.timeControl = timeControl;
+    saveMatchSettings();
+    startClock();
+}
+
+// The player to move ran out of time: a random move is played for them
+// if chosen (time per move only), otherwise they lose the game
+function handleTimeout(player) {
+    const opponent = player === 'X' ? 'O' : 'X';
+    if (gameState.timeoutRandom && clock.mode === 'move') {
+        const move = AIStrategy.get('easy').getMove(AIStrategy.fromEngine(engine)).move;
+        if (move !== -1) {
+            engine.applyMove(move);
+            if (!checkGameStatus()) {
+                displayStatus(locale.t('time.randomMove', { player: getPlayerLabel(player) }), 'info');
+            }
+            scheduleAIMove();
+            return;
+        }
+    }
+    
+    gameState.timedOut = player;
+    gameState.scores[opponent]++;
+    saveScores();
+    updateScoreDisplay();
+    recordGame(opponent);
+    recordSeriesGame(opponent);
+    saveGame();
+    
+    showTimeout(player);
+    updateHistoryDisplay();
+    scheduleAnalysis();
+}
+
+// Show who lost on time
+function showTimeout(player) {
+    const opponent = player === 'X' ? 'O' : 'X';
+    displayStatus(locale.t('time.lost', { player: getPlayerLabel(player), opponent: getPlayerLabel(opponent) }), 'winner');
+}
+
+// Update the time control settings
+function updateTimeControlDisplay() {
+    timeControlSelect.value = gameState.timeControl;
+    timeSelection.classList.toggle('hidden', isAutoPlayed());
+    timeoutRandomInput.checked = gameState.timeoutRandom;
+    timeoutRandomOption.classList.toggle('hidden', !gameState.timeControl.startsWith('move:'));
+    updateClockDisplay();
+}
+
+// Show the time left for the player to move
+function updateClockDisplay() {
+    moveClockDisplay.classList.toggle('hidden', !clock);
+    if (!clock) {
+        return;
+    }
+    
+    const seconds = Math.ceil(clock.getRemaining(engine.currentPlayer) / 1000);
+    const minutes = locale.number(Math.floor(seconds / 60));
+    moveClockDisplay.textContent = `⏱ ${minutes}:${locale.number(seconds % 60, { minimumIntegerDigits: 2 })}`;
+    moveClockDisplay.classList.toggle('low', seconds <= 10 && clock.player !== null);
+}
+
+// Save the series format, the computer's side and the time control to localStorage
+function saveMatchSettings() {
+    localStorage.setItem('xoGameSeries', gameState.seriesFormat);
+    localStorage.setItem('xoGameAIPlayer', gameState.aiPlayer);
+    localStorage.setItem('xoGameTimeControl', gameState.timeControl);
+    localStorage.setItem('xoGameTimeoutRandom', gameState.timeoutRandom);
+    localStorage.setItem('xoGameArena', JSON.stringify(gameState.arena));
+}
+
+// Load the series format, the computer's side, the time control and the spectator mode's
+// difficulties from localStorage
+function loadMatchSettings() {
+    const isOption = (select, value) => Array.from(select.options).some(option => option.value === value);
+    
+    const savedFormat = localStorage.getItem('xoGameSeries');
+    if (savedFormat && isOption(seriesFormatSelect, savedFormat)) {
+        gameState.seriesFormat = savedFormat;
+    }
+    if (localStorage.getItem('xoGameAIPlayer') === 'X') {
+        gameState.aiPlayer = 'X';
+    }
+    const savedTimeControl = localStorage.getItem('xoGameTimeControl');
+    if (savedTimeControl && isOption(timeControlSelect, savedTimeControl)) {
+        gameState.timeControl = savedTimeControl;
+    }
+    gameState.timeoutRandom = localStorage.getItem('xoGameTimeoutRandom') === 'true';
+    
+    try {
+        const savedArena = JSON.parse(localStorage.getItem('xoGameArena')) || {};
+        ['X', 'O'].forEach(player => {
+            if (isOption(arenaXSelect, savedArena[player])) {
+                gameState.arena[player] = savedArena[player];
+            }
+        });
+    } catch (error) {
+        // Corrupt settings - keep the defaults
+    }
+}
+
+// Save scores to the active profile (localStorage if profiles aren't available)
+function saveScores() {
+    if (profile) {
+        profile.scores = gameState.scores;
+        stats.saveProfile(profile);
+        return;
+    }
+    localStorage.setItem('xoGameScores', JSON.stringify(gameState.scores));
+}
+
+// Load scores from localStorage
+function loadScores() {
+    const savedScores = localStorage.getItem('xoGameScores');
+    if (savedScores) {
+        gameState.scores = JSON.parse(savedScores);
+    }
+}
+
+// Save the game after every change, so it can be resumed after a reload
+function saveGame() {
+    if (pendingSavedGame) {
+        // Playing on instead of answering the prompt starts afresh
+        if (!engine.moves.length) {
+            return;
+        }
+        pendingSavedGame = null;
+        resumePrompt.classList.add('hidden');
+        if (clock) {
+            clock.resume();
+        }
+    }
+    
+    // Online games are kept by the server, and the spectator mode starts afresh
+    if (isAutoPlayed()) {
+        return;
+    }
+    
+    // Keep a series going between games, even before the next game's first move
+    if (!engine.moves.length && !(series && series.games.length)) {
+        localStorage.removeItem('xoGameSession');
+        return;
+    }
+    localStorage.setItem('xoGameSession', JSON.stringify({
+        version: SAVED_GAME_VERSION,
+        mode: gameState.gameMode,
+        aiPlayer: gameState.aiPlayer,
+        game: engine.serialize(),
+        series: series ? series.serialize() : null,
+        timedOut: gameState.timedOut
+    }));
+}
+
+// Read the saved game, dropping it if it is corrupt or from an older version
+function loadSavedGame() {
+    const savedGame = localStorage.getItem('xoGameSession');
+    if (!savedGame) {
+        return null;
+    }
+    
+    try {
+        const saved = JSON.parse(savedGame);
+        if (!saved || saved.version !== SAVED_GAME_VERSION || !['ai', '2p'].includes(saved.mode)) {
+            throw new Error('Unsupported saved game');
+        }
+        // Replays and checks every move and series result
+        const rules = GameEngine.deserialize(saved.game).rules;
+        // Only the boards the size selector offers
+        const preset = GameRules.PRESETS[rules.size];
+        if (!preset || rules.winLength !== preset.winLength || rules.ultimate !== (preset.ultimate === true)) {
+            throw new Error('Unsupported board size');
+        }
+        if (saved.series) {
+            MatchSeries.deserialize(saved.series);
+        }
+        return saved;
+    } catch (error) {
+        localStorage.removeItem('xoGameSession');
+        displayStatus(locale.t('resume.failed'), 'error');
+        return null;
+    }
+}
+
+// Ask whether to continue the game saved before the page was closed
+function offerSavedGame() {
+    // A resumed online room takes the place of the saved game
+    if (gameState.gameMode === 'online') {
+        return;
+    }
+    
+    const saved = loadSavedGame();
+    if (!saved) {
+        return;
+    }
+    
+    pendingSavedGame = saved;
+    updateResumePrompt();
+    resumePrompt.classList.remove('hidden');
+}
+
+// Describe the saved game in the resume prompt
+function updateResumePrompt() {
+    const saved = pendingSavedGame;
+    resumeText.textContent = locale.t('resume.prompt', {
+        moves: locale.t('game.moves', { count: saved.game.moves.length }),
+        size: saved.game.size,
+        mode: locale.t(saved.mode === 'ai' ? 'mode.ai' : 'mode.2p'),
+        progress: saved.series ? locale.t('resume.seriesProgress', { number: saved.series.games.length + 1 }) : ''
+    });
+}
+
+// Continue the saved game where it stopped
+function resumeSavedGame() {
+    const saved = pendingSavedGame;
+    pendingSavedGame = null;
+    resumePrompt.classList.add('hidden');
+    if (!saved) {
+        return;
+    }
+    
+    exitReplay();
+    gameState.aiPlayer = saved.aiPlayer === 'X' ? 'X' : 'O';
+    setGameMode(saved.mode);
+    
+    series = saved.series ? MatchSeries.deserialize(saved.series) : null;
+    gameState.seriesFormat = series ? `${series.format}:${series.length}` : '';
+    saveMatchSettings();
+    updateSeriesDisplay();
+    
+    gameState.boardSize = saved.game.size;
+    engine.load(saved.game);
+    updateBoardSizeDisplay();
+    
+    // A game lost on time stays lost (the clock itself starts afresh)
+    if ((saved.timedOut === 'X' || saved.timedOut === 'O') && !checkGameStatus()) {
+        gameState.timedOut = saved.timedOut;
+        if (clock) {
+            clock.stop();
+        }
+        showTimeout(saved.timedOut);
+        updateHistoryDisplay();
+        updateClockDisplay();
+    }
+    
+    // The AI replies if the game stopped on its turn
+    scheduleAIMove();
+}
+
+// Start afresh and forget the saved game
+function discardSavedGame() {
+    pendingSavedGame = null;
+    resumePrompt.classList.add('hidden');
+    localStorage.removeItem('xoGameSession');
+    if (clock) {
+        clock.resume();
+    }
+    scheduleAIMove();
+}
+
+// Open the profile database and load the active profile's scoreboard.
+// Scores saved in localStorage before profiles existed move into the profile.
+function openStats() {
+    StatsStore.open()
+        .then(store => {
+            stats = store;
+            return stats.getActiveProfile(parseInt(localStorage.getItem('xoGameProfile')), locale.t('profile.defaultName'));
+        })
+        .then(active => stats.migrateLegacyScores(localStorage, active).then(() => setProfile(active)))
+        .catch(() => {
+            // Keep the scoreboard in localStorage, without profiles
+            stats = null;
+            profile = null;
+            statsBtn.disabled = true;
+            statsBtn.title = locale.t('stats.unavailable');
+        });
+}
+
+// Play as a profile
+function setProfile(active) {
+    profile = active;
+    lastRecordedGame = null;
+    localStorage.setItem('xoGameProfile', profile.id);
+    gameState.scores = profile.scores;
+    updateScoreDisplay();
+    
+    if (!statsPanel.classList.contains('hidden')) {
+        showStats();
+    }
+}
+
+// Switch to the profile picked in the stats screen
+function switchProfile(id) {
+    stats.getProfiles().then(profiles => {
+        const picked = profiles.find(entry => entry.id === id);
+        if (picked) {
+            setProfile(picked);
+        }
+    });
+}
+
+// Create a profile and play as it
+function addProfile() {
+    const name = cleanProfileName(prompt(locale.t('profile.newName')));
+    if (name) {
+        stats.addProfile(name).then(setProfile);
+    }
+}
+
+// Rename the active profile
+function renameProfile() {
+    const name = cleanProfileName(prompt(locale.t('profile.renameTo'), profile.name));
+    if (name) {
+        profile.name = name;
+        stats.saveProfile(profile).then(showStats);
+    }
+}
+
+// Delete the active profile and its statistics (the last profile can't be deleted)
+function deleteProfile() {
+    if (!confirm(locale.t('profile.confirmDelete', { name: profile.name }))) {
+        return;
+    }
+    stats.deleteProfile(profile.id)
+        .then(() => stats.getActiveProfile(undefined, locale.t('profile.defaultName')))
+        .then(setProfile);
+}
+
+// Tidy up a profile name typed by the player
+function cleanProfileName(name) {
+    return (name || '').replace(/\s+/g, ' ').trim().slice(0, 20);
+}
+
+// Store a finished game for the active profile's statistics
+function recordGame(winner) {
+    lastRecordedGame = null;
+    if (!profile || !isScored()) {
+        return;
+    }
+    
+    // Against the computer the profile plays the other side, on one screen it plays X
+    let side = 'X';
+    if (gameState.online) {
+        side = gameState.online.role;
+    } else if (gameState.gameMode === 'ai') {
+        side = gameState.aiPlayer === 'X' ? 'O' : 'X';
+    }
+    lastRecordedGame = stats.addGame({
+        profileId: profile.id,
+        date: Date.now(),
+        mode: gameState.gameMode,
+        difficulty: gameState.gameMode === 'ai' ? gameState.difficulty : null,
+        size: engine.rules.size,
+        side,
+        result: winner === null ? 'draw' : winner === side ? 'win' : 'loss',
+        moves: engine.moves.length,
+        reachedEviction: engine.moves.some(move => move.expired)
+    });
+}
+
+// Show or hide the stats screen
+function toggleStats() {
+    const show = statsPanel.classList.contains('hidden');
+    statsPanel.classList.toggle('hidden', !show);
+    if (show) {
+        showStats();
+        statsPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// Fill the stats screen for the active profile
+function showStats() {
+    Promise.all([stats.getProfiles(), stats.getGames(profile.id)]).then(([profiles, games]) => {
+        profileSelect.innerHTML = '';
+        profiles.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.name;
+            option.selected = entry.id === profile.id;
+            profileSelect.appendChild(option);
+        });
+        deleteProfileBtn.disabled = profiles.length < 2;
+        
+        const summary = StatsStore.summarize(games, profile.legacy);
+        const streakKeys = { win: 'stats.streakWin', loss: 'stats.streakLoss', draw: 'stats.streakDraw' };
+        const streak = summary.currentStreak;
+        const cards = [
+            ['stats.games', locale.number(summary.total.games)],
+            ['stats.currentStreak', streak.result ? locale.t(streakKeys[streak.result], { count: streak.length }) : '-'],
+            ['stats.bestStreak', locale.number(summary.bestWinStreak)],
+            ['stats.averageLength', games.length ? locale.t('game.moves', { count: summary.averageMoves }) : '-'],
+            ['stats.evictionRate', games.length ? locale.number(summary.evictionRate, { style: 'percent' }) : '-']
+        ];
+        statsSummary.innerHTML = '';
+        cards.forEach(([label, value]) => {
+            const card = document.createElement('div');
+            card.className = 'stats-card';
+            const valueElement = document.createElement('div');
+            valueElement.className = 'stats-value';
+            valueElement.textContent = value;
+            const labelElement = document.createElement('div');
+            labelElement.className = 'stats-label';
+            labelElement.textContent = locale.t(label);
+            card.append(valueElement, labelElement);
+            statsSummary.appendChild(card);
+        });
+        
+        const rows = [
+            ['mode.ai', summary.byMode.ai, ''],
+            ['difficulty.easy', summary.byDifficulty.easy, 'sub'],
+            ['difficulty.medium', summary.byDifficulty.medium, 'sub'],
+            ['difficulty.hard', summary.byDifficulty.hard, 'sub'],
+            ['difficulty.impossible', summary.byDifficulty.impossible, 'sub'],
+            ['difficulty.mcts', summary.byDifficulty.mcts, 'sub'],
+            ['stats.twoPlayer', summary.byMode['2p'], ''],
+            ['mode.online', summary.byMode.online, ''],
+            ['stats.total', summary.total, 'total']
+        ];
+        statsTable.innerHTML = '';
+        rows.forEach(([label, tally, className]) => {
+            const row = document.createElement('tr');
+            row.className = className;
+            [locale.t(label), tally.wins, tally.losses, tally.draws].forEach((value, i) => {
+                const cell = document.createElement(i === 0 ? 'th' : 'td');
+                cell.textContent = i === 0 ? value : locale.number(value);
+                row.appendChild(cell);
+            });
+            statsTable.appendChild(row);
+        });
+        
+        const legacy = profile.legacy;
+        const legacyGames = legacy ? legacy.wins + legacy.losses + legacy.draws : 0;
+        statsNote.textContent = legacyGames ? locale.t('stats.legacy', { count: legacyGames }) : '';
+    });
 }
 
 // Initialize game when DOM is loaded
@@ -0,0 +1,767 @@
+/**
+ * I18n.js - Messages in Arabic, English and French
+ * The message catalogue, with placeholders ({name}), plural forms chosen by
+ * {count}, and numbers written the way each language writes them.
+ * DOM-free, so it loads in Node as well as the browser.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// A message is a string, or an object of plural forms ('one', 'two', 'few',
+// 'many', 'other' - see Intl.PluralRules) picked by the count parameter.
+// Arabic is the reference: a message missing from another language falls back to it.
+const I18N_MESSAGES = {
+    ar: {
+        'page.title': 'X O Game - لعبة إكس أو',
+        'page.description': 'لعبة X O كلاسيكية مع ذكاء اصطناعي متقدم - العب ضد الكمبيوتر أو صديق',
+        'header.subtitle': 'لعبة إكس أو الكلاسيكية',
+        'language.title': 'اللغة',
+        'resume.continue': 'متابعة اللعبة',
+        'resume.prompt': 'لديك لعبة محفوظة ({moves}، {size}×{size}، {mode}{progress}). هل تريد متابعتها؟',
+        'resume.seriesProgress': '، المباراة {number} من سلسلة',
+        'resume.failed': '⚠️ تعذرت استعادة اللعبة المحفوظة، ابدأ لعبة جديدة',
+        'offline.label': 'بدون اتصال',
+        'offline.title': 'اللعبة تعمل بدون إنترنت، ما عدا اللعب أونلاين',
+        'update.available': 'نسخة جديدة من اللعبة متاحة',
+        'update.reload': 'تحديث الآن',
+        'update.later': 'لاحقاً',
+        'mode.ai': 'ضد الكمبيوتر',
+        'mode.2p': 'لاعبان',
+        'mode.online': 'أونلاين',
+        'mode.arena': 'كمبيوتر ضد كمبيوتر',
+        'arena.strategy': 'مستوى الكمبيوتر',
+        'arena.pause': 'إيقاف مؤقت',
+        'arena.resume': 'متابعة',
+        'arena.player': '{player} ({strategy})',
+        'arena.repetition': '🔁 تكرر الوضع نفسه {count} مرات - تعادل!',
+        'mode.puzzle': 'ألغاز',
+        'puzzle.progress': 'حللت {solved} من {total} لغزاً',
+        'puzzle.sliding': 'إزالة الأقدم',
+        'puzzle.goal': 'دور {player}: فز خلال {count} حركات مهما لعب الخصم',
+        'puzzle.winIn': 'فوز خلال {count} حركات',
+        'puzzle.rating': 'الصعوبة {rating} من 5',
+        'puzzle.attempts': 'المحاولات: {count}',
+        'puzzle.hints': 'التلميحات: {count}',
+        'puzzle.hint': 'تلميح',
+        'puzzle.retry': 'إعادة المحاولة',
+        'puzzle.next': 'اللغز التالي',
+        'puzzle.solved': '🧩 أحسنت! حللت اللغز',
+        'puzzle.failed': '❌ هذه الحركة تترك للخصم دفاعاً ينجو به - حاول مرة أخرى',
+        'online.server': 'عنوان الخادم',
+        'online.serverTitle': 'عنوان الخادم (node server.js)',
+        'online.name': 'اسمك',
+        'online.create': 'إنشاء غرفة',
+        'online.code': 'رمز الغرفة',
+        'online.join': 'انضمام',
+        'online.leave': 'مغادرة',
+        'online.spectating': 'أنت تشاهد',
+        'online.playing': 'أنت تلعب {player}',
+        'online.reconnecting': 'انقطع الاتصال، جارٍ إعادة الاتصال…',
+        'online.connecting': 'جارٍ الاتصال…',
+        'online.waiting': 'بانتظار الخصم - شارك رمز الغرفة',
+        'online.opponent': 'الخصم: {name}',
+        'online.opponentAway': 'الخصم: {name} (غير متصل)',
+        'online.spectators': '{count} مشاهد',
+        'online.roomNotFound': 'لا توجد غرفة بهذا الرمز',
+        'online.seatLost': 'انتهت صلاحية الجلسة، انضم من جديد',
+        'online.notYourTurn': 'ليس دورك',
+        'online.spectatorMove': 'المشاهدون لا يمكنهم اللعب',
+        'online.spectatorNewGame': 'فقط اللاعبان يمكنهما بدء لعبة جديدة',
+        'online.positionChanged': 'تغيرت الوضعية، حاول مرة أخرى',
+        'online.unreachable': 'تعذر الاتصال بالخادم - شغّل node server.js',
+        'difficulty.easy': 'سهل',
+        'difficulty.medium': 'متوسط',
+        'difficulty.hard': 'صعب',
+        'difficulty.impossible': 'مستحيل',
+        'difficulty.mcts': 'مونت كارلو',
+        'mcts.name': 'بحث شجرة مونت كارلو (MCTS)',
+        'mcts.title': 'عدد مرات المحاكاة لكل حركة',
+        'mcts.playouts': '{count} محاكاة لكل حركة',
+        'series.title': 'نوع المباراة',
+        'series.single': 'مباراة واحدة',
+        'series.bestOf': 'أفضل من {count}',
+        'series.firstTo': 'أول من يفوز بـ {count}',
+        'series.aiPlaysX': 'الكمبيوتر يلعب X',
+        'series.progress': '{games} مباراة · {draws} تعادل',
+        'series.won': '🏆 {player} فاز بالسلسلة {wins}-{losses}',
+        'series.tied': '🤝 انتهت السلسلة بالتعادل {x}-{o}',
+        'series.gameWon': 'فاز {player}',
+        'series.game': 'بدأ {player} · {result} · {moves}',
+        'series.average': 'متوسط طول المباراة: {moves}',
+        'series.new': 'سلسلة جديدة',
+        'time.title': 'الوقت',
+        'time.none': 'بدون وقت',
+        'time.perMove': { few: '{count} ثوانٍ لكل حركة', other: '{count} ثانية لكل حركة' },
+        'time.perGame': { one: 'دقيقة لكل لاعب', few: '{count} دقائق لكل لاعب', other: '{count} دقيقة لكل لاعب' },
+        'time.random': 'حركة عشوائية عند نفاد الوقت',
+        'time.randomTitle': 'بدل خسارة المباراة، في الوقت لكل حركة',
+        'time.remaining': 'الوقت المتبقي',
+        'time.randomMove': '⏰ انتهى وقت {player} - لُعبت حركة عشوائية',
+        'time.lost': '⏰ انتهى وقت {player} - {opponent} فاز!',
+        'rules.title': '⚙️ القواعد:',
+        'rules.eviction': 'إزالة الرموز',
+        'rules.window': 'الأقدم على اللوحة',
+        'rules.player': 'الأقدم لكل لاعب',
+        'rules.none': 'بدون إزالة (كلاسيكي)',
+        'rules.windowSize': 'الرموز على اللوحة قبل الإزالة',
+        'rules.pieceLimit': 'رموز كل لاعب',
+        'rules.misere': 'ميزير: من يكمل خطاً يخسر',
+        'rules.classic': 'كلاسيكي',
+        'rules.windowDescription': 'إزالة الأقدم بعد {count} رموز',
+        'rules.limitDescription': '{count} رموز لكل لاعب',
+        'rules.misereShort': 'ميزير',
+        'theme.title': '🎨 المظهر:',
+        'theme.palette': 'الألوان',
+        'theme.variant': 'الوضع',
+        'theme.pieces': 'الرموز',
+        'theme.background': 'الخلفية',
+        'theme.density': 'الكثافة',
+        'palette.cosmic': 'كوني',
+        'palette.ocean': 'محيط',
+        'palette.sunset': 'غروب',
+        'palette.forest': 'غابة',
+        'variant.dark': 'داكن',
+        'variant.light': 'فاتح',
+        'pieces.letters': 'X و O',
+        'pieces.symbols': '✕ و ◯',
+        'pieces.emoji': '❌ و ⭕',
+        'pieces.animals': '🐱 و 🐶',
+        'pieces.fruit': '🍓 و 🍊',
+        'background.stars': 'نجوم متساقطة',
+        'background.snow': 'ثلج',
+        'background.none': 'بدون',
+        'sound.button': 'كتم الصوت',
+        'sound.muteTitle': 'كتم كل الأصوات',
+        'sound.title': '🔊 الأصوات:',
+        'sound.volume': 'مستوى الصوت',
+        'sound.muted': 'مكتومة',
+        'cue.placeX': 'وضع X',
+        'cue.placeO': 'وضع O',
+        'cue.expire': 'إزالة الأقدم',
+        'cue.warning': 'تنبيه الرمز الأقدم',
+        'cue.thinking': 'تفكير الكمبيوتر',
+        'cue.win': 'الفوز',
+        'cue.reset': 'لعبة جديدة',
+        'turn.label': 'الدور الحالي:',
+        'analysis.button': 'تحليل',
+        'analysis.title': 'إظهار تقييم كل حركة',
+        'analysis.win': '+N فوز خلال N',
+        'analysis.draw': '= تعادل',
+        'analysis.loss': '−N خسارة خلال N',
+        'analysis.unknown': '? غير محسوم',
+        'analysis.winIn': 'فوز خلال {count} حركات',
+        'analysis.lossIn': 'خسارة خلال {count} حركات',
+        'analysis.drawn': 'تعادل',
+        'analysis.undecided': 'غير محسوم',
+        'analysis.failed': '⚠️ تعذر تحليل الحركات: {error}',
+        'contrast.button': 'تباين عالٍ',
+        'contrast.title': 'ألوان عالية التباين',
+        'board.label': 'لوحة اللعب {size}×{size}',
+        'size.ultimate': 'الكبرى',
+        'size.ultimateTitle': 'تسع لوحات صغيرة: الخانة التي تلعب فيها تحدد اللوحة التي يلعب فيها خصمك',
+        'board.help': 'تنقل بين الخانات بالأسهم، والعب بـ Enter أو المسافة، أو بالأرقام 1 إلى 9 في لوحة 3×3',
+        'cell.name': 'الصف {row}، العمود {col}',
+        'cell.empty': 'فارغة',
+        'cell.expiring': '، ستُزال في الحركة التالية',
+        'announce.move': '{name} لعب {player} في {cell}',
+        'announce.expired': 'أُزيل رمز {player} من {cell}',
+        'announce.subBoardWon': 'فاز {player} ب{board}',
+        'announce.subBoardDrawn': '{board} انتهت بالتعادل',
+        'announce.nextBoard': 'الحركة التالية في {board}',
+        'announce.anyBoard': 'الحركة التالية في أي لوحة مفتوحة',
+        'subBoard.name': 'اللوحة في الصف {row}، العمود {col}',
+        'replay.back': 'الحركة السابقة',
+        'replay.play': 'تشغيل',
+        'replay.pause': 'إيقاف مؤقت',
+        'replay.forward': 'الحركة التالية',
+        'replay.speed': 'السرعة',
+        'replay.exit': 'إنهاء العرض',
+        'player.named': 'اللاعب {player}',
+        'player.computer': 'الكمبيوتر',
+        'status.win': '🎉 {player} فاز!',
+        'status.misereWin': '🎉 {winner} فاز! ({loser} أكمل خطاً)',
+        'status.draw': '🤝 تعادل!',
+        'status.aiFailed': '⚠️ تعذر حساب حركة الكمبيوتر: {error}',
+        'search.info': 'عمق البحث {depth} · {nodes} وضعية · {score}',
+        'search.aiWins': 'فوز الكمبيوتر خلال {count}',
+        'search.aiLoses': 'خسارة الكمبيوتر خلال {count}',
+        'search.score': 'التقييم {score}',
+        'search.mcts': '{playouts} محاكاة · {nodes} عقدة · فرصة فوز الكمبيوتر {percent}',
+        'score.draws': 'تعادل',
+        'score.reset': 'إعادة تعيين النتيجة',
+        'score.confirmReset': 'هل أنت متأكد من إعادة تعيين جميع النتائج؟',
+        'history.undo': 'تراجع',
+        'history.redo': 'إعادة',
+        'history.start': 'البداية',
+        'history.move': 'الحركة {number}',
+        'history.removedBy': ' - أزيلت في الحركة {number}',
+        'record.copy': 'نسخ السجل',
+        'record.download': 'حفظ كملف',
+        'record.import': 'استيراد',
+        'record.replay': 'إعادة العرض',
+        'record.copied': '📋 تم نسخ سجل اللعبة',
+        'record.invalid': '⚠️ سجل غير صالح: {error}',
+        'game.new': 'لعبة جديدة',
+        'game.moves': '{count} حركة',
+        'stats.button': 'الإحصائيات',
+        'stats.title': '📊 الإحصائيات',
+        'stats.close': 'إغلاق',
+        'stats.unavailable': 'الإحصائيات غير متاحة في هذا المتصفح',
+        'stats.win': 'فوز',
+        'stats.loss': 'خسارة',
+        'stats.draw': 'تعادل',
+        'stats.games': 'المباريات',
+        'stats.currentStreak': 'السلسلة الحالية',
+        'stats.streakWin': '{count} فوز',
+        'stats.streakLoss': '{count} خسارة',
+        'stats.streakDraw': '{count} تعادل',
+        'stats.bestStreak': 'أطول سلسلة فوز',
+        'stats.averageLength': 'متوسط طول المباراة',
+        'stats.evictionRate': 'وصلت إلى إزالة الرموز',
+        'stats.twoPlayer': 'لاعبان (نتائج X)',
+        'stats.total': 'المجموع',
+        'stats.legacy': 'يشمل المجموع {count} نتيجة من لوحة النتائج القديمة بدون تفاصيل.',
+        'profile.title': 'الملف الشخصي',
+        'profile.add': 'ملف جديد',
+        'profile.rename': 'إعادة تسمية',
+        'profile.delete': 'حذف',
+        'profile.newName': 'اسم الملف الشخصي الجديد:',
+        'profile.defaultName': 'اللاعب 1',
+        'profile.renameTo': 'الاسم الجديد:',
+        'profile.confirmDelete': 'حذف الملف "{name}" وجميع إحصائياته؟',
+        'footer.tagline': 'تم التطوير بواسطة Abdessamad Guiadiri ✨'
+    },
+
+    en: {
+        'page.title': 'X O Game - Tic-Tac-Toe',
+        'page.description': 'Classic Tic-Tac-Toe with a strong AI - play the computer or a friend',
+        'header.subtitle': 'The classic Tic-Tac-Toe game',
+        'language.title': 'Language',
+        'resume.continue': 'Resume game',
+        'resume.prompt': 'You have a saved game ({moves}, {size}×{size}, {mode}{progress}). Resume it?',
+        'resume.seriesProgress': ', game {number} of a series',
+        'resume.failed': '⚠️ The saved game could not be restored, start a new game',
+        'offline.label': 'Offline',
+        'offline.title': 'The game works without internet, except for online play',
+        'update.available': 'A new version of the game is available',
+        'update.reload': 'Update now',
+        'update.later': 'Later',
+        'mode.ai': 'vs Computer',
+        'mode.2p': 'Two players',
+        'mode.online': 'Online',
+        'mode.arena': 'AI vs AI',
+        'arena.strategy': 'Computer level',
+        'arena.pause': 'Pause',
+        'arena.resume': 'Resume',
+        'arena.player': '{player} ({strategy})',
+        'arena.repetition': '🔁 Same position {count} times - draw!',
+        'mode.puzzle': 'Puzzles',
+        'puzzle.progress': '{solved} of {total} puzzles solved',
+        'puzzle.sliding': 'Oldest removed',
+        'puzzle.goal': { one: '{player} to play and win in {count} move against any defence', other: '{player} to play and win in {count} moves against any defence' },
+        'puzzle.winIn': { one: 'Win in {count} move', other: 'Win in {count} moves' },
+        'puzzle.rating': 'Difficulty {rating} of 5',
+        'puzzle.attempts': { one: '{count} attempt', other: '{count} attempts' },
+        'puzzle.hints': { one: '{count} hint', other: '{count} hints' },
+        'puzzle.hint': 'Hint',
+        'puzzle.retry': 'Try again',
+        'puzzle.next': 'Next puzzle',
+        'puzzle.solved': '🧩 Well done! Puzzle solved',
+        'puzzle.failed': '❌ That move leaves a defence that holds - try again',
+        'online.server': 'Server address',
+        'online.serverTitle': 'Server address (node server.js)',
+        'online.name': 'Your name',
+        'online.create': 'Create room',
+        'online.code': 'Room code',
+        'online.join': 'Join',
+        'online.leave': 'Leave',
+        'online.spectating': 'You are watching',
+        'online.playing': 'You play {player}',
+        'online.reconnecting': 'Connection lost, reconnecting…',
+        'online.connecting': 'Connecting…',
+        'online.waiting': 'Waiting for an opponent - share the room code',
+        'online.opponent': 'Opponent: {name}',
+        'online.opponentAway': 'Opponent: {name} (offline)',
+        'online.spectators': { one: '{count} spectator', other: '{count} spectators' },
+        'online.roomNotFound': 'There is no room with this code',
+        'online.seatLost': 'Your session has expired, join again',
+        'online.notYourTurn': 'Not your turn',
+        'online.spectatorMove': 'Spectators cannot play',
+        'online.spectatorNewGame': 'Only the players can start a new game',
+        'online.positionChanged': 'The position has changed, try again',
+        'online.unreachable': 'Could not reach the server - run node server.js',
+        'difficulty.easy': 'Easy',
+        'difficulty.medium': 'Medium',
+        'difficulty.hard': 'Hard',
+        'difficulty.impossible': 'Impossible',
+        'difficulty.mcts': 'Monte Carlo',
+        'mcts.name': 'Monte Carlo Tree Search (MCTS)',
+        'mcts.title': 'Playouts per move',
+        'mcts.playouts': '{count} playouts per move',
+        'series.title': 'Match type',
+        'series.single': 'Single game',
+        'series.bestOf': 'Best of {count}',
+        'series.firstTo': 'First to {count} wins',
+        'series.aiPlaysX': 'Computer plays X',
+        'series.progress': '{games} games · {draws} draws',
+        'series.won': '🏆 {player} wins the series {wins}-{losses}',
+        'series.tied': '🤝 The series ended level {x}-{o}',
+        'series.gameWon': '{player} won',
+        'series.game': '{player} started · {result} · {moves}',
+        'series.average': 'Average game length: {moves}',
+        'series.new': 'New series',
+        'time.title': 'Time',
+        'time.none': 'No clock',
+        'time.perMove': { one: '{count} second per move', other: '{count} seconds per move' },
+        'time.perGame': { one: '1 minute per player', other: '{count} minutes per player' },
+        'time.random': 'Random move when time runs out',
+        'time.randomTitle': 'Instead of losing the game, with time per move',
+        'time.remaining': 'Time left',
+        'time.randomMove': '⏰ {player} ran out of time - a random move was played',
+        'time.lost': '⏰ {player} ran out of time - {opponent} wins!',
+        'rules.title': '⚙️ Rules:',
+        'rules.eviction': 'Piece removal',
+        'rules.window': 'Oldest on the board',
+        'rules.player': 'Oldest of each player',
+        'rules.none': 'No removal (classic)',
+        'rules.windowSize': 'Pieces on the board before removal',
+        'rules.pieceLimit': 'Pieces per player',
+        'rules.misere': 'Misère: completing a line loses',
+        'rules.classic': 'Classic',
+        'rules.windowDescription': 'Oldest removed after {count} pieces',
+        'rules.limitDescription': '{count} pieces per player',
+        'rules.misereShort': 'misère',
+        'theme.title': '🎨 Theme:',
+        'theme.palette': 'Colours',
+        'theme.variant': 'Mode',
+        'theme.pieces': 'Pieces',
+        'theme.background': 'Background',
+        'theme.density': 'Density',
+        'palette.cosmic': 'Cosmic',
+        'palette.ocean': 'Ocean',
+        'palette.sunset': 'Sunset',
+        'palette.forest': 'Forest',
+        'variant.dark': 'Dark',
+        'variant.light': 'Light',
+        'pieces.letters': 'X and O',
+        'pieces.symbols': '✕ and ◯',
+        'pieces.emoji': '❌ and ⭕',
+        'pieces.animals': '🐱 and 🐶',
+        'pieces.fruit': '🍓 and 🍊',
+        'background.stars': 'Falling stars',
+        'background.snow': 'Snow',
+        'background.none': 'None',
+        'sound.button': 'Mute',
+        'sound.muteTitle': 'Mute every sound',
+        'sound.title': '🔊 Sounds:',
+        'sound.volume': 'Volume',
+        'sound.muted': 'muted',
+        'cue.placeX': 'X placed',
+        'cue.placeO': 'O placed',
+        'cue.expire': 'Oldest removed',
+        'cue.warning': 'Oldest piece warning',
+        'cue.thinking': 'Computer thinking',
+        'cue.win': 'Win',
+        'cue.reset': 'New game',
+        'turn.label': 'Turn:',
+        'analysis.button': 'Analysis',
+        'analysis.title': 'Show the evaluation of every move',
+        'analysis.win': '+N win in N',
+        'analysis.draw': '= draw',
+        'analysis.loss': '−N loss in N',
+        'analysis.unknown': '? undecided',
+        'analysis.winIn': { one: 'Win in {count} move', other: 'Win in {count} moves' },
+        'analysis.lossIn': { one: 'Loss in {count} move', other: 'Loss in {count} moves' },
+        'analysis.drawn': 'Draw',
+        'analysis.undecided': 'Undecided',
+        'analysis.failed': '⚠️ Could not analyse the moves: {error}',
+        'contrast.button': 'High contrast',
+        'contrast.title': 'High-contrast colours',
+        'board.label': '{size}×{size} game board',
+        'size.ultimate': 'Ultimate',
+        'size.ultimateTitle': 'Nine small boards: the cell you play decides the board your opponent plays in',
+        'board.help': 'Move between cells with the arrow keys and play with Enter or Space, or with the keys 1 to 9 on the 3×3 board',
+        'cell.name': 'Row {row}, column {col}',
+        'cell.empty': 'empty',
+        'cell.expiring': ', removed on the next move',
+        'announce.move': '{name} played {player} at {cell}',
+        'announce.expired': '{player} removed from {cell}',
+        'announce.subBoardWon': '{player} wins {board}',
+        'announce.subBoardDrawn': '{board} is drawn',
+        'announce.nextBoard': 'Next move in {board}',
+        'announce.anyBoard': 'Next move in any open board',
+        'subBoard.name': 'the board in row {row}, column {col}',
+        'replay.back': 'Previous move',
+        'replay.play': 'Play',
+        'replay.pause': 'Pause',
+        'replay.forward': 'Next move',
+        'replay.speed': 'Speed',
+        'replay.exit': 'End replay',
+        'player.named': 'Player {player}',
+        'player.computer': 'Computer',
+        'status.win': '🎉 {player} wins!',
+        'status.misereWin': '🎉 {winner} wins! ({loser} completed a line)',
+        'status.draw': '🤝 Draw!',
+        'status.aiFailed': '⚠️ Could not compute the computer\'s move: {error}',
+        'search.info': 'Search depth {depth} · {nodes} positions · {score}',
+        'search.aiWins': 'Computer wins in {count}',
+        'search.aiLoses': 'Computer loses in {count}',
+        'search.score': 'Evaluation {score}',
+        'search.mcts': '{playouts} playouts · {nodes} tree nodes · computer win chance {percent}',
+        'score.draws': 'Draws',
+        'score.reset': 'Reset score',
+        'score.confirmReset': 'Are you sure you want to reset all scores?',
+        'history.undo': 'Undo',
+        'history.redo': 'Redo',
+        'history.start': 'Start',
+        'history.move': 'Move {number}',
+        'history.removedBy': ' - removed on move {number}',
+        'record.copy': 'Copy record',
+        'record.download': 'Save as file',
+        'record.import': 'Import',
+        'record.replay': 'Replay',
+        'record.copied': '📋 Game record copied',
+        'record.invalid': '⚠️ Invalid record: {error}',
+        'game.new': 'New game',
+        'game.moves': { one: '{count} move', other: '{count} moves' },
+        'stats.button': 'Statistics',
+        'stats.title': '📊 Statistics',
+        'stats.close': 'Close',
+        'stats.unavailable': 'Statistics are not available in this browser',
+        'stats.win': 'Won',
+        'stats.loss': 'Lost',
+        'stats.draw': 'Drawn',
+        'stats.games': 'Games',
+        'stats.currentStreak': 'Current streak',
+        'stats.streakWin': { one: '{count} win', other: '{count} wins' },
+        'stats.streakLoss': { one: '{count} loss', other: '{count} losses' },
+        'stats.streakDraw': { one: '{count} draw', other: '{count} draws' },
+        'stats.bestStreak': 'Longest winning streak',
+        'stats.averageLength': 'Average game length',
+        'stats.evictionRate': 'Reached piece removal',
+        'stats.twoPlayer': 'Two players (X results)',
+        'stats.total': 'Total',
+        'stats.legacy': { one: 'The total includes {count} result from the old scoreboard, without details.', other: 'The total includes {count} results from the old scoreboard, without details.' },
+        'profile.title': 'Profile',
+        'profile.add': 'New profile',
+        'profile.rename': 'Rename',
+        'profile.delete': 'Delete',
+        'profile.newName': 'Name of the new profile:',
+        'profile.defaultName': 'Player 1',
+        'profile.renameTo': 'New name:',
+        'profile.confirmDelete': 'Delete the profile "{name}" and all its statistics?',
+        'footer.tagline': 'Developed by Abdessamad Guiadiri ✨'
+    },
+
+    fr: {
+        'page.title': 'X O Game - Morpion',
+        'page.description': 'Le morpion classique avec une IA redoutable - jouez contre l\'ordinateur ou un ami',
+        'header.subtitle': 'Le jeu de morpion classique',
+        'language.title': 'Langue',
+        'resume.continue': 'Reprendre la partie',
+        'resume.prompt': 'Vous avez une partie sauvegardée ({moves}, {size}×{size}, {mode}{progress}). La reprendre ?',
+        'resume.seriesProgress': ', partie {number} d\'une série',
+        'resume.failed': '⚠️ Impossible de restaurer la partie sauvegardée, commencez une nouvelle partie',
+        'offline.label': 'Hors ligne',
+        'offline.title': 'Le jeu fonctionne sans internet, sauf le jeu en ligne',
+        'update.available': 'Une nouvelle version du jeu est disponible',
+        'update.reload': 'Mettre à jour',
+        'update.later': 'Plus tard',
+        'mode.ai': 'Contre l\'ordinateur',
+        'mode.2p': 'Deux joueurs',
+        'mode.online': 'En ligne',
+        'mode.arena': 'IA contre IA',
+        'arena.strategy': 'Niveau de l\'ordinateur',
+        'arena.pause': 'Pause',
+        'arena.resume': 'Reprendre',
+        'arena.player': '{player} ({strategy})',
+        'arena.repetition': '🔁 Même position {count} fois - match nul !',
+        'mode.puzzle': 'Énigmes',
+        'puzzle.progress': 'Énigmes résolues : {solved} sur {total}',
+        'puzzle.sliding': 'Le plus ancien retiré',
+        'puzzle.goal': { one: '{player} joue et gagne en {count} coup contre toute défense', other: '{player} joue et gagne en {count} coups contre toute défense' },
+        'puzzle.winIn': { one: 'Victoire en {count} coup', other: 'Victoire en {count} coups' },
+        'puzzle.rating': 'Difficulté {rating} sur 5',
+        'puzzle.attempts': { one: '{count} essai', other: '{count} essais' },
+        'puzzle.hints': { one: '{count} indice', other: '{count} indices' },
+        'puzzle.hint': 'Indice',
+        'puzzle.retry': 'Réessayer',
+        'puzzle.next': 'Énigme suivante',
+        'puzzle.solved': '🧩 Bravo ! Énigme résolue',
+        'puzzle.failed': '❌ Ce coup laisse une défense qui tient - réessayez',
+        'online.server': 'Adresse du serveur',
+        'online.serverTitle': 'Adresse du serveur (node server.js)',
+        'online.name': 'Votre nom',
+        'online.create': 'Créer une salle',
+        'online.code': 'Code de la salle',
+        'online.join': 'Rejoindre',
+        'online.leave': 'Quitter',
+        'online.spectating': 'Vous regardez',
+        'online.playing': 'Vous jouez {player}',
+        'online.reconnecting': 'Connexion perdue, reconnexion…',
+        'online.connecting': 'Connexion…',
+        'online.waiting': 'En attente d\'un adversaire - partagez le code de la salle',
+        'online.opponent': 'Adversaire : {name}',
+        'online.opponentAway': 'Adversaire : {name} (hors ligne)',
+        'online.spectators': { one: '{count} spectateur', other: '{count} spectateurs' },
+        'online.roomNotFound': 'Aucune salle avec ce code',
+        'online.seatLost': 'Votre session a expiré, rejoignez à nouveau',
+        'online.notYourTurn': 'Ce n\'est pas votre tour',
+        'online.spectatorMove': 'Les spectateurs ne peuvent pas jouer',
+        'online.spectatorNewGame': 'Seuls les joueurs peuvent lancer une nouvelle partie',
+        'online.positionChanged': 'La position a changé, réessayez',
+        'online.unreachable': 'Serveur injoignable - lancez node server.js',
+        'difficulty.easy': 'Facile',
+        'difficulty.medium': 'Moyen',
+        'difficulty.hard': 'Difficile',
+        'difficulty.impossible': 'Impossible',
+        'difficulty.mcts': 'Monte-Carlo',
+        'mcts.name': 'Recherche arborescente Monte-Carlo (MCTS)',
+        'mcts.title': 'Simulations par coup',
+        'mcts.playouts': '{count} simulations par coup',
+        'series.title': 'Type de match',
+        'series.single': 'Partie simple',
+        'series.bestOf': 'Au meilleur des {count}',
+        'series.firstTo': 'Premier à {count} victoires',
+        'series.aiPlaysX': 'L\'ordinateur joue X',
+        'series.progress': '{games} parties · {draws} nuls',
+        'series.won': '🏆 {player} remporte la série {wins}-{losses}',
+        'series.tied': '🤝 La série se termine à égalité {x}-{o}',
+        'series.gameWon': 'victoire de {player}',
+        'series.game': '{player} a commencé · {result} · {moves}',
+        'series.average': 'Durée moyenne d\'une partie : {moves}',
+        'series.new': 'Nouvelle série',
+        'time.title': 'Temps',
+        'time.none': 'Sans pendule',
+        'time.perMove': { one: '{count} seconde par coup', other: '{count} secondes par coup' },
+        'time.perGame': { one: '1 minute par joueur', other: '{count} minutes par joueur' },
+        'time.random': 'Coup au hasard quand le temps est écoulé',
+        'time.randomTitle': 'Au lieu de perdre la partie, avec le temps par coup',
+        'time.remaining': 'Temps restant',
+        'time.randomMove': '⏰ Temps écoulé pour {player} - un coup au hasard a été joué',
+        'time.lost': '⏰ Temps écoulé pour {player} - {opponent} gagne !',
+        'rules.title': '⚙️ Règles :',
+        'rules.eviction': 'Retrait des pions',
+        'rules.window': 'Le plus ancien du plateau',
+        'rules.player': 'Le plus ancien de chaque joueur',
+        'rules.none': 'Aucun retrait (classique)',
+        'rules.windowSize': 'Pions sur le plateau avant le retrait',
+        'rules.pieceLimit': 'Pions par joueur',
+        'rules.misere': 'Misère : compléter une ligne fait perdre',
+        'rules.classic': 'Classique',
+        'rules.windowDescription': 'Le plus ancien retiré après {count} pions',
+        'rules.limitDescription': '{count} pions par joueur',
+        'rules.misereShort': 'misère',
+        'theme.title': '🎨 Thème :',
+        'theme.palette': 'Couleurs',
+        'theme.variant': 'Mode',
+        'theme.pieces': 'Pions',
+        'theme.background': 'Arrière-plan',
+        'theme.density': 'Densité',
+        'palette.cosmic': 'Cosmique',
+        'palette.ocean': 'Océan',
+        'palette.sunset': 'Coucher de soleil',
+        'palette.forest': 'Forêt',
+        'variant.dark': 'Sombre',
+        'variant.light': 'Clair',
+        'pieces.letters': 'X et O',
+        'pieces.symbols': '✕ et ◯',
+        'pieces.emoji': '❌ et ⭕',
+        'pieces.animals': '🐱 et 🐶',
+        'pieces.fruit': '🍓 et 🍊',
+        'background.stars': 'Étoiles filantes',
+        'background.snow': 'Neige',
+        'background.none': 'Aucun',
+        'sound.button': 'Muet',
+        'sound.muteTitle': 'Couper tous les sons',
+        'sound.title': '🔊 Sons :',
+        'sound.volume': 'Volume',
+        'sound.muted': 'coupés',
+        'cue.placeX': 'X posé',
+        'cue.placeO': 'O posé',
+        'cue.expire': 'Plus ancien retiré',
+        'cue.warning': 'Alerte du plus ancien pion',
+        'cue.thinking': 'Réflexion de l\'ordinateur',
+        'cue.win': 'Victoire',
+        'cue.reset': 'Nouvelle partie',
+        'turn.label': 'Au tour de :',
+        'analysis.button': 'Analyse',
+        'analysis.title': 'Afficher l\'évaluation de chaque coup',
+        'analysis.win': '+N victoire en N',
+        'analysis.draw': '= nul',
+        'analysis.loss': '−N défaite en N',
+        'analysis.unknown': '? indécis',
+        'analysis.winIn': { one: 'Victoire en {count} coup', other: 'Victoire en {count} coups' },
+        'analysis.lossIn': { one: 'Défaite en {count} coup', other: 'Défaite en {count} coups' },
+        'analysis.drawn': 'Nul',
+        'analysis.undecided': 'Indécis',
+        'analysis.failed': '⚠️ Impossible d\'analyser les coups : {error}',
+        'contrast.button': 'Contraste élevé',
+        'contrast.title': 'Couleurs à contraste élevé',
+        'board.label': 'Plateau de jeu {size}×{size}',
+        'size.ultimate': 'Ultimate',
+        'size.ultimateTitle': 'Neuf petits plateaux : la case jouée décide du plateau où joue l\'adversaire',
+        'board.help': 'Déplacez-vous avec les flèches et jouez avec Entrée ou Espace, ou avec les touches 1 à 9 sur le plateau 3×3',
+        'cell.name': 'Ligne {row}, colonne {col}',
+        'cell.empty': 'vide',
+        'cell.expiring': ', retiré au prochain coup',
+        'announce.move': '{name} a joué {player} en {cell}',
+        'announce.expired': '{player} retiré de {cell}',
+        'announce.subBoardWon': '{player} remporte {board}',
+        'announce.subBoardDrawn': 'Match nul sur {board}',
+        'announce.nextBoard': 'Prochain coup dans {board}',
+        'announce.anyBoard': 'Prochain coup dans n\'importe quel plateau ouvert',
+        'subBoard.name': 'le plateau ligne {row}, colonne {col}',
+        'replay.back': 'Coup précédent',
+        'replay.play': 'Lecture',
+        'replay.pause': 'Pause',
+        'replay.forward': 'Coup suivant',
+        'replay.speed': 'Vitesse',
+        'replay.exit': 'Terminer la relecture',
+        'player.named': 'Joueur {player}',
+        'player.computer': 'Ordinateur',
+        'status.win': '🎉 {player} gagne !',
+        'status.misereWin': '🎉 {winner} gagne ! ({loser} a complété une ligne)',
+        'status.draw': '🤝 Match nul !',
+        'status.aiFailed': '⚠️ Impossible de calculer le coup de l\'ordinateur : {error}',
+        'search.info': 'Profondeur {depth} · {nodes} positions · {score}',
+        'search.aiWins': 'L\'ordinateur gagne en {count}',
+        'search.aiLoses': 'L\'ordinateur perd en {count}',
+        'search.score': 'Évaluation {score}',
+        'search.mcts': '{playouts} simulations · {nodes} nœuds · chances de l\'ordinateur {percent}',
+        'score.draws': 'Nuls',
+        'score.reset': 'Remettre le score à zéro',
+        'score.confirmReset': 'Voulez-vous vraiment remettre tous les scores à zéro ?',
+        'history.undo': 'Annuler',
+        'history.redo': 'Rétablir',
+        'history.start': 'Début',
+        'history.move': 'Coup {number}',
+        'history.removedBy': ' - retiré au coup {number}',
+        'record.copy': 'Copier la partie',
+        'record.download': 'Enregistrer',
+        'record.import': 'Importer',
+        'record.replay': 'Revoir',
+        'record.copied': '📋 Partie copiée',
+        'record.invalid': '⚠️ Partie invalide : {error}',
+        'game.new': 'Nouvelle partie',
+        'game.moves': { one: '{count} coup', other: '{count} coups' },
+        'stats.button': 'Statistiques',
+        'stats.title': '📊 Statistiques',
+        'stats.close': 'Fermer',
+        'stats.unavailable': 'Les statistiques ne sont pas disponibles dans ce navigateur',
+        'stats.win': 'Victoires',
+        'stats.loss': 'Défaites',
+        'stats.draw': 'Nuls',
+        'stats.games': 'Parties',
+        'stats.currentStreak': 'Série en cours',
+        'stats.streakWin': { one: '{count} victoire', other: '{count} victoires' },
+        'stats.streakLoss': { one: '{count} défaite', other: '{count} défaites' },
+        'stats.streakDraw': { one: '{count} nul', other: '{count} nuls' },
+        'stats.bestStreak': 'Plus longue série de victoires',
+        'stats.averageLength': 'Durée moyenne d\'une partie',
+        'stats.evictionRate': 'Parties avec retrait de pions',
+        'stats.twoPlayer': 'Deux joueurs (résultats de X)',
+        'stats.total': 'Total',
+        'stats.legacy': { one: 'Le total comprend {count} résultat de l\'ancien tableau des scores, sans détails.', other: 'Le total comprend {count} résultats de l\'ancien tableau des scores, sans détails.' },
+        'profile.title': 'Profil',
+        'profile.add': 'Nouveau profil',
+        'profile.rename': 'Renommer',
+        'profile.delete': 'Supprimer',
+        'profile.newName': 'Nom du nouveau profil :',
+        'profile.defaultName': 'Joueur 1',
+        'profile.renameTo': 'Nouveau nom :',
+        'profile.confirmDelete': 'Supprimer le profil « {name} » et toutes ses statistiques ?',
+        'footer.tagline': 'Développé par Abdessamad Guiadiri ✨'
+    }
+};
+
+class Translator {
+    /**
+     * @param {string} language - 'ar', 'en' or 'fr' (anything else falls back to Arabic)
+     */
+    constructor(language) {
+        this.language = Translator.LANGUAGES[language] ? language : 'ar';
+        const locale = Translator.LANGUAGES[this.language].locale;
+        this.locale = locale;
+        this.numbers = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+        this.plurals = new Intl.PluralRules(locale);
+    }
+
+    /**
+     * Pick the first supported language from a list of preferences
+     * @param {Array} preferred - Language tags, e.g. navigator.languages
+     * @returns {string} - 'ar', 'en' or 'fr'
+     */
+    static detect(preferred = []) {
+        for (let tag of preferred) {
+            const language = String(tag).toLowerCase().split('-')[0];
+            if (Translator.LANGUAGES[language]) {
+                return language;
+            }
+        }
+        return 'ar';
+    }
+
+    /**
+     * Writing direction of the language
+     * @returns {string} - 'rtl' or 'ltr'
+     */
+    get dir() {
+        return Translator.LANGUAGES[this.language].dir;
+    }
+
+    /**
+     * Get a message with its placeholders filled in
+     * @param {string} key - Message key, e.g. 'status.win'
+     * @param {Object} params - Placeholder values - numbers are formatted for the language,
+     *     and count also picks the plural form
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        let message = I18N_MESSAGES[this.language][key];
+        if (message === undefined) {
+            message = I18N_MESSAGES.ar[key];
+        }
+        if (message === undefined) {
+            return key;
+        }
+        if (typeof message === 'object') {
+            const form = typeof params.count === 'number' ? this.plurals.select(params.count) : 'other';
+            message = message[form] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) {
+                return placeholder;
+            }
+            return typeof value === 'number' ? this.number(value) : value;
+        });
+    }
+
+    /**
+     * Write a number the way the language does
+     * @param {number} value
+     * @param {Object} options - Intl.NumberFormat options, e.g. {style: 'percent'}
+     * @returns {string}
+     */
+    number(value, options) {
+        return options ? new Intl.NumberFormat(this.locale, options).format(value) : this.numbers.format(value);
+    }
+}
+
+// Languages offered, named in their own language. Arabic uses the Moroccan
+// conventions for numbers, which keep the Latin digits the board notation uses.
+Translator.LANGUAGES = {
+    ar: { name: 'العربية', dir: 'rtl', locale: 'ar-MA' },
+    en: { name: 'English', dir: 'ltr', locale: 'en' },
+    fr: { name: 'Français', dir: 'ltr', locale: 'fr' }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Translator;
+}
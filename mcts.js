@@ -0,0 +1,225 @@
+/**
+ * MCTS.js - Monte Carlo Tree Search AI
+ * Plays out random games from the position and grows a search tree towards the
+ * moves that win most often (UCT). Needs no evaluation function and no full
+ * search, so it copes with the cycles of the infinite rule and with large
+ * boards where minimax can only look a few moves ahead.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the rules, engine and minimax AI (for its candidate moves),
+// which the browser gets from their own scripts
+if (typeof GameRules === 'undefined' && typeof require === 'function') {
+    globalThis.GameRules = require('./rules.js');
+}
+if (typeof GameEngine === 'undefined' && typeof require === 'function') {
+    globalThis.GameEngine = require('./engine.js');
+}
+if (typeof TicTacToeAI === 'undefined' && typeof require === 'function') {
+    globalThis.TicTacToeAI = require('./ai.js');
+}
+
+// Weight of trying little-visited moves against replaying the best ones so far (√2 in theory)
+const MCTS_EXPLORATION = Math.SQRT2;
+
+class MonteCarloAI {
+    /**
+     * @param {Object} options - Search settings
+     * @param {GameRules} options.rules - Board size and win condition (3×3 by default)
+     * @param {number} options.maxMoves - Pieces kept on the board before the oldest is removed
+     * @param {number} options.playouts - Games played out per move (2000 by default)
+     * @param {number} options.timeLimit - Time budget per move in milliseconds, which stops
+     *     the search early if the playouts take too long (1000 by default)
+     * @param {number} options.playoutLength - Moves after which a playout is called a draw,
+     *     since under the infinite rule a game can go on forever (4 per cell, at most 100, by default)
+     */
+    constructor(options = {}) {
+        this.rules = options.rules || new GameRules();
+        this.maxMoves = options.maxMoves !== undefined ? options.maxMoves : this.rules.maxMoves;
+        this.playouts = options.playouts || 2000;
+        this.timeLimit = options.timeLimit !== undefined ? options.timeLimit : 1000;
+        this.playoutLength = options.playoutLength || Math.min(this.rules.cellCount * 4, 100);
+
+        // Details of the last search: tree nodes, and the playouts actually run
+        this.nodes = 0;
+        this.lastPlayouts = 0;
+    }
+
+    /**
+     * Get the move that did best in the playouts
+     * @param {Array} board - Current board state
+     * @param {Array} moveHistory - Move order ({index, player}, oldest first)
+     * @param {string} player - Player to move
+     * @returns {Object} - {move (-1 if there is none), moves: [{index, visits, winRate}] most visited first,
+     *     winRate of the move chosen (0-1, draws counting half)}
+     */
+    getMove(board, moveHistory, player) {
+        const engine = GameEngine.fromPosition({
+            rules: this.rules,
+            maxMoves: this.maxMoves,
+            board,
+            moveHistory,
+            currentPlayer: player
+        });
+        const root = this.createNode(engine, -1, player === 'X' ? 'O' : 'X');
+        this.nodes = 1;
+        this.lastPlayouts = 0;
+
+        if (root.untried.length <= 1) {
+            const move = root.untried.length ? root.untried[0] : -1;
+            return { move, moves: [], winRate: null };
+        }
+
+        const deadline = Date.now() + this.timeLimit;
+        while (this.lastPlayouts < this.playouts) {
+            // Check the clock every 64 playouts
+            if ((this.lastPlayouts & 63) === 63 && Date.now() > deadline) {
+                break;
+            }
+            this.runPlayout(engine, root);
+            this.lastPlayouts++;
+        }
+
+        const moves = root.children
+            .map(child => ({ index: child.move, visits: child.visits, winRate: child.wins / child.visits }))
+            .sort((a, b) => b.visits - a.visits);
+        return { move: moves[0].index, moves, winRate: moves[0].winRate };
+    }
+
+    /**
+     * One round of the search: pick a path down the tree, add a node to it,
+     * play the game out at random from there and count the result along the path
+     * @param {GameEngine} engine - Position at the root, restored afterwards
+     * @param {Object} root - Root node
+     */
+    runPlayout(engine, root) {
+        const path = [root];
+        let node = root;
+
+        // Selection - follow the most promising moves while every move has been tried
+        while (node.untried.length === 0 && node.children.length > 0) {
+            node = this.selectChild(node);
+            engine.applyMove(node.move);
+            path.push(node);
+        }
+
+        // Expansion - try one new move
+        if (node.untried.length > 0) {
+            const pick = Math.floor(Math.random() * node.untried.length);
+            const move = node.untried.splice(pick, 1)[0];
+            const player = engine.currentPlayer;
+            engine.applyMove(move);
+            const child = this.createNode(engine, move, player);
+            node.children.push(child);
+            this.nodes++;
+            node = child;
+            path.push(child);
+        }
+
+        // Simulation, then backpropagation: each node scores the result for the player who moved into it
+        const winner = this.simulate(engine);
+        path.forEach(step => {
+            step.visits++;
+            if (winner === null) {
+                step.wins += 0.5;
+            } else if (winner === step.player) {
+                step.wins++;
+            }
+        });
+
+        for (let i = 1; i < path.length; i++) {
+            engine.undo();
+        }
+    }
+
+    /**
+     * Pick the child with the best upper confidence bound (UCT)
+     * @param {Object} node - Node whose moves have all been tried
+     * @returns {Object} - Child node
+     */
+    selectChild(node) {
+        const logVisits = Math.log(node.visits);
+        let best = null;
+        let bestValue = -Infinity;
+        for (let child of node.children) {
+            const value = child.wins / child.visits + MCTS_EXPLORATION * Math.sqrt(logVisits / child.visits);
+            if (value > bestValue) {
+                bestValue = value;
+                best = child;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Play the game out from the engine's position, taking a win on the spot when
+     * there is one and otherwise moving at random, then take the moves back
+     * @param {GameEngine} engine - Position to play from
+     * @returns {string|null} - Winner, or null for a draw (also when the playout runs too long)
+     */
+    simulate(engine) {
+        let played = 0;
+        while (engine.winner === null && played < this.playoutLength) {
+            const moves = TicTacToeAI.getSearchMoves(engine);
+            if (moves.length === 0) {
+                break; // Board full without removal - classic draw
+            }
+            engine.applyMove(this.findWinningMove(engine, moves));
+            played++;
+        }
+
+        const winner = engine.winner;
+        for (let i = 0; i < played; i++) {
+            engine.undo();
+        }
+        return winner;
+    }
+
+    /**
+     * Find a move that wins at once for the player to move (none in misère,
+     * where completing a line loses), or else a random move
+     * @param {GameEngine} engine - Position
+     * @param {Array} moves - Candidate cell indexes
+     * @returns {number} - Cell index
+     */
+    findWinningMove(engine, moves) {
+        const player = engine.currentPlayer;
+        for (let move of moves) {
+            engine.applyMove(move);
+            const wins = engine.winner === player;
+            engine.undo();
+            if (wins) {
+                return move;
+            }
+        }
+        return moves[Math.floor(Math.random() * moves.length)];
+    }
+
+    /**
+     * Create a tree node for the engine's position
+     * @param {GameEngine} engine - Position reached by the move
+     * @param {number} move - Move leading here (-1 at the root)
+     * @param {string} player - Player who made that move
+     * @returns {Object} - {move, player, visits, wins, untried, children}
+     */
+    createNode(engine, move, player) {
+        return {
+            move,
+            player,
+            visits: 0,
+            wins: 0,
+            untried: engine.winner === null ? TicTacToeAI.getSearchMoves(engine) : [],
+            children: []
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloAI;
+}
@@ -0,0 +1,237 @@
+/**
+ * Online.js - Connection to the Online Game Server (see server.js)
+ * Sends the player's actions and receives the room state. Reconnects on its
+ * own when the connection drops, taking back the same seat.
+ * DOM-free: the UI subscribes to its events.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Wait before the first reconnect attempt; doubles on each failure up to the maximum
+const ONLINE_RETRY_MS = 1000;
+const ONLINE_RETRY_MAX_MS = 10000;
+
+// Longest wait for the server to confirm leaving a room
+const ONLINE_LEAVE_WAIT_MS = 1000;
+
+// Server address when the page isn't served by server.js (e.g. opened as a file)
+const ONLINE_DEFAULT_HOST = 'localhost:8080';
+
+class OnlineClient {
+    /**
+     * @param {string} host - Server address, e.g. "192.168.1.20:8080"
+     * @param {Object} [session] - {code, token} from an earlier 'joined' event, to take the seat back
+     */
+    constructor(host, session = null) {
+        this.host = host;
+        this.session = session;
+        this.listeners = {};
+        this.socket = null;
+        this.queue = []; // Messages waiting for the connection
+        this.status = 'closed'; // 'connecting', 'open', 'reconnecting' or 'closed'
+        this.retryDelay = ONLINE_RETRY_MS;
+        this.retryTimer = null;
+        this.leaveTimer = null;
+        this.closing = false;
+    }
+
+    /**
+     * Get the server address for a page: the page's own server when it was
+     * loaded from server.js, otherwise this computer
+     * @param {Location} location - window.location
+     * @returns {string}
+     */
+    static defaultHost(location) {
+        return /^https?:$/.test(location.protocol) && location.host ? location.host : ONLINE_DEFAULT_HOST;
+    }
+
+    /**
+     * Subscribe to an event: 'status' (connection status changed), 'joined'
+     * ({code, role, token}), 'state' (room state, see server.js) or 'error' ({message, code})
+     */
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    emit(event, details) {
+        (this.listeners[event] || []).forEach(listener => listener(details));
+    }
+
+    /**
+     * Create a room and take its first seat
+     * @param {number} size - Board size (see GameRules.PRESETS)
+     * @param {string} name - Player name
+     */
+    create(size, name) {
+        this.session = null;
+        this.send({ type: 'create', size, name });
+    }
+
+    /**
+     * Join a room by its code - as a player if a seat is free, otherwise as a spectator
+     * @param {string} code - Join code
+     * @param {string} name - Player name
+     */
+    join(code, name) {
+        this.session = null;
+        this.send({ type: 'join', code: code.trim().toUpperCase(), name });
+    }
+
+    /**
+     * Play a move
+     * @param {number} index - Cell index
+     * @param {number} moveNumber - Moves played so far, so the server can reject a move
+     *     made against an old position
+     */
+    move(index, moveNumber) {
+        this.send({ type: 'move', index, moveNumber });
+    }
+
+    newGame() {
+        this.send({ type: 'newGame' });
+    }
+
+    /**
+     * Leave the room, giving up the seat, and disconnect
+     */
+    leave() {
+        this.session = null;
+        const socket = this.socket;
+        if (!socket || socket.readyState !== WebSocket.OPEN) {
+            this.close();
+            return;
+        }
+
+        // Stay connected until the server confirms, so the message isn't lost in the close
+        this.closing = true;
+        this.queue = [];
+        socket.send(JSON.stringify({ type: 'leave' }));
+        this.leaveTimer = setTimeout(() => this.close(), ONLINE_LEAVE_WAIT_MS);
+        this.setStatus('closed');
+    }
+
+    /**
+     * Disconnect without giving up the seat
+     */
+    close() {
+        this.closing = true;
+        this.queue = [];
+        clearTimeout(this.retryTimer);
+        clearTimeout(this.leaveTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setStatus('closed');
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+            return;
+        }
+        this.queue.push(message);
+        if (!this.socket) {
+            this.connect();
+        }
+    }
+
+    connect() {
+        this.closing = false;
+        clearTimeout(this.retryTimer);
+        if (this.status !== 'reconnecting') {
+            this.setStatus('connecting');
+        }
+
+        const protocol = typeof location !== 'undefined' && location.protocol === 'https:' ? 'wss' : 'ws';
+        let socket;
+        try {
+            socket = new WebSocket(`${protocol}://${this.host}/ws`);
+        } catch (error) {
+            this.emit('error', { message: error.message });
+            this.setStatus('closed');
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.retryDelay = ONLINE_RETRY_MS;
+            this.setStatus('open');
+
+            // Take the seat back first, then send anything queued meanwhile
+            if (this.session) {
+                socket.send(JSON.stringify({ type: 'rejoin', code: this.session.code, token: this.session.token }));
+            }
+            this.queue.splice(0).forEach(message => socket.send(JSON.stringify(message)));
+        };
+
+        socket.onmessage = event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) {
+                return;
+            }
+            this.socket = null;
+            if (this.closing) {
+                return;
+            }
+
+            // Dropped - try again to take the seat back; without one there's nothing to resume
+            if (!this.session) {
+                this.queue = [];
+                this.setStatus('closed');
+                this.emit('error', { message: 'Could not reach the server' });
+                return;
+            }
+            this.setStatus('reconnecting');
+            this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, ONLINE_RETRY_MAX_MS);
+        };
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.session = { code: message.code, token: message.token, role: message.role };
+                this.emit('joined', this.session);
+                break;
+            case 'state':
+                this.emit('state', message);
+                break;
+            case 'left':
+                this.close();
+                break;
+            case 'error':
+                // The room is gone - stop trying to take the seat back
+                if (message.code === 'room') {
+                    this.session = null;
+                }
+                this.emit('error', message);
+                break;
+        }
+    }
+
+    setStatus(status) {
+        if (status !== this.status) {
+            this.status = status;
+            this.emit('status', status);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OnlineClient;
+}
@@ -0,0 +1,380 @@
+/**
+ * Puzzles.js - "Win in N" Puzzles
+ * A puzzle is a 3×3 position, with the order its pieces were played in, where
+ * the player to move can force a win in N moves whatever the opponent does -
+ * under the classic rule, or under the sliding-window rule, where the order
+ * decides which piece is removed next. Puzzles are generated from random games
+ * and verified twice: by the minimax search of ai.js, and by trying every
+ * defence. DOM-free; game.js shows them on the board.
+ *
+ * Usage: node puzzles.js --verify                Check every puzzle in PuzzleBook.PUZZLES
+ *        node puzzles.js --generate [--seed 1]   Print a new puzzle list
+ *
+ * The sliding puzzles use the board-wide window of the game's default rule: once
+ * nine pieces are down, the oldest is removed right before the next one is placed.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the rules, engine and AI, which the browser gets from their own scripts
+if (typeof GameRules === 'undefined' && typeof require === 'function') {
+    globalThis.GameRules = require('./rules.js');
+}
+if (typeof GameEngine === 'undefined' && typeof require === 'function') {
+    globalThis.GameEngine = require('./engine.js');
+}
+if (typeof TicTacToeAI === 'undefined' && typeof require === 'function') {
+    globalThis.TicTacToeAI = require('./ai.js');
+}
+if (typeof TranspositionTable === 'undefined' && typeof require === 'function') {
+    globalThis.TranspositionTable = require('./transposition.js');
+}
+
+// Longest puzzle, in the solver's moves
+const PUZZLE_MAX_MOVES = 4;
+
+class PuzzleBook {
+    /**
+     * Set up a puzzle's position in a game engine
+     * @param {Object} puzzle - {board ('.' for empty cells), history (cells in the order
+     *     their pieces were played, oldest first), player (to move), maxMoves (null for classic)}
+     * @returns {GameEngine}
+     */
+    static createEngine(puzzle) {
+        const board = puzzle.board.split('').map(cell => cell === '.' ? '' : cell);
+        return GameEngine.fromPosition({
+            rules: PuzzleBook.RULES,
+            maxMoves: puzzle.maxMoves === null ? Infinity : puzzle.maxMoves,
+            board,
+            moveHistory: puzzle.history.map(index => ({ index, player: board[index] })),
+            currentPlayer: puzzle.player
+        });
+    }
+
+    /**
+     * Score every move of the player to move with the minimax search of ai.js:
+     * TicTacToeAI.minimax under the classic rule, analyzeMoves (sliding-window minimax)
+     * when pieces are removed
+     * @param {GameEngine} engine - Position to score
+     * @returns {Array} - [{index, outcome ('win', 'loss', 'draw' or 'unknown'), moves}], where moves
+     *     counts the winner's moves up to and including the winning one
+     */
+    static scoreMoves(engine) {
+        const player = engine.currentPlayer;
+        const ai = new TicTacToeAI(player, player === 'X' ? 'O' : 'X', {
+            rules: engine.rules,
+            maxMoves: engine.maxMoves,
+            maxDepth: 2 * PUZZLE_MAX_MOVES + 1,
+            timeLimit: 60000
+        });
+
+        if (engine.maxMoves !== Infinity) {
+            return ai.analyzeMoves(engine.board.slice(), engine.moveHistory);
+        }
+
+        // minimax scores 10 - plies for a win, plies - 10 for a loss, counted from after the move
+        const board = engine.board.slice();
+        return engine.legalMoves().map(index => {
+            board[index] = player;
+            const score = ai.minimax(board, 0, false, -Infinity, Infinity);
+            board[index] = '';
+            if (score === 0) {
+                return { index, outcome: 'draw', moves: 0 };
+            }
+            const plies = 10 - Math.abs(score);
+            return score > 0 ?
+                { index, outcome: 'win', moves: plies / 2 + 1 } :
+                { index, outcome: 'loss', moves: (plies + 1) / 2 };
+        });
+    }
+
+    /**
+     * Check by trying every defence that the player to move wins within a number of moves
+     * @param {GameEngine} engine - Position, left as it was
+     * @param {number} moves - Moves the player to move may take
+     * @returns {boolean}
+     */
+    static winsWithin(engine, moves) {
+        return PuzzleBook.getSolutions(engine, moves).length > 0;
+    }
+
+    /**
+     * Get the moves that win within a number of moves against every defence
+     * @param {GameEngine} engine - Position, left as it was
+     * @param {number} moves - Moves the player to move may take
+     * @returns {Array} - Cell indexes
+     */
+    static getSolutions(engine, moves) {
+        if (moves < 1) {
+            return [];
+        }
+        const player = engine.currentPlayer;
+        return engine.legalMoves().filter(index => {
+            engine.applyMove(index);
+            const wins = engine.winner === player ||
+                (engine.status().state === 'playing' && moves > 1 && PuzzleBook.holdsAgainstAll(engine, moves - 1));
+            engine.undo();
+            return wins;
+        });
+    }
+
+    /**
+     * Check that the player who just moved wins within a number of moves whatever the opponent plays
+     * @param {GameEngine} engine - Position with the defender to move, left as it was
+     * @param {number} moves - Moves the attacker may still take
+     * @returns {boolean}
+     */
+    static holdsAgainstAll(engine, moves) {
+        return engine.legalMoves().every(reply => {
+            engine.applyMove(reply);
+            const holds = engine.status().state === 'playing' && PuzzleBook.winsWithin(engine, moves);
+            engine.undo();
+            return holds;
+        });
+    }
+
+    /**
+     * Get the defence that holds out longest against the attacker
+     * @param {GameEngine} engine - Position with the defender to move, left as it was
+     * @param {number} moves - Moves the attacker may still take
+     * @param {Function} random - Returns a number in [0, 1) to choose between equal defences
+     * @returns {number} - Cell index, or -1 if there is no move
+     */
+    static getDefence(engine, moves, random = Math.random) {
+        let longest = [];
+        let longestMoves = 0;
+        engine.legalMoves().forEach(reply => {
+            engine.applyMove(reply);
+            // Moves the attacker needs after this defence - beyond the limit the defence escapes
+            let needed = 1;
+            while (needed <= moves && !(engine.status().state === 'playing' && PuzzleBook.winsWithin(engine, needed))) {
+                needed++;
+            }
+            engine.undo();
+
+            if (needed > longestMoves) {
+                longest = [reply];
+                longestMoves = needed;
+            } else if (needed === longestMoves) {
+                longest.push(reply);
+            }
+        });
+        return longest.length ? longest[Math.floor(random() * longest.length)] : -1;
+    }
+
+    /**
+     * Check a puzzle: the position matches its history, minimax finds the forced win in
+     * exactly the puzzle's number of moves and no shorter, and trying every defence agrees
+     * @param {Object} puzzle - See createEngine, plus moves
+     * @returns {Object} - {valid, solutions (winning first moves), error}
+     */
+    static verify(puzzle) {
+        let engine;
+        try {
+            engine = PuzzleBook.createEngine(puzzle);
+        } catch (error) {
+            return { valid: false, solutions: [], error: error.message };
+        }
+        const fail = error => ({ valid: false, solutions: [], error });
+
+        const board = engine.board;
+        const counts = { X: 0, O: 0 };
+        board.forEach(cell => cell && counts[cell]++);
+        if (engine.moveHistory.length !== counts.X + counts.O || engine.moveHistory.some(move => !move.player)) {
+            return fail('The history does not match the board');
+        }
+        if (engine.rules.checkWinner(board) !== null) {
+            return fail('The game is already over');
+        }
+
+        const scores = PuzzleBook.scoreMoves(engine);
+        const wins = scores.filter(score => score.outcome === 'win');
+        const shortest = Math.min(...wins.map(score => score.moves));
+        if (shortest !== puzzle.moves) {
+            return fail(`Minimax finds a win in ${shortest === Infinity ? 'no' : shortest} moves, not ${puzzle.moves}`);
+        }
+
+        const solutions = PuzzleBook.getSolutions(engine, puzzle.moves);
+        const expected = wins.filter(score => score.moves === puzzle.moves).map(score => score.index).sort((a, b) => a - b);
+        if (solutions.join() !== expected.join()) {
+            return fail(`Minimax and the defences disagree on the solutions: ${expected} and ${solutions}`);
+        }
+        return { valid: true, solutions, error: null };
+    }
+
+    /**
+     * Rate a puzzle's difficulty from 1 to 5 stars: longer wins, a single solution,
+     * and wins that hang on which piece is removed next are harder
+     * @param {Object} puzzle - See verify
+     * @param {Array} solutions - Winning first moves
+     * @returns {number}
+     */
+    static rate(puzzle, solutions) {
+        const rating = puzzle.moves + (solutions.length === 1 ? 1 : 0) + (puzzle.maxMoves !== null ? 1 : 0) - 1;
+        return Math.max(1, Math.min(5, rating));
+    }
+
+    /**
+     * Generate puzzles from random games
+     * @param {Object} options - {count, maxMoves (null for classic), seed, minMoves (shortest win, 2 by default)}
+     * @returns {Array} - Puzzles without id, sorted by rating
+     */
+    static generate(options) {
+        const random = TranspositionTable.createRandom(options.seed || 1);
+        const pick = list => list[random() % list.length];
+        const minMoves = options.minMoves || 2;
+        const sliding = options.maxMoves !== null;
+        const seen = new Set();
+        const puzzles = [];
+
+        for (let attempt = 0; puzzles.length < options.count && attempt < options.count * 500; attempt++) {
+            const engine = GameEngine.create({
+                rules: PuzzleBook.RULES,
+                maxMoves: sliding ? options.maxMoves : Infinity
+            });
+            // Classic puzzles need room for a combination; sliding ones come from longer games
+            const length = sliding ? 4 + random() % 12 : 2 + random() % 4;
+            for (let i = 0; i < length && engine.status().state === 'playing'; i++) {
+                engine.applyMove(pick(engine.legalMoves()));
+            }
+            if (engine.status().state !== 'playing') {
+                continue;
+            }
+
+            const puzzle = PuzzleBook.describe(engine);
+            const key = PuzzleBook.getCanonicalKey(puzzle);
+            if (seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            // The shortest forced win, with few ways to it
+            const wins = PuzzleBook.scoreMoves(engine).filter(score => score.outcome === 'win');
+            const moves = Math.min(...wins.map(score => score.moves));
+            const solutions = wins.filter(score => score.moves === moves);
+            if (moves < minMoves || moves > PUZZLE_MAX_MOVES || solutions.length > 2) {
+                continue;
+            }
+            puzzle.moves = moves;
+
+            // Under the sliding rule, only wins that the same pieces couldn't force for good
+            if (sliding && PuzzleBook.winsWithin(PuzzleBook.createEngine({ ...puzzle, maxMoves: null }), moves)) {
+                continue;
+            }
+
+            const check = PuzzleBook.verify(puzzle);
+            if (check.valid) {
+                puzzle.rating = PuzzleBook.rate(puzzle, check.solutions);
+                puzzles.push(puzzle);
+            }
+        }
+
+        return puzzles.sort((a, b) => a.rating - b.rating || a.moves - b.moves);
+    }
+
+    /**
+     * Describe an engine's position as a puzzle
+     * @param {GameEngine} engine
+     * @returns {Object} - {maxMoves, board, history, player}
+     */
+    static describe(engine) {
+        return {
+            maxMoves: engine.maxMoves === Infinity ? null : engine.maxMoves,
+            board: engine.board.map(cell => cell || '.').join(''),
+            history: engine.moveHistory.map(move => move.index),
+            player: engine.currentPlayer
+        };
+    }
+
+    /**
+     * Key shared by a puzzle and its rotations and reflections
+     * @param {Object} puzzle - See describe
+     * @returns {string}
+     */
+    static getCanonicalKey(puzzle) {
+        return PuzzleBook.RULES.symmetries.map(map => {
+            return puzzle.history.map(index => map[index] + puzzle.board[index]).join('') + puzzle.player;
+        }).sort()[0] + puzzle.maxMoves;
+    }
+}
+
+// Puzzles are played on the classic 3×3 board
+PuzzleBook.RULES = new GameRules({ size: 3, winLength: 3 });
+
+// Puzzle list, made with node puzzles.js --generate (ids: c for classic, s for sliding)
+PuzzleBook.PUZZLES = [
+    { id: 'c01', maxMoves: null, board: '.X.XOX.O.', history: [3, 4, 5, 7, 1], player: 'O', moves: 2, rating: 1 },
+    { id: 'c02', maxMoves: null, board: '.OX.X.O..', history: [2, 1, 4, 6], player: 'X', moves: 2, rating: 1 },
+    { id: 'c03', maxMoves: null, board: 'OX...OX..', history: [1, 0, 6, 5], player: 'X', moves: 2, rating: 1 },
+    { id: 'c04', maxMoves: null, board: 'XOO..X...', history: [0, 2, 5, 1], player: 'X', moves: 2, rating: 1 },
+    { id: 'c05', maxMoves: null, board: '..O.XOX..', history: [4, 2, 6, 5], player: 'X', moves: 2, rating: 2 },
+    { id: 'c06', maxMoves: null, board: '.X.O.OX..', history: [1, 3, 6, 5], player: 'X', moves: 2, rating: 2 },
+    { id: 'c07', maxMoves: null, board: 'OX....X.O', history: [6, 0, 1, 8], player: 'X', moves: 2, rating: 2 },
+    { id: 'c08', maxMoves: null, board: '..OXOXX..', history: [3, 4, 5, 2, 6], player: 'O', moves: 2, rating: 2 },
+    { id: 'c09', maxMoves: null, board: '.X.O.....', history: [1, 3], player: 'X', moves: 3, rating: 2 },
+    { id: 'c10', maxMoves: null, board: 'OXX......', history: [2, 0, 1], player: 'O', moves: 3, rating: 2 },
+    { id: 'c11', maxMoves: null, board: '.O.X..X..', history: [3, 1, 6], player: 'O', moves: 3, rating: 3 },
+    { id: 'c12', maxMoves: null, board: 'O......X.', history: [7, 0], player: 'X', moves: 3, rating: 3 },
+    { id: 's01', maxMoves: 9, board: 'XOX.X.OXO', history: [7, 1, 4, 8, 2, 6, 0], player: 'O', moves: 2, rating: 2 },
+    { id: 's02', maxMoves: 9, board: 'XOX.O.XXO', history: [0, 4, 7, 8, 6, 1, 2], player: 'O', moves: 2, rating: 3 },
+    { id: 's03', maxMoves: 9, board: 'X.OOOXXX.', history: [6, 3, 0, 4, 5, 2, 7], player: 'O', moves: 2, rating: 3 },
+    { id: 's04', maxMoves: 9, board: '.X.XOOXOX', history: [1, 7, 8, 5, 3, 4, 6], player: 'O', moves: 2, rating: 3 },
+    { id: 's05', maxMoves: 9, board: 'XOXOO.XXO', history: [2, 8, 6, 4, 0, 1, 7, 3], player: 'X', moves: 2, rating: 3 },
+    { id: 's06', maxMoves: 9, board: 'O.XX.OOXX', history: [8, 5, 7, 6, 2, 0, 3], player: 'O', moves: 2, rating: 3 },
+    { id: 's07', maxMoves: 9, board: '.XOXO.XOX', history: [6, 4, 8, 2, 1, 7, 3], player: 'O', moves: 2, rating: 3 },
+    { id: 's08', maxMoves: 9, board: 'X.O..XX.O', history: [5, 2, 0, 8, 6], player: 'O', moves: 3, rating: 4 },
+    { id: 's09', maxMoves: 9, board: '.XOXOX.O.', history: [5, 7, 3, 2, 1, 4], player: 'X', moves: 3, rating: 4 },
+    { id: 's10', maxMoves: 9, board: 'OXO...X.X', history: [6, 0, 1, 2, 8], player: 'O', moves: 3, rating: 4 },
+    { id: 's11', maxMoves: 9, board: '.XOOXX.O.', history: [1, 3, 4, 7, 5, 2], player: 'X', moves: 3, rating: 4 },
+    { id: 's12', maxMoves: 9, board: 'O.O..XXOX', history: [5, 0, 6, 7, 8, 2], player: 'X', moves: 3, rating: 4 },
+    { id: 's13', maxMoves: 9, board: 'X.OOXX...', history: [5, 3, 4, 2, 0], player: 'O', moves: 3, rating: 4 },
+    { id: 's14', maxMoves: 9, board: '.XO.O.X.X', history: [1, 2, 6, 4, 8], player: 'O', moves: 3, rating: 4 },
+    { id: 's15', maxMoves: 9, board: '.X.XOO..X', history: [1, 4, 3, 5, 8], player: 'O', moves: 4, rating: 4 },
+    { id: 's16', maxMoves: 9, board: 'O.XX.O...', history: [2, 5, 3, 0], player: 'X', moves: 4, rating: 5 }
+];
+
+// Puzzles of each rule set the generator makes
+const PUZZLE_SETS = [
+    { prefix: 'c', maxMoves: null, count: 12 },
+    { prefix: 's', maxMoves: 9, count: 16, minMoves: 1 }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PuzzleBook;
+}
+
+// Command line: check the puzzle list, or make a new one
+if (typeof require === 'function' && require.main === module) {
+    const args = process.argv.slice(2);
+    const seedPosition = args.indexOf('--seed');
+    const seed = seedPosition !== -1 ? parseInt(args[seedPosition + 1]) : 1;
+
+    if (args.includes('--generate')) {
+        const lines = [];
+        PUZZLE_SETS.forEach(set => {
+            PuzzleBook.generate({ ...set, seed }).forEach((puzzle, i) => {
+                const id = set.prefix + String(i + 1).padStart(2, '0');
+                lines.push(`    { id: '${id}', maxMoves: ${puzzle.maxMoves}, board: '${puzzle.board}', ` +
+                    `history: [${puzzle.history.join(', ')}], player: '${puzzle.player}', moves: ${puzzle.moves}, rating: ${puzzle.rating} }`);
+            });
+        });
+        console.log(`PuzzleBook.PUZZLES = [\n${lines.join(',\n')}\n];`);
+    } else {
+        let failed = 0;
+        PuzzleBook.PUZZLES.forEach(puzzle => {
+            const check = PuzzleBook.verify(puzzle);
+            if (!check.valid) {
+                failed++;
+            }
+            console.log(`${puzzle.id}  win in ${puzzle.moves}  ${'★'.repeat(puzzle.rating).padEnd(5)}  ` +
+                (check.valid ? `solutions: ${check.solutions.join(', ')}` : `INVALID: ${check.error}`));
+        });
+        console.log(`${PuzzleBook.PUZZLES.length - failed}/${PuzzleBook.PUZZLES.length} puzzles verified`);
+        process.exit(failed ? 1 : 0);
+    }
+}
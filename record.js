@@ -0,0 +1,258 @@
+/**
+ * Record.js - Game Records in XO Notation
+ * Exports a game as text and imports it back, checking every move.
+ *
+ * A record is a list of tags followed by the moves:
+ *
+ *     [Size "3"]
+ *     [WinLength "3"]
+ *     [Rules "infinite"]
+ *     [Window "9"]
+ *     [FirstPlayer "X"]
+ *     [Mode "ai"]
+ *     [X "اللاعب X"]
+ *     [O "الكمبيوتر"]
+ *     [Result "*"]
+ *
+ *     1. b2 a1 2. c3 c1 ... 5. a3 b3/b2
+ *
+ * - Rules is "infinite" (the oldest piece is removed once Window pieces are
+ *   on the board) or "classic" (pieces stay, Window is left out).
+ * - Variants add PieceLimit "N" (each player's own oldest piece is removed
+ *   once they have N on the board) and Misere "yes" (a line loses).
+ * - Size and WinLength are one of the boards in GameRules.PRESETS (WinLength
+ *   may be left out); the 9×9 board is only played as Ultimate.
+ * - Ultimate "yes" marks an Ultimate X O game: Size "9", WinLength "3"
+ *   and Rules "classic", with the send rule deciding which moves are legal.
+ * - Cells are a column letter (a = left) and a row number (1 = top).
+ * - "b3/b2" places a piece on b3 after the sliding-window rule removed the
+ *   piece on b2; every removal must be written this way.
+ * - Move numbers count rounds and are optional; text after ";" is a comment
+ *   (except inside a tag's value).
+ * - Result is "X", "O", "draw" or "*" for an unfinished game.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the rules and engine, which the browser gets from rules.js and engine.js
+if (typeof GameRules === 'undefined' && typeof require === 'function') {
+    globalThis.GameRules = require('./rules.js');
+}
+if (typeof GameEngine === 'undefined' && typeof require === 'function') {
+    globalThis.GameEngine = require('./engine.js');
+}
+
+class GameRecord {
+    /**
+     * Name a cell, e.g. 4 on a 3×3 board is "b2"
+     * @param {number} index - Cell index
+     * @param {number} size - Board width
+     * @returns {string}
+     */
+    static cellName(index, size) {
+        return String.fromCharCode(97 + index % size) + (Math.floor(index / size) + 1);
+    }
+
+    /**
+     * Get the cell index for a name like "b2"
+     * @param {string} name - Cell name
+     * @param {number} size - Board width
+     * @returns {number} - Cell index
+     */
+    static parseCell(name, size) {
+        const match = /^([a-z])(\d+)$/.exec(name);
+        const col = match ? match[1].charCodeAt(0) - 97 : -1;
+        const row = match ? parseInt(match[2]) - 1 : -1;
+        if (col < 0 || col >= size || row < 0 || row >= size) {
+            throw new Error(`Unknown cell "${name}"`);
+        }
+        return row * size + col;
+    }
+
+    /**
+     * Read a whole number from a tag's value
+     * @param {string} value - Tag value, e.g. "9"
+     * @returns {number} - The number, or NaN unless the value is only digits ("9abc", "3.5")
+     */
+    static parseNumber(value) {
+        return /^\d+$/.test(value) ? parseInt(value) : NaN;
+    }
+
+    /**
+     * Write a game as a record
+     * @param {GameEngine} engine - Game to export
+     * @param {Object} info - Extra tags, e.g. {Mode: 'ai', X: 'name', O: 'name'}
+     * @returns {string} - Record text
+     */
+    static export(engine, info = {}) {
+        if (engine.start) {
+            throw new Error('Games set up from a position cannot be exported');
+        }
+
+        const size = engine.rules.size;
+        const infinite = Number.isFinite(engine.maxMoves);
+        const status = engine.status();
+
+        const tags = {
+            Size: size,
+            WinLength: engine.rules.winLength,
+            Rules: infinite ? 'infinite' : 'classic'
+        };
+        if (infinite) {
+            tags.Window = engine.maxMoves;
+        }
+        if (Number.isFinite(engine.rules.pieceLimit)) {
+            tags.PieceLimit = engine.rules.pieceLimit;
+        }
+        if (engine.rules.misere) {
+            tags.Misere = 'yes';
+        }
+        if (engine.rules.ultimate) {
+            tags.Ultimate = 'yes';
+        }
+        tags.FirstPlayer = engine.firstPlayer;
+        Object.assign(tags, info);
+        tags.Result = status.state === 'won' ? status.winner : status.state === 'draw' ? 'draw' : '*';
+
+        const lines = Object.keys(tags).map(name => `[${name} "${String(tags[name]).replace(/"/g, "'")}"]`);
+
+        // Two moves per round
+        const moves = engine.moves.map((move, i) => {
+            let text = GameRecord.cellName(move.index, size);
+            if (move.expired) {
+                text += '/' + GameRecord.cellName(move.expired.index, size);
+            }
+            return i % 2 === 0 ? `${i / 2 + 1}. ${text}` : text;
+        });
+
+        return lines.join('\n') + '\n\n' + moves.join(' ') + '\n';
+    }
+
+    /**
+     * Read the tags and moves of a record without checking the moves
+     * @param {string} text - Record text
+     * @returns {Object} - {tags, moves: [{cell, removed}]}
+     */
+    static parse(text) {
+        const tags = {};
+        const moves = [];
+
+        String(text).split(/\r?\n/).forEach((rawLine, lineIndex) => {
+            // Tags first: a ";" inside a tag's value (e.g. a player's name) is not a comment
+            const tag = /^\[(\w+)\s+"([^"]*)"\]\s*(?:;.*)?$/.exec(rawLine.trim());
+            if (tag) {
+                tags[tag[1]] = tag[2];
+                return;
+            }
+
+            const line = rawLine.replace(/;.*$/, '').trim();
+            if (!line) {
+                return;
+            }
+
+            line.split(/\s+/).forEach(token => {
+                if (/^\d+\.$/.test(token)) {
+                    return; // Move number
+                }
+                const move = /^([a-z]\d+)(?:\/([a-z]\d+))?$/.exec(token);
+                if (!move) {
+                    throw new Error(`Line ${lineIndex + 1}: unexpected "${token}"`);
+                }
+                moves.push({ cell: move[1], removed: move[2] || null });
+            });
+        });
+
+        return { tags, moves };
+    }
+
+    /**
+     * Read a record and replay it, checking that every move and removal is legal
+     * and that the result matches
+     * @param {string} text - Record text
+     * @returns {Object} - {engine, tags} with the engine at the final position
+     */
+    static import(text) {
+        const { tags, moves } = GameRecord.parse(text);
+
+        // Only the boards the game offers
+        const size = GameRecord.parseNumber(tags.Size);
+        const preset = GameRules.PRESETS[size];
+        const winLength = tags.WinLength === undefined && preset ? preset.winLength : GameRecord.parseNumber(tags.WinLength);
+        if (!preset || winLength !== preset.winLength) {
+            const boards = Object.values(GameRules.PRESETS).map(board =>
+                `${board.size}×${board.size}${board.ultimate ? ' Ultimate' : ''} with ${board.winLength} in a row`);
+            throw new Error(`Size and WinLength must be one of: ${boards.join(', ')}`);
+        }
+
+        let maxMoves = Infinity;
+        if (tags.Rules === 'infinite') {
+            maxMoves = GameRecord.parseNumber(tags.Window);
+            if (!(maxMoves > 0)) {
+                throw new Error('Invalid Window');
+            }
+        } else if (tags.Rules !== 'classic') {
+            throw new Error('Rules must be "infinite" or "classic"');
+        }
+
+        let pieceLimit = Infinity;
+        if (tags.PieceLimit !== undefined) {
+            pieceLimit = GameRecord.parseNumber(tags.PieceLimit);
+            if (!(pieceLimit > 0)) {
+                throw new Error('Invalid PieceLimit');
+            }
+        }
+        if (tags.Misere !== undefined && tags.Misere !== 'yes' && tags.Misere !== 'no') {
+            throw new Error('Misere must be "yes" or "no"');
+        }
+        const misere = tags.Misere === 'yes';
+
+        if (tags.Ultimate !== undefined && tags.Ultimate !== 'yes' && tags.Ultimate !== 'no') {
+            throw new Error('Ultimate must be "yes" or "no"');
+        }
+        const ultimate = tags.Ultimate === 'yes';
+        if (ultimate !== (preset.ultimate === true) || (ultimate && (Number.isFinite(maxMoves) ||
+            Number.isFinite(pieceLimit) || misere))) {
+            throw new Error('Ultimate games are 9×9 with 3 in a row under the classic rules, and 9×9 games are Ultimate');
+        }
+
+        const firstPlayer = tags.FirstPlayer || 'X';
+        if (firstPlayer !== 'X' && firstPlayer !== 'O') {
+            throw new Error('FirstPlayer must be X or O');
+        }
+
+        const engine = GameEngine.create({ size, winLength, maxMoves, pieceLimit, misere, ultimate, firstPlayer });
+        moves.forEach((move, i) => {
+            const index = GameRecord.parseCell(move.cell, size);
+            if (!engine.isLegalMove(index)) {
+                throw new Error(`Move ${i + 1} (${move.cell}) is not legal`);
+            }
+
+            const expiring = engine.getExpiringIndex();
+            const removed = move.removed === null ? -1 : GameRecord.parseCell(move.removed, size);
+            if (removed !== expiring) {
+                throw new Error(expiring === -1 ?
+                    `Move ${i + 1} (${move.cell}) removes no piece` :
+                    `Move ${i + 1} (${move.cell}) must remove ${GameRecord.cellName(expiring, size)}`);
+            }
+
+            engine.applyMove(index);
+        });
+
+        const status = engine.status();
+        const result = status.state === 'won' ? status.winner : status.state === 'draw' ? 'draw' : '*';
+        if (tags.Result && tags.Result !== result) {
+            throw new Error(`Result "${tags.Result}" does not match the moves ("${result}")`);
+        }
+
+        return { engine, tags };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRecord;
+}
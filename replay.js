@@ -0,0 +1,177 @@
+/**
+ * Replay.js - Step-by-step Playback of a Game
+ * Replays a copy of a game so the live game is left untouched.
+ * DOM-free: the UI subscribes to its events and draws the frames.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the engine, which the browser gets from engine.js
+if (typeof GameEngine === 'undefined' && typeof require === 'function') {
+    globalThis.GameEngine = require('./engine.js');
+}
+
+// Time between moves at 1× speed
+const REPLAY_STEP_MS = 1000;
+
+class GameReplay {
+    /**
+     * @param {Object} data - Serialized game (GameEngine.serialize())
+     */
+    constructor(data) {
+        this.engine = GameEngine.deserialize(data);
+        this.length = this.engine.moves.length;
+        this.engine.goTo(0);
+
+        this.listeners = {};
+        this.speed = 1;
+        this.timer = null;
+        this.stepping = false;
+
+        // Pass on the engine's events only for single steps forward,
+        // so they can be animated exactly like live moves
+        ['expire', 'move', 'win', 'draw'].forEach(event => {
+            this.engine.on(event, details => {
+                if (this.stepping) {
+                    this.emit(event, details);
+                }
+            });
+        });
+    }
+
+    /**
+     * Subscribe to an event: 'expire', 'move', 'win' and 'draw' while stepping forward,
+     * 'seek' when the position jumps, and 'state' when playback or position changes
+     */
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+    }
+
+    emit(event, details) {
+        (this.listeners[event] || []).forEach(listener => listener(details));
+    }
+
+    /**
+     * Number of moves shown so far
+     */
+    get position() {
+        return this.engine.moves.length;
+    }
+
+    get isPlaying() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Get playback details for the controls
+     * @returns {Object} - {position, length, playing, speed}
+     */
+    getState() {
+        return {
+            position: this.position,
+            length: this.length,
+            playing: this.isPlaying,
+            speed: this.speed
+        };
+    }
+
+    play() {
+        if (this.isPlaying) {
+            return;
+        }
+        // Start again from the beginning once the end is reached
+        if (this.position >= this.length) {
+            this.seek(0);
+        }
+        this.scheduleStep();
+        this.emit('state', this.getState());
+    }
+
+    pause() {
+        if (!this.isPlaying) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.emit('state', this.getState());
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} speed - Multiplier, e.g. 2 plays twice as fast
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        if (this.isPlaying) {
+            clearTimeout(this.timer);
+            this.scheduleStep();
+        }
+        this.emit('state', this.getState());
+    }
+
+    /**
+     * Show the next move, animated like a live move
+     * @returns {boolean} - False at the end of the game
+     */
+    stepForward() {
+        this.stepping = true;
+        const move = this.engine.redo();
+        this.stepping = false;
+
+        if (move) {
+            this.emit('state', this.getState());
+        }
+        return move !== null;
+    }
+
+    stepBack() {
+        this.seek(this.position - 1);
+    }
+
+    /**
+     * Jump to the position after a given number of moves
+     * @param {number} position - 0 is the empty board
+     */
+    seek(position) {
+        this.engine.goTo(Math.max(0, Math.min(this.length, position)));
+        this.emit('seek', { position: this.position });
+        this.emit('state', this.getState());
+    }
+
+    /**
+     * Stop playback for good
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    scheduleStep() {
+        this.timer = setTimeout(() => {
+            if (this.stepForward() && this.position < this.length) {
+                this.scheduleStep();
+            } else {
+                // Reached the end
+                this.timer = null;
+                this.emit('state', this.getState());
+            }
+        }, REPLAY_STEP_MS / this.speed);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameReplay;
+}
@@ -0,0 +1,220 @@
+/**
+ * Room.js - Online Game Room (Node only)
+ * Holds one online game: the two seats, the spectators and the authoritative
+ * GameEngine that checks every move, so both players play by the same rules
+ * as game.js, including the removal of the oldest piece.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const crypto = require('crypto');
+const GameRules = require('./rules.js');
+const GameEngine = require('./engine.js');
+
+// Longest player name kept
+const MAX_NAME_LENGTH = 20;
+
+class GameRoom {
+    /**
+     * @param {string} code - Join code
+     * @param {Object} options - Room settings
+     * @param {number} options.size - Board size, one of GameRules.PRESETS
+     */
+    constructor(code, options = {}) {
+        const preset = GameRules.PRESETS[options.size] || GameRules.PRESETS[3];
+        this.code = code;
+        this.engine = GameEngine.create(preset);
+        this.seats = { X: null, O: null }; // {token, name, connection} - name is null when none was given
+        this.spectators = new Map(); // token -> {name, connection}
+        this.emptySince = Date.now();
+    }
+
+    /**
+     * Add a client: the first free seat, otherwise a spectator
+     * @param {Object} connection - Client connection (anything with send(text))
+     * @param {Object} options - {name, spectate}
+     * @returns {Object} - {role: 'X' | 'O' | 'spectator', token} - keep the token to reconnect
+     */
+    join(connection, options = {}) {
+        const token = crypto.randomBytes(12).toString('hex');
+        const role = options.spectate ? null : ['X', 'O'].find(player => !this.seats[player]);
+
+        if (role) {
+            this.seats[role] = { token, name: GameRoom.cleanName(options.name), connection };
+        } else {
+            this.spectators.set(token, { name: GameRoom.cleanName(options.name), connection });
+        }
+        this.emptySince = null;
+        return { role: role || 'spectator', token };
+    }
+
+    /**
+     * Reconnect a client that was in the room before
+     * @param {Object} connection - New connection
+     * @param {string} token - Token from join()
+     * @returns {string|null} - Role taken back, or null if the token is unknown
+     */
+    rejoin(connection, token) {
+        const role = this.getRole(token);
+        if (role === 'spectator') {
+            this.replaceConnection(this.spectators.get(token), connection);
+        } else if (role) {
+            this.replaceConnection(this.seats[role], connection);
+        }
+        if (role) {
+            this.emptySince = null;
+        }
+        return role;
+    }
+
+    replaceConnection(member, connection) {
+        // Close a connection the client left behind, e.g. in another tab
+        if (member.connection && member.connection !== connection) {
+            member.connection.close(4000, 'Replaced');
+        }
+        member.connection = connection;
+    }
+
+    /**
+     * Get a client's role from its token
+     * @returns {string|null} - 'X', 'O', 'spectator' or null
+     */
+    getRole(token) {
+        if (!token) {
+            return null;
+        }
+        const seat = ['X', 'O'].find(player => this.seats[player] && this.seats[player].token === token);
+        if (seat) {
+            return seat;
+        }
+        return this.spectators.has(token) ? 'spectator' : null;
+    }
+
+    /**
+     * A client's connection dropped. Players keep their seat so they can reconnect.
+     * @param {Object} connection - Connection that closed
+     */
+    disconnect(connection) {
+        this.forEachMember(member => {
+            if (member.connection === connection) {
+                member.connection = null;
+            }
+        });
+        if (this.connectionCount() === 0) {
+            this.emptySince = Date.now();
+        }
+    }
+
+    /**
+     * A client left for good: its seat is freed for someone else
+     * @param {string} token - Token from join()
+     */
+    leave(token) {
+        const role = this.getRole(token);
+        if (role === 'spectator') {
+            this.spectators.delete(token);
+        } else if (role) {
+            this.seats[role] = null;
+        }
+        if (this.connectionCount() === 0) {
+            this.emptySince = Date.now();
+        }
+    }
+
+    /**
+     * Play a move for a player, checking it against the rules
+     * @param {string} token - Player's token
+     * @param {number} index - Cell index
+     * @param {number} moveNumber - Moves the client had seen, to catch moves sent twice
+     *     or against an old position
+     */
+    play(token, index, moveNumber) {
+        const role = this.getRole(token);
+        if (role !== 'X' && role !== 'O') {
+            throw new Error('Only players can move');
+        }
+        if (moveNumber !== this.engine.moves.length) {
+            throw new Error('The position has changed');
+        }
+        if (this.engine.currentPlayer !== role) {
+            throw new Error('Not your turn');
+        }
+        if (!Number.isInteger(index) || !this.engine.isLegalMove(index)) {
+            throw new Error(`Illegal move: ${index}`);
+        }
+        this.engine.applyMove(index);
+    }
+
+    /**
+     * Start a new game with the same rules
+     * @param {string} token - Token of the player asking
+     */
+    newGame(token) {
+        const role = this.getRole(token);
+        if (role !== 'X' && role !== 'O') {
+            throw new Error('Only players can start a new game');
+        }
+        this.engine.reset();
+    }
+
+    /**
+     * Describe the room for the clients
+     * @returns {Object} - {type: 'state', code, game, players, spectators}
+     */
+    getState() {
+        const describe = player => this.seats[player] ?
+            { name: this.seats[player].name, connected: this.seats[player].connection !== null } :
+            null;
+        return {
+            type: 'state',
+            code: this.code,
+            game: this.engine.serialize(),
+            players: { X: describe('X'), O: describe('O') },
+            spectators: this.spectators.size
+        };
+    }
+
+    /**
+     * Send the room state to every connected client
+     */
+    broadcast() {
+        const text = JSON.stringify(this.getState());
+        this.forEachMember(member => {
+            if (member.connection) {
+                member.connection.send(text);
+            }
+        });
+    }
+
+    forEachMember(callback) {
+        ['X', 'O'].forEach(player => this.seats[player] && callback(this.seats[player]));
+        this.spectators.forEach(callback);
+    }
+
+    connectionCount() {
+        let count = 0;
+        this.forEachMember(member => {
+            if (member.connection) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Tidy up a name typed by a player
+     * @param {*} name - Name sent by the client
+     * @returns {string|null} - null when none is given, so each client shows its own default
+     */
+    static cleanName(name) {
+        const clean = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+        return clean || null;
+    }
+}
+
+module.exports = GameRoom;
@@ -0,0 +1,241 @@
+/**
+ * Rules.js - Shared Rules for X O on any board size
+ * Generates win lines for an N×N board with K in a row and checks for winners.
+ * Also lays out Ultimate X O: a 9×9 board of nine 3×3 sub-boards, each won
+ * on its own, with the sub-boards won making lines on a 3×3 meta-board.
+ * Used by both the game (game.js) and the AI (ai.js).
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+class GameRules {
+    /**
+     * @param {Object} options - Rule settings
+     * @param {number} options.size - Board width and height
+     * @param {number} options.winLength - Pieces in a row needed to win
+     * @param {number} options.maxMoves - Pieces kept before the oldest is removed
+     *     (defaults to the number of cells, like the 9 of the classic board)
+     * @param {number} options.pieceLimit - Pieces each player keeps before their own oldest
+     *     is removed, like the 3 of Three Men's Morris (Infinity by default - no limit)
+     * @param {boolean} options.misere - Completing a line loses instead of winning
+     * @param {boolean} options.ultimate - Ultimate X O: always 9×9 in 3×3 sub-boards,
+     *     with no pieces removed and no misère
+     */
+    constructor(options = {}) {
+        this.ultimate = options.ultimate === true;
+        this.size = this.ultimate ? 9 : options.size || 3;
+        this.winLength = this.ultimate ? 3 : Math.min(options.winLength || this.size, this.size);
+        this.cellCount = this.size * this.size;
+        this.maxMoves = this.ultimate ? Infinity : options.maxMoves !== undefined ? options.maxMoves : this.cellCount;
+        this.pieceLimit = options.pieceLimit > 0 && !this.ultimate ? options.pieceLimit : Infinity;
+        this.misere = options.misere === true && !this.ultimate;
+
+        if (this.ultimate) {
+            // The sub-boards' cells, and their lines - the only win lines on the board
+            this.metaRules = new GameRules({ size: 3 });
+            this.subBoards = GameRules.generateSubBoards();
+            this.subBoardLines = this.subBoards.map(cells =>
+                this.metaRules.winPatterns.map(pattern => pattern.map(index => cells[index])));
+            this.winPatterns = [].concat(...this.subBoardLines);
+        } else {
+            this.winPatterns = GameRules.generateWinPatterns(this.size, this.winLength);
+        }
+
+        // Win lines passing through each cell, for checking only around the last move
+        this.linesThrough = Array.from({ length: this.cellCount }, () => []);
+        this.winPatterns.forEach(pattern => {
+            pattern.forEach(index => this.linesThrough[index].push(pattern));
+        });
+
+        this.symmetries = GameRules.generateSymmetries(this.size);
+    }
+
+    /**
+     * Generate the eight rotations and reflections of an N×N board
+     * @param {number} size - Board width and height
+     * @returns {Array} - One array per symmetry (the identity first) giving,
+     *     for each cell index, the index of the cell it moves to
+     */
+    static generateSymmetries(size) {
+        const last = size - 1;
+        const transforms = [
+            (row, col) => [row, col],
+            (row, col) => [col, last - row], // Rotate 90°
+            (row, col) => [last - row, last - col], // Rotate 180°
+            (row, col) => [last - col, row], // Rotate 270°
+            (row, col) => [row, last - col], // Mirror left-right
+            (row, col) => [last - row, col], // Mirror top-bottom
+            (row, col) => [col, row], // Mirror on the \ diagonal
+            (row, col) => [last - col, last - row] // Mirror on the / diagonal
+        ];
+
+        return transforms.map(transform => {
+            const map = [];
+            for (let index = 0; index < size * size; index++) {
+                const [row, col] = transform(Math.floor(index / size), index % size);
+                map.push(row * size + col);
+            }
+            return map;
+        });
+    }
+
+    /**
+     * Generate every winning line for an N×N board with K in a row
+     * @param {number} size - Board width and height
+     * @param {number} winLength - Pieces in a row needed to win
+     * @returns {Array} - Lines as arrays of cell indexes, in order along the line
+     */
+    static generateWinPatterns(size, winLength) {
+        const patterns = [];
+        // Right, down, diagonal \ and diagonal /
+        const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+        for (let [dRow, dCol] of directions) {
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    const endRow = row + dRow * (winLength - 1);
+                    const endCol = col + dCol * (winLength - 1);
+                    if (endRow < 0 || endRow >= size || endCol < 0 || endCol >= size) {
+                        continue;
+                    }
+
+                    const pattern = [];
+                    for (let step = 0; step < winLength; step++) {
+                        pattern.push((row + dRow * step) * size + (col + dCol * step));
+                    }
+                    patterns.push(pattern);
+                }
+            }
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Generate the cells of the nine sub-boards of the Ultimate board
+     * @returns {Array} - One array of 9 cell indexes per sub-board, both in reading order
+     */
+    static generateSubBoards() {
+        const subBoards = [];
+        for (let sub = 0; sub < 9; sub++) {
+            const top = Math.floor(sub / 3) * 3;
+            const left = (sub % 3) * 3;
+            const cells = [];
+            for (let i = 0; i < 9; i++) {
+                cells.push((top + Math.floor(i / 3)) * 9 + left + i % 3);
+            }
+            subBoards.push(cells);
+        }
+        return subBoards;
+    }
+
+    /**
+     * Ultimate: get the sub-board a cell is in
+     * @param {number} index - Cell index
+     * @returns {number} - Sub-board 0-8, in reading order
+     */
+    subBoardOf(index) {
+        return Math.floor(index / 27) * 3 + Math.floor((index % 9) / 3);
+    }
+
+    /**
+     * Ultimate: get a cell's place within its sub-board, which is also
+     * the sub-board the opponent is sent to
+     * @param {number} index - Cell index
+     * @returns {number} - Place 0-8, in reading order
+     */
+    subCellOf(index) {
+        return (Math.floor(index / 9) % 3) * 3 + index % 3;
+    }
+
+    /**
+     * Create an empty board
+     * @returns {Array} - One '' entry per cell
+     */
+    createBoard() {
+        return new Array(this.cellCount).fill('');
+    }
+
+    /**
+     * Find a completed line on the board
+     * @param {Array} board - Current board state
+     * @returns {Array|null} - The winning line, or null
+     */
+    findWinningLine(board) {
+        for (let pattern of this.winPatterns) {
+            if (this.isLineComplete(board, pattern)) {
+                return pattern;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if the piece at a cell completes a line - cheaper than
+     * scanning the whole board when only that cell has changed
+     * @param {Array} board - Current board state
+     * @param {number} index - Cell that was just played
+     * @returns {string|null} - Winner ('X' or 'O'), or null
+     */
+    checkWinAt(board, index) {
+        for (let pattern of this.linesThrough[index]) {
+            if (this.isLineComplete(board, pattern)) {
+                return board[index];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if there's a winner or draw
+     * @param {Array} board - Current board state
+     * @returns {string|null} - Winner ('X' or 'O'), 'draw', or null
+     */
+    checkWinner(board) {
+        const line = this.findWinningLine(board);
+        if (line) {
+            return board[line[0]];
+        }
+
+        // Check for draw (board full)
+        if (board.every(cell => cell !== '')) {
+            return 'draw';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if every cell of a line holds the same piece
+     */
+    isLineComplete(board, pattern) {
+        const first = board[pattern[0]];
+        if (!first) {
+            return false;
+        }
+        for (let i = 1; i < pattern.length; i++) {
+            if (board[pattern[i]] !== first) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+// Board sizes offered in the game, with the pieces in a row needed to win
+GameRules.PRESETS = {
+    3: { size: 3, winLength: 3 },
+    4: { size: 4, winLength: 4 },
+    5: { size: 5, winLength: 4 },
+    9: { size: 9, winLength: 3, ultimate: true }, // Ultimate - nine 3×3 sub-boards
+    15: { size: 15, winLength: 5 } // Gomoku
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRules;
+}
@@ -0,0 +1,64 @@
+/**
+ * Search-Benchmark.js - Node Counts for the AI Search
+ * Searches a few fixed positions to a fixed depth with the transposition table
+ * and move ordering switched off and on, to show how much work each one saves.
+ *
+ * Usage: node search-benchmark.js
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const GameRules = require('./rules.js');
+const GameEngine = require('./engine.js');
+const TicTacToeAI = require('./ai.js');
+
+// Positions to search: rules, moves played (cell indexes) and search depth
+const POSITIONS = [
+    { name: '3×3 sliding window, empty board', rules: { size: 3 }, moves: [], depth: 12 },
+    { name: '3×3 classic, empty board', rules: { size: 3, maxMoves: Infinity }, moves: [], depth: 9 },
+    { name: '3×3 sliding window, after 3 moves', rules: { size: 3 }, moves: [4, 0, 8], depth: 14 },
+    { name: '4×4 sliding window', rules: { size: 4 }, moves: [5, 10], depth: 7 },
+    { name: '15×15 Gomoku', rules: { size: 15, winLength: 5, maxMoves: Infinity }, moves: [112, 113, 97], depth: 4 }
+];
+
+const SETTINGS = [
+    { name: 'plain alpha-beta', useTable: false, useOrdering: false },
+    { name: '+ move ordering', useTable: false, useOrdering: true },
+    { name: '+ transposition table', useTable: true, useOrdering: true }
+];
+
+function search(position, settings) {
+    const rules = new GameRules(position.rules);
+    const engine = GameEngine.create({ rules, maxMoves: position.rules.maxMoves });
+    position.moves.forEach(index => engine.applyMove(index));
+
+    const player = engine.currentPlayer;
+    const ai = new TicTacToeAI(player, player === 'X' ? 'O' : 'X', Object.assign({
+        rules,
+        maxMoves: engine.maxMoves,
+        maxDepth: position.depth,
+        timeLimit: Infinity
+    }, settings));
+
+    const startedAt = Date.now();
+    const move = ai.getBestMove(engine.board, engine.moveHistory);
+    return { move, nodes: ai.nodes, ms: Date.now() - startedAt, search: ai.lastSearch };
+}
+
+POSITIONS.forEach(position => {
+    console.log(`${position.name} (depth ${position.depth})`);
+    let baseline = null;
+    SETTINGS.forEach(settings => {
+        const result = search(position, settings);
+        baseline = baseline || result.nodes;
+        const ratio = (baseline / result.nodes).toFixed(1);
+        console.log(`  ${settings.name.padEnd(24)} ${String(result.nodes).padStart(10)} nodes ` +
+            `${String(result.ms).padStart(6)} ms  ×${ratio.padEnd(6)} move ${result.move}, ` +
+            `score ${result.search.score} at depth ${result.search.depth}`);
+    });
+});
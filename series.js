@@ -0,0 +1,152 @@
+/**
+ * Series.js - Matches of Several Games
+ * Keeps the score of a series, best of N games or first to N wins,
+ * and alternates the player who moves first from one game to the next.
+ * DOM-free, so it loads in Node as well as the browser.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+class MatchSeries {
+    /**
+     * @param {Object} options - Series settings
+     * @param {string} options.format - 'bestOf': at most N games, the most wins takes the series
+     *     (it can end level); 'firstTo': the first player to win N games, draws don't count
+     * @param {number} options.length - N
+     */
+    constructor(options = {}) {
+        this.format = options.format === 'firstTo' ? 'firstTo' : 'bestOf';
+        this.length = Math.max(1, parseInt(options.length) || 3);
+        this.games = []; // Finished games, oldest first: {firstPlayer, winner, moves}
+    }
+
+    /**
+     * Rebuild a series from serialize() output
+     * @param {Object} data - Serialized series
+     * @returns {MatchSeries}
+     */
+    static deserialize(data) {
+        if (!data || !['bestOf', 'firstTo'].includes(data.format) || !Array.isArray(data.games)) {
+            throw new Error('Invalid series data');
+        }
+        const series = new MatchSeries(data);
+        data.games.forEach(game => {
+            if (series.isOver) {
+                throw new Error('Series data has games after the series ended');
+            }
+            series.record(game.winner, game.moves);
+        });
+        return series;
+    }
+
+    /**
+     * Wins one player needs to take the series outright
+     */
+    get winsNeeded() {
+        return this.format === 'firstTo' ? this.length : Math.floor(this.length / 2) + 1;
+    }
+
+    /**
+     * Games won by each player
+     * @returns {Object} - {X, O}
+     */
+    get wins() {
+        const wins = { X: 0, O: 0 };
+        this.games.forEach(game => {
+            if (game.winner) {
+                wins[game.winner]++;
+            }
+        });
+        return wins;
+    }
+
+    get draws() {
+        return this.games.filter(game => !game.winner).length;
+    }
+
+    /**
+     * Winner of the series, or null while it goes on or if it ended level
+     * @returns {string|null}
+     */
+    get winner() {
+        const wins = this.wins;
+        if (wins.X >= this.winsNeeded || wins.O >= this.winsNeeded) {
+            return wins.X > wins.O ? 'X' : 'O';
+        }
+        if (this.format === 'bestOf' && this.games.length >= this.length && wins.X !== wins.O) {
+            return wins.X > wins.O ? 'X' : 'O';
+        }
+        return null;
+    }
+
+    get isOver() {
+        return this.winner !== null || (this.format === 'bestOf' && this.games.length >= this.length);
+    }
+
+    /**
+     * Player who moves first in the next game - X in the first, then taking turns
+     * @returns {string}
+     */
+    nextFirstPlayer() {
+        return this.games.length % 2 === 0 ? 'X' : 'O';
+    }
+
+    /**
+     * Add the result of a finished game
+     * @param {string|null} winner - 'X', 'O', or null for a draw
+     * @param {number} moves - Moves played in the game
+     */
+    record(winner, moves) {
+        if (this.isOver) {
+            throw new Error('The series is over');
+        }
+        if (winner !== null && winner !== 'X' && winner !== 'O') {
+            throw new Error(`Invalid winner: ${winner}`);
+        }
+        this.games.push({ firstPlayer: this.nextFirstPlayer(), winner, moves: moves || 0 });
+    }
+
+    /**
+     * Remove the result of the last game, when its final move is taken back
+     * @returns {Object|null} - The game removed
+     */
+    takeBack() {
+        return this.games.pop() || null;
+    }
+
+    /**
+     * Get the end-of-series summary
+     * @returns {Object} - {winner, wins, draws, games, averageMoves}
+     */
+    summary() {
+        const moves = this.games.reduce((total, game) => total + game.moves, 0);
+        return {
+            winner: this.winner,
+            wins: this.wins,
+            draws: this.draws,
+            games: this.games.slice(),
+            averageMoves: this.games.length ? moves / this.games.length : 0
+        };
+    }
+
+    /**
+     * Get a plain JSON-safe description of the series
+     * @returns {Object} - Input for MatchSeries.deserialize
+     */
+    serialize() {
+        return {
+            format: this.format,
+            length: this.length,
+            games: this.games.map(game => ({ winner: game.winner, moves: game.moves }))
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchSeries;
+}
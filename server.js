@@ -0,0 +1,289 @@
+/**
+ * Server.js - Local Network Server for Online Games (Node only, no packages)
+ * Serves the game files and hosts online rooms over WebSocket, on this
+ * computer and the local network only.
+ *
+ * Usage: node server.js [--port 8080]
+ * Then open the address it prints on every device and pick the online mode.
+ *
+ * Messages are JSON objects with a type:
+ *
+ *     create {size, name}          → joined, then state
+ *     join   {code, name, spectate} → joined, then state (a spectator once both seats are taken)
+ *     rejoin {code, token}         → joined, then state
+ *     move   {index, moveNumber}   → state to everyone, or error
+ *     newGame {}                   → state to everyone
+ *     leave  {}                     → left
+ *
+ *     joined {code, role, token}   - role is 'X', 'O' or 'spectator'
+ *     state  {code, game, players, spectators} - game is GameEngine.serialize() output
+ *     error  {message, code}       - code 'room' when the room no longer exists
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocketConnection = require('./websocket.js');
+const GameRoom = require('./room.js');
+
+const DEFAULT_PORT = 8080;
+
+// Rooms nobody is connected to are closed after this long
+const ROOM_IDLE_MS = 10 * 60 * 1000;
+
+// Join code letters - no 0/O or 1/I, which are easy to mix up
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+// Files served, by extension
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+const rooms = new Map();
+
+/**
+ * Serve a game file from this folder
+ */
+function serveFile(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(request.url.split('?')[0]);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const relative = path.normalize(urlPath === '/' ? '/index.html' : urlPath).replace(/^([/\\])+/, '');
+    const filePath = path.join(__dirname, relative);
+    const type = CONTENT_TYPES[path.extname(filePath)];
+
+    // Stay inside this folder and skip hidden files such as .git
+    if (!filePath.startsWith(__dirname + path.sep) || relative.split(/[/\\]/).some(part => part.startsWith('.')) || !type) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        response.end(data);
+    });
+}
+
+/**
+ * Make a join code that isn't in use
+ */
+function createCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+}
+
+function send(connection, message) {
+    connection.send(JSON.stringify(message));
+}
+
+/**
+ * Put a connection in a room and tell everyone
+ */
+function enterRoom(connection, room, role, token) {
+    if (connection.room && connection.room !== room) {
+        connection.room.disconnect(connection);
+        connection.room.broadcast();
+    }
+    connection.room = room;
+    connection.token = token;
+    send(connection, { type: 'joined', code: room.code, role, token });
+    room.broadcast();
+}
+
+/**
+ * Handle one message from a client
+ */
+function handleMessage(connection, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        send(connection, { type: 'error', message: 'Invalid message' });
+        return;
+    }
+    if (!message || typeof message !== 'object') {
+        send(connection, { type: 'error', message: 'Invalid message' });
+        return;
+    }
+
+    const room = connection.room;
+    try {
+        switch (message.type) {
+            case 'create': {
+                const newRoom = new GameRoom(createCode(), { size: parseInt(message.size) });
+                rooms.set(newRoom.code, newRoom);
+                const { role, token } = newRoom.join(connection, { name: message.name });
+                enterRoom(connection, newRoom, role, token);
+                break;
+            }
+            case 'join':
+            case 'rejoin': {
+                const target = rooms.get(String(message.code || '').toUpperCase());
+                if (!target) {
+                    send(connection, { type: 'error', code: 'room', message: 'Room not found' });
+                    return;
+                }
+                if (message.type === 'rejoin') {
+                    const role = target.rejoin(connection, message.token);
+                    if (!role) {
+                        send(connection, { type: 'error', code: 'room', message: 'Seat no longer held' });
+                        return;
+                    }
+                    enterRoom(connection, target, role, message.token);
+                } else {
+                    const { role, token } = target.join(connection, { name: message.name, spectate: message.spectate });
+                    enterRoom(connection, target, role, token);
+                }
+                break;
+            }
+            case 'move':
+                requireRoom(room).play(connection.token, message.index, message.moveNumber);
+                room.broadcast();
+                break;
+            case 'newGame':
+                requireRoom(room).newGame(connection.token);
+                room.broadcast();
+                break;
+            case 'leave':
+                if (room) {
+                    room.leave(connection.token);
+                    connection.room = null;
+                    connection.token = null;
+                    room.broadcast();
+                }
+                send(connection, { type: 'left' });
+                break;
+            default:
+                send(connection, { type: 'error', message: `Unknown message type "${message.type}"` });
+        }
+    } catch (error) {
+        // Rejected move - send the real position so the client can correct itself
+        send(connection, { type: 'error', message: error.message });
+        if (room) {
+            send(connection, room.getState());
+        }
+    }
+}
+
+function requireRoom(room) {
+    if (!room) {
+        throw new Error('Not in a room');
+    }
+    return room;
+}
+
+/**
+ * Close rooms nobody has been connected to for a while
+ */
+function closeIdleRooms() {
+    const now = Date.now();
+    rooms.forEach((room, code) => {
+        if (room.emptySince !== null && now - room.emptySince > ROOM_IDLE_MS) {
+            rooms.delete(code);
+        }
+    });
+}
+
+/**
+ * Get the addresses other devices on the network can use
+ */
+function getNetworkAddresses() {
+    const addresses = [];
+    Object.values(os.networkInterfaces()).forEach(entries => {
+        (entries || []).forEach(entry => {
+            if (entry.family === 'IPv4' && !entry.internal) {
+                addresses.push(entry.address);
+            }
+        });
+    });
+    return addresses;
+}
+
+/**
+ * Start the server
+ * @param {number} port - Port to listen on (0 picks a free one)
+ * @returns {http.Server}
+ */
+function startServer(port = DEFAULT_PORT) {
+    const server = http.createServer(serveFile);
+
+    server.on('upgrade', (request, socket) => {
+        if (request.url.split('?')[0] !== '/ws') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const connection = WebSocketConnection.accept(request, socket);
+        if (!connection) {
+            return;
+        }
+        connection.room = null;
+        connection.token = null;
+        connection.on('message', text => handleMessage(connection, text));
+        connection.on('close', () => {
+            if (connection.room) {
+                connection.room.disconnect(connection);
+                connection.room.broadcast();
+            }
+        });
+    });
+
+    const idleTimer = setInterval(closeIdleRooms, 60 * 1000);
+    idleTimer.unref();
+    server.on('close', () => clearInterval(idleTimer));
+
+    server.listen(port);
+    return server;
+}
+
+if (require.main === module) {
+    const portArgument = process.argv.indexOf('--port');
+    const port = parseInt(portArgument !== -1 ? process.argv[portArgument + 1] : process.env.PORT) || DEFAULT_PORT;
+
+    const server = startServer(port);
+    server.on('listening', () => {
+        const actualPort = server.address().port;
+        console.log('X O online server running:');
+        console.log(`  http://localhost:${actualPort}/`);
+        getNetworkAddresses().forEach(address => console.log(`  http://${address}:${actualPort}/`));
+    });
+    server.on('error', error => {
+        console.error(`Could not start the server: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { startServer, rooms };
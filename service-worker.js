@@ -0,0 +1,103 @@
+/**
+ * Service-Worker.js - Offline Play
+ * Keeps a copy of every file the game needs, so it loads and plays without
+ * a network once it has been opened. The files come from the cache first;
+ * raise CACHE_VERSION whenever any of them changes, so players get the new
+ * version - the page then offers to reload (see registerServiceWorker in game.js).
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const CACHE_VERSION = 3;
+const CACHE_PREFIX = 'xo-game-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// The page, its scripts in the order index.html loads them, the AI worker and the app icon
+const PRECACHE_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'background.js',
+    'themes.js',
+    'audio.js',
+    'rules.js',
+    'engine.js',
+    'record.js',
+    'replay.js',
+    'stats.js',
+    'series.js',
+    'clock.js',
+    'transposition.js',
+    'ai.js',
+    'mcts.js',
+    'strategy.js',
+    'ai-client.js',
+    'online.js',
+    'arena.js',
+    'puzzles.js',
+    'i18n.js',
+    'game.js',
+    'ai-worker.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// Fonts are kept once they have been downloaded - without them the page falls back to the system font
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache, so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_FILES.map(file => new Request(file, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop the caches of earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting new version to take over once the player accepts the update
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // Pages opened with a query string or hash are still the one page
+        const cached = request.mode === 'navigate' ?
+            caches.match('index.html') : caches.match(request, { ignoreSearch: true });
+        event.respondWith(cached.then(response => response || fetch(request)));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(caches.open(CACHE_NAME).then(cache => cache.match(request).then(response => {
+            if (response) {
+                return response;
+            }
+            return fetch(request).then(fresh => {
+                if (fresh.ok || fresh.type === 'opaque') {
+                    cache.put(request, fresh.clone());
+                }
+                return fresh;
+            });
+        })));
+    }
+});
@@ -0,0 +1,290 @@
+/**
+ * Stats.js - Player Profiles and Match Statistics
+ * Keeps named profiles and every finished game in IndexedDB, and works out
+ * the statistics shown on the stats screen. Loads in Node as well as the browser.
+ *
+ * Schema (version 1):
+ *     profiles {id, name, createdAt, scores: {X, O, draws}, legacy}
+ *         scores is the scoreboard; legacy holds results moved over from the
+ *         old xoGameScores value, which had no details
+ *     games {id, profileId, date, mode, difficulty, size, side, result, moves, reachedEviction}
+ *         result is 'win', 'loss' or 'draw' for the profile's side, moves counts
+ *         every move played and reachedEviction is true if a piece was removed
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const STATS_DB_NAME = 'xoGame';
+const STATS_DB_VERSION = 1;
+
+// Scoreboard kept in localStorage before profiles existed
+const LEGACY_SCORES_KEY = 'xoGameScores';
+
+class StatsStore {
+    /**
+     * Use StatsStore.open() rather than calling this directly
+     * @param {IDBDatabase} db - Open database
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Open the database, creating or upgrading it as needed
+     * @param {IDBFactory} [factory] - IndexedDB to use (the browser's by default)
+     * @returns {Promise} - Resolves with a StatsStore
+     */
+    static open(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+        return new Promise((resolve, reject) => {
+            if (!factory) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = factory.open(STATS_DB_NAME, STATS_DB_VERSION);
+            request.onupgradeneeded = event => StatsStore.upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(new StatsStore(request.result));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The database is open in an older version of the game'));
+        });
+    }
+
+    /**
+     * Bring the schema up to date, one version at a time
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version found (0 for a new database)
+     */
+    static upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: true });
+            const games = db.createObjectStore('games', { keyPath: 'id', autoIncrement: true });
+            games.createIndex('profileId', 'profileId');
+        }
+        // Later versions add their steps here: if (oldVersion < 2) { ... }
+    }
+
+    /**
+     * Run a request in a transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the store; returns the request whose result is wanted
+     * @returns {Promise} - Resolves with the request's result once the transaction completes
+     */
+    run(storeName, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = work(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get every profile, oldest first
+     * @returns {Promise} - Resolves with an array of profiles
+     */
+    getProfiles() {
+        return this.run('profiles', 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name - Profile name
+     * @param {Object} [scores] - Starting scoreboard
+     * @returns {Promise} - Resolves with the new profile
+     */
+    addProfile(name, scores = { X: 0, O: 0, draws: 0 }) {
+        const profile = { name, createdAt: Date.now(), scores, legacy: null };
+        return this.run('profiles', 'readwrite', store => store.add(profile)).then(id => {
+            profile.id = id;
+            return profile;
+        });
+    }
+
+    /**
+     * Save changes to a profile, e.g. its name or scoreboard
+     * @param {Object} profile - Profile from getProfiles() or addProfile()
+     * @returns {Promise}
+     */
+    saveProfile(profile) {
+        return this.run('profiles', 'readwrite', store => store.put(profile));
+    }
+
+    /**
+     * Delete a profile and its games
+     * @param {number} id - Profile id
+     * @returns {Promise}
+     */
+    deleteProfile(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['profiles', 'games'], 'readwrite');
+            transaction.objectStore('profiles').delete(id);
+            const cursorRequest = transaction.objectStore('games').index('profileId').openCursor(id);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the profile to play as: the one with the given id, otherwise the
+     * first one, creating a profile if there are none
+     * @param {number} [id] - Profile id last used
+     * @param {string} [name] - Name of the profile created when there are none
+     * @returns {Promise} - Resolves with a profile
+     */
+    getActiveProfile(id, name) {
+        return this.getProfiles().then(profiles => {
+            const profile = profiles.find(entry => entry.id === id) || profiles[0];
+            return profile || this.addProfile(name);
+        });
+    }
+
+    /**
+     * Store a finished game
+     * @param {Object} game - See the games schema at the top of this file (without id)
+     * @returns {Promise} - Resolves with the game's id
+     */
+    addGame(game) {
+        return this.run('games', 'readwrite', store => store.add(game));
+    }
+
+    /**
+     * Remove a game, e.g. when its last move is taken back
+     * @param {number} id - Game id
+     * @returns {Promise}
+     */
+    deleteGame(id) {
+        return this.run('games', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Get a profile's games, oldest first
+     * @param {number} profileId - Profile id
+     * @returns {Promise} - Resolves with an array of games
+     */
+    getGames(profileId) {
+        return this.run('games', 'readonly', store => store.index('profileId').getAll(profileId))
+            .then(games => games.sort((a, b) => a.date - b.date || a.id - b.id));
+    }
+
+    /**
+     * Move the scoreboard saved under the old xoGameScores key into a profile.
+     * Runs once: the old key is removed afterwards. Unreadable data is dropped.
+     * @param {Storage} storage - localStorage
+     * @param {Object} profile - Profile to receive the scores
+     * @returns {Promise} - Resolves with true if scores were moved
+     */
+    migrateLegacyScores(storage, profile) {
+        const saved = storage.getItem(LEGACY_SCORES_KEY);
+        if (saved === null) {
+            return Promise.resolve(false);
+        }
+
+        let scores;
+        try {
+            scores = JSON.parse(saved);
+        } catch (error) {
+            scores = null;
+        }
+        const count = value => (Number.isInteger(value) && value > 0 ? value : 0);
+        if (!scores || typeof scores !== 'object') {
+            storage.removeItem(LEGACY_SCORES_KEY);
+            return Promise.resolve(false);
+        }
+
+        // Player X is the person at the keyboard against the computer
+        const legacy = { wins: count(scores.X), losses: count(scores.O), draws: count(scores.draws) };
+        profile.scores = {
+            X: profile.scores.X + legacy.wins,
+            O: profile.scores.O + legacy.losses,
+            draws: profile.scores.draws + legacy.draws
+        };
+        profile.legacy = legacy;
+
+        return this.saveProfile(profile).then(() => {
+            storage.removeItem(LEGACY_SCORES_KEY);
+            return true;
+        });
+    }
+
+    /**
+     * Work out a profile's statistics from its games
+     * @param {Array} games - Games from getGames(), oldest first
+     * @param {Object} [legacy] - Results without details from the old scoreboard
+     * @returns {Object} - {total, byMode, byDifficulty, currentStreak: {result, length},
+     *     bestWinStreak, averageMoves, evictionRate}; each tally is {games, wins, losses, draws}
+     */
+    static summarize(games, legacy = null) {
+        const tally = () => ({ games: 0, wins: 0, losses: 0, draws: 0 });
+        const add = (entry, result, count = 1) => {
+            entry.games += count;
+            entry[result === 'win' ? 'wins' : result === 'loss' ? 'losses' : 'draws'] += count;
+        };
+
+        const summary = {
+            total: tally(),
+            byMode: { ai: tally(), '2p': tally(), online: tally() },
+            byDifficulty: { easy: tally(), medium: tally(), hard: tally(), impossible: tally(), mcts: tally() },
+            currentStreak: { result: null, length: 0 },
+            bestWinStreak: 0,
+            averageMoves: 0,
+            evictionRate: 0
+        };
+
+        let winStreak = 0;
+        let totalMoves = 0;
+        let evictions = 0;
+        games.forEach(game => {
+            add(summary.total, game.result);
+            if (summary.byMode[game.mode]) {
+                add(summary.byMode[game.mode], game.result);
+            }
+            if (game.mode === 'ai' && summary.byDifficulty[game.difficulty]) {
+                add(summary.byDifficulty[game.difficulty], game.result);
+            }
+
+            if (summary.currentStreak.result === game.result) {
+                summary.currentStreak.length++;
+            } else {
+                summary.currentStreak = { result: game.result, length: 1 };
+            }
+            winStreak = game.result === 'win' ? winStreak + 1 : 0;
+            summary.bestWinStreak = Math.max(summary.bestWinStreak, winStreak);
+
+            totalMoves += game.moves;
+            if (game.reachedEviction) {
+                evictions++;
+            }
+        });
+
+        if (games.length > 0) {
+            summary.averageMoves = totalMoves / games.length;
+            summary.evictionRate = evictions / games.length;
+        }
+
+        // Old results count towards the totals only - there's nothing else known about them
+        if (legacy) {
+            add(summary.total, 'win', legacy.wins);
+            add(summary.total, 'loss', legacy.losses);
+            add(summary.total, 'draw', legacy.draws);
+        }
+
+        return summary;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatsStore;
+}
@@ -0,0 +1,201 @@
+/**
+ * Strategy.js - Pluggable AI Strategies
+ * A strategy chooses a move for a position: it is given the board, the move
+ * history and the rules, and answers with a move and, if it has one, an
+ * analysis of how it chose it. The minimax difficulties (see ai.js) and Monte
+ * Carlo Tree Search (see mcts.js) are registered here by name, so the game,
+ * the worker and the arena only ever ask for a strategy by its name.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Node: load the rules and both AIs, which the browser gets from their own scripts
+if (typeof GameRules === 'undefined' && typeof require === 'function') {
+    globalThis.GameRules = require('./rules.js');
+}
+if (typeof TicTacToeAI === 'undefined' && typeof require === 'function') {
+    globalThis.TicTacToeAI = require('./ai.js');
+}
+if (typeof MonteCarloAI === 'undefined' && typeof require === 'function') {
+    globalThis.MonteCarloAI = require('./mcts.js');
+}
+
+class AIStrategy {
+    /**
+     * @param {string} name - Name the strategy is chosen by, e.g. 'impossible' or 'mcts'
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Choose a move - every strategy implements this
+     * @param {Object} game - Position to move in: {board, moveHistory ({index, player}, oldest first),
+     *     player (to move), rules (GameRules), maxMoves (pieces kept before the oldest is removed)}
+     * @param {Object} options - Strategy settings, e.g. timeLimit (ms), blunderRate or playouts
+     * @returns {Object} - {move (-1 if there is none), analysis (details of the search, or null)}
+     */
+    getMove(game, options) {
+        throw new Error(`Strategy "${this.name}" does not choose moves`);
+    }
+
+    /**
+     * Make a strategy available by its name, replacing any of the same name
+     * @param {AIStrategy} strategy
+     * @returns {AIStrategy} - The strategy
+     */
+    static register(strategy) {
+        AIStrategy.registry.set(strategy.name, strategy);
+        return strategy;
+    }
+
+    /**
+     * Get a registered strategy
+     * @param {string} name - Strategy name
+     * @returns {AIStrategy}
+     */
+    static get(name) {
+        const strategy = AIStrategy.registry.get(name);
+        if (!strategy) {
+            throw new Error(`Unknown AI strategy "${name}"`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Names of the registered strategies, in the order they were registered
+     * @returns {Array}
+     */
+    static names() {
+        return Array.from(AIStrategy.registry.keys());
+    }
+
+    /**
+     * Describe an engine's position for getMove
+     * @param {GameEngine} engine - Game to move in; the player to move is the one asking
+     * @returns {Object} - game for getMove
+     */
+    static fromEngine(engine) {
+        return {
+            board: engine.board,
+            moveHistory: engine.moveHistory,
+            player: engine.currentPlayer,
+            rules: engine.rules,
+            maxMoves: engine.maxMoves
+        };
+    }
+
+    /**
+     * Rebuild a position sent as a message (see AIClient.describePosition) for getMove
+     * @param {Object} position - {size, winLength, maxMoves (null for no removal),
+     *     pieceLimit (null for none), misere, ultimate, board, moveHistory, player}
+     * @returns {Object} - game for getMove
+     */
+    static fromPosition(position) {
+        return {
+            board: position.board,
+            moveHistory: position.moveHistory,
+            player: position.player,
+            rules: new GameRules({
+                size: position.size,
+                winLength: position.winLength,
+                pieceLimit: position.pieceLimit || Infinity,
+                misere: position.misere === true,
+                ultimate: position.ultimate === true
+            }),
+            maxMoves: position.maxMoves === null ? Infinity : position.maxMoves
+        };
+    }
+
+    /**
+     * Answer a search request - the message protocol shared by ai-worker.js
+     * and the synchronous fallback in ai-client.js
+     * @param {Object} request - {id, type: 'move' | 'analyze', position (see fromPosition),
+     *     strategy (a registered name), and the strategy's options: timeLimit, blunderRate, playouts}
+     * @returns {Object} - {id, move, analysis} for 'move',
+     *     {id, results, nodes} for 'analyze' (see TicTacToeAI.analyzeMoves)
+     */
+    static runRequest(request) {
+        const game = AIStrategy.fromPosition(request.position);
+
+        if (request.type === 'analyze') {
+            const ai = TicTacToeAI.forGame(game);
+            ai.timeLimit = request.timeLimit !== undefined ? request.timeLimit : 250;
+            const results = ai.analyzeMoves(game.board, game.moveHistory);
+            return { id: request.id, results, nodes: ai.nodes };
+        }
+        if (request.type !== 'move') {
+            throw new Error(`Unknown request type "${request.type}"`);
+        }
+
+        const reply = AIStrategy.get(request.strategy).getMove(game, request);
+        return { id: request.id, move: reply.move, analysis: reply.analysis || null };
+    }
+}
+
+// Strategies by name (see register)
+AIStrategy.registry = new Map();
+
+// The difficulty levels of the minimax AI: random, win-or-block, best with blunders, and best
+class MinimaxStrategy extends AIStrategy {
+    /**
+     * @param {Object} options - {timeLimit (ms, 250 by default), blunderRate (TicTacToeAI.BLUNDER_RATE by default)}
+     * @returns {Object} - analysis is {score, depth, nodes} of the deepest completed search
+     *     (depth 0 when the move needed no search)
+     */
+    getMove(game, options = {}) {
+        const ai = TicTacToeAI.forGame(game);
+        ai.timeLimit = options.timeLimit !== undefined ? options.timeLimit : 250;
+        ai.blunderRate = options.blunderRate !== undefined ? options.blunderRate : TicTacToeAI.BLUNDER_RATE;
+
+        const move = ai.getMove(game.board.slice(), game.moveHistory, this.name);
+        return {
+            move,
+            analysis: {
+                score: ai.lastSearch ? ai.lastSearch.score : null,
+                depth: ai.lastSearch ? ai.lastSearch.depth : 0,
+                nodes: ai.nodes
+            }
+        };
+    }
+}
+
+// Monte Carlo Tree Search
+class MCTSStrategy extends AIStrategy {
+    /**
+     * @param {Object} options - {playouts (2000 by default), timeLimit (ms, 1000 by default)}
+     * @returns {Object} - analysis is {playouts, nodes, winRate, moves} (see MonteCarloAI.getMove)
+     */
+    getMove(game, options = {}) {
+        const ai = new MonteCarloAI({
+            rules: game.rules,
+            maxMoves: game.maxMoves,
+            playouts: options.playouts,
+            timeLimit: options.timeLimit
+        });
+        const result = ai.getMove(game.board, game.moveHistory, game.player);
+        return {
+            move: result.move,
+            analysis: {
+                playouts: ai.lastPlayouts,
+                nodes: ai.nodes,
+                winRate: result.winRate,
+                moves: result.moves
+            }
+        };
+    }
+}
+
+['easy', 'medium', 'hard', 'impossible'].forEach(difficulty => {
+    AIStrategy.register(new MinimaxStrategy(difficulty));
+});
+AIStrategy.register(new MCTSStrategy('mcts'));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIStrategy;
+}
@@ -0,0 +1,145 @@
+/**
+ * AI tests - self-play and scripted lines under the classic and the sliding-window rule
+ * Run with: npm test
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameRules = require('../rules.js');
+const GameEngine = require('../engine.js');
+const TicTacToeAI = require('../ai.js');
+
+const RULES = new GameRules(GameRules.PRESETS[3]);
+
+// Set up a game from a list of moves, X first
+function playMoves(moves, maxMoves = Infinity) {
+    const engine = GameEngine.create({ rules: RULES, maxMoves });
+    moves.forEach(index => engine.applyMove(index));
+    return engine;
+}
+
+// The move the AI plays for the side to move
+function aiMove(engine, difficulty = 'impossible') {
+    const player = engine.currentPlayer;
+    const ai = new TicTacToeAI(player, player === 'X' ? 'O' : 'X', {
+        rules: engine.rules,
+        maxMoves: engine.maxMoves,
+        timeLimit: 1000
+    });
+    return ai.getMove(engine.board.slice(), engine.moveHistory, difficulty);
+}
+
+// Identify a position by the pieces still on the board, oldest first, and the side to move
+function positionKey(engine) {
+    return engine.moveHistory.map(move => move.player + move.index).join(',') + engine.currentPlayer;
+}
+
+// Play the AI against itself until a win, a full board, or the same position
+// coming up a third time
+function selfPlay(maxMoves, moveLimit = 100) {
+    const engine = GameEngine.create({ rules: RULES, maxMoves });
+    const seen = new Map();
+    while (engine.status().state === 'playing' && engine.moves.length < moveLimit) {
+        const key = positionKey(engine);
+        const count = (seen.get(key) || 0) + 1;
+        if (count === 3) {
+            return { engine, end: 'repetition' };
+        }
+        seen.set(key, count);
+
+        const move = aiMove(engine);
+        assert.ok(engine.isLegalMove(move), `illegal move ${move} after ${engine.moves.map(m => m.index)}`);
+        engine.applyMove(move);
+    }
+    return { engine, end: engine.status().state };
+}
+
+test('self-play under the classic rule is a draw', () => {
+    const { engine, end } = selfPlay(Infinity);
+    assert.strictEqual(end, 'draw');
+    assert.strictEqual(engine.moves.length, 9);
+});
+
+test('self-play under the sliding rule goes round in a cycle, drawn by repetition', () => {
+    // With 6 or 8 pieces on the board neither side can force a win
+    [6, 8].forEach(maxMoves => {
+        const { engine, end } = selfPlay(maxMoves);
+        assert.strictEqual(end, 'repetition', `window ${maxMoves}`);
+        assert.ok(engine.moves.length > maxMoves, 'pieces were removed along the way');
+    });
+});
+
+test('self-play under the board-wide window converts the first player\'s forced win', () => {
+    // Once the board is full the oldest piece goes - X, who moved first, has a forced win
+    const { engine, end } = selfPlay(9);
+    assert.strictEqual(end, 'won');
+    assert.strictEqual(engine.winner, 'X');
+    assert.ok(engine.moves.some(move => move.expired), 'the win came after pieces were removed');
+});
+
+test('a full board on O\'s turn still gives a move, the piece about to be removed', () => {
+    const engine = playMoves([0, 1, 2, 4, 3, 5, 7, 6, 8], 9);
+    assert.strictEqual(engine.currentPlayer, 'O');
+    const move = aiMove(engine);
+    assert.notStrictEqual(move, -1);
+    assert.strictEqual(move, engine.getExpiringIndex());
+});
+
+test('scripted lines: the AI takes a win', () => {
+    // X: 0 1, O: 3 4 - X completes the top row
+    assert.strictEqual(aiMove(playMoves([0, 3, 1, 4])), 2);
+    // Sliding: O's 3 4 are about to finish the middle row, but X wins first on 2
+    assert.strictEqual(aiMove(playMoves([0, 3, 1, 4], 9)), 2);
+});
+
+test('scripted lines: the AI blocks a win', () => {
+    // X: 0 1 threatens 2 (not on hard, which blunders on purpose)
+    ['impossible', 'medium'].forEach(difficulty => {
+        assert.strictEqual(aiMove(playMoves([0, 4, 1]), difficulty), 2, difficulty);
+    });
+});
+
+test('the impossible AI never loses to any line of X\'s moves (classic)', () => {
+    let games = 0;
+    // Try every X move at every turn, with the AI answering as O
+    const explore = engine => {
+        const status = engine.status();
+        if (status.state !== 'playing') {
+            games++;
+            assert.notStrictEqual(status.winner, 'X', `lost to ${engine.moves.map(m => m.index)}`);
+            return;
+        }
+        engine.legalMoves().forEach(move => {
+            engine.applyMove(move);
+            if (engine.status().state === 'playing') {
+                engine.applyMove(aiMove(engine));
+                explore(engine);
+                engine.undo();
+            } else {
+                explore(engine);
+            }
+            engine.undo();
+        });
+    };
+    explore(playMoves([]));
+    assert.ok(games > 100);
+});
+
+test('medium never tries the opponent\'s illegal moves under the piece limit', () => {
+    // X holds three pieces, so X's oldest (0) is X's to move - but not O's, whose
+    // replies the block check tries
+    const rules = new GameRules(Object.assign({}, GameRules.PRESETS[3], { pieceLimit: 3 }));
+    const engine = GameEngine.create({ rules, maxMoves: Infinity });
+    [0, 1, 5, 3, 7, 8].forEach(index => engine.applyMove(index));
+    assert.strictEqual(engine.currentPlayer, 'X');
+    for (let i = 0; i < 20; i++) {
+        assert.ok(engine.legalMoves().includes(aiMove(engine, 'medium')));
+    }
+});
@@ -0,0 +1,142 @@
+/**
+ * Engine tests - moves, the oldest-piece removal, undo/redo and saving a game
+ * Run with: npm test
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameRules = require('../rules.js');
+const GameEngine = require('../engine.js');
+
+// Set up a 3×3 game from a list of moves, X first
+// (options: maxMoves, 9 by default, and rule variants such as pieceLimit and misere)
+function playMoves(moves, options = {}) {
+    const { maxMoves = 9, ...variant } = options;
+    const rules = new GameRules(Object.assign({}, GameRules.PRESETS[3], variant));
+    const engine = GameEngine.create({ rules, maxMoves });
+    moves.forEach(index => engine.applyMove(index));
+    return engine;
+}
+
+// A full 3×3 board with no line: X 0 2 3 7 8, O 1 4 5 6
+const FULL_BOARD = [0, 1, 2, 4, 3, 5, 7, 6, 8];
+
+test('applyMove rejects illegal moves', () => {
+    const engine = playMoves([4]);
+    assert.throws(() => engine.applyMove(4), /Illegal move: 4/);
+    assert.throws(() => engine.applyMove(-1), /Illegal move: -1/);
+    assert.throws(() => engine.applyMove(9), /Illegal move: 9/);
+
+    // Nothing moves once the game is won
+    const won = playMoves([0, 3, 1, 4, 2]);
+    assert.strictEqual(won.winner, 'X');
+    assert.throws(() => won.applyMove(5), /Illegal move: 5/);
+});
+
+test('getExpiringIndex gives the oldest piece once the window is full', () => {
+    const engine = playMoves(FULL_BOARD.slice(0, 8));
+    assert.strictEqual(engine.getExpiringIndex(), -1);
+    engine.applyMove(8);
+    assert.strictEqual(engine.getExpiringIndex(), 0);
+
+    // The cell about to be freed is the one legal move on a full board
+    assert.deepStrictEqual(engine.legalMoves(), [0]);
+    const move = engine.applyMove(0);
+    assert.deepStrictEqual(move.expired, { index: 0, player: 'X' });
+    assert.strictEqual(engine.board[0], 'O');
+    assert.strictEqual(engine.getExpiringIndex(), 1);
+});
+
+test('getExpiringIndex follows each player\'s own oldest piece under the piece limit', () => {
+    const engine = playMoves([0, 1, 5, 3, 7], { maxMoves: Infinity, pieceLimit: 3 });
+    // O has two pieces - nothing of theirs goes yet
+    assert.strictEqual(engine.getExpiringIndex(), -1);
+    engine.applyMove(8);
+    // X has three: their first piece goes with their next move
+    assert.strictEqual(engine.getExpiringIndex(), 0);
+    assert.ok(!engine.isLegalMove(1), 'O\'s oldest piece is not X\'s to take');
+});
+
+test('undo and redo across a removal restore the removed piece', () => {
+    const engine = playMoves(FULL_BOARD);
+    const before = { board: engine.board.slice(), history: engine.moveHistory.slice() };
+
+    engine.applyMove(0);
+    engine.applyMove(1);
+    assert.strictEqual(engine.board[1], 'X');
+
+    engine.undo();
+    engine.undo();
+    assert.deepStrictEqual(engine.board, before.board);
+    assert.deepStrictEqual(engine.moveHistory, before.history);
+    assert.strictEqual(engine.currentPlayer, 'O');
+    assert.ok(engine.canRedo());
+
+    engine.redo();
+    engine.redo();
+    assert.strictEqual(engine.board[0], 'O');
+    assert.strictEqual(engine.board[1], 'X');
+    assert.deepStrictEqual(engine.moveHistory.map(move => move.index), [2, 4, 3, 5, 7, 6, 8, 0, 1]);
+    assert.ok(!engine.canRedo());
+});
+
+test('undo takes back a win', () => {
+    const engine = playMoves([0, 3, 1, 4, 2]);
+    engine.undo();
+    assert.strictEqual(engine.winner, null);
+    assert.strictEqual(engine.status().state, 'playing');
+    assert.ok(engine.isLegalMove(2));
+});
+
+test('serialize and load round-trip a game, with the moves taken back left out', () => {
+    const engine = playMoves(FULL_BOARD.concat([0, 1]));
+    engine.undo();
+    const data = JSON.parse(JSON.stringify(engine.serialize()));
+
+    const copy = GameEngine.create();
+    let loads = 0;
+    copy.on('load', () => loads++);
+    copy.load(data);
+
+    assert.strictEqual(loads, 1);
+    assert.deepStrictEqual(copy.board, engine.board);
+    assert.deepStrictEqual(copy.moveHistory, engine.moveHistory);
+    assert.strictEqual(copy.currentPlayer, engine.currentPlayer);
+    assert.strictEqual(copy.maxMoves, 9);
+    assert.strictEqual(copy.getExpiringIndex(), engine.getExpiringIndex());
+    assert.deepStrictEqual(copy.serialize(), data);
+});
+
+test('serialize keeps the variants and a set starting position', () => {
+    const limited = playMoves([0, 1, 5], { maxMoves: Infinity, pieceLimit: 3, misere: true });
+    const copy = GameEngine.deserialize(limited.serialize());
+    assert.strictEqual(copy.rules.pieceLimit, 3);
+    assert.strictEqual(copy.rules.misere, true);
+    assert.strictEqual(copy.maxMoves, Infinity);
+
+    const start = GameEngine.fromPosition({
+        rules: new GameRules(GameRules.PRESETS[3]),
+        maxMoves: 9,
+        board: ['', 'X', '', 'X', 'O', 'X', '', 'O', ''],
+        moveHistory: [3, 4, 5, 7, 1].map(index => ({ index, player: index === 4 || index === 7 ? 'O' : 'X' })),
+        currentPlayer: 'O'
+    });
+    start.applyMove(6);
+    const loaded = GameEngine.deserialize(start.serialize());
+    assert.deepStrictEqual(loaded.board, start.board);
+    assert.strictEqual(loaded.moves.length, 1);
+});
+
+test('load rejects moves out of turn and unknown versions', () => {
+    const data = playMoves([0, 4]).serialize();
+    data.moves[1].player = 'X';
+    assert.throws(() => GameEngine.create().load(data), /out of turn/);
+    assert.throws(() => GameEngine.create().load({ version: 99 }), /version/);
+});
@@ -0,0 +1,58 @@
+/**
+ * Record tests - exporting a game as text and importing it back
+ * Run with: npm test
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameRules = require('../rules.js');
+const GameEngine = require('../engine.js');
+const GameRecord = require('../record.js');
+
+// Set up a 3×3 sliding-window game from a list of moves, X first
+function playMoves(moves) {
+    const engine = GameEngine.create(GameRules.PRESETS[3]);
+    moves.forEach(index => engine.applyMove(index));
+    return engine;
+}
+
+test('a record with ";" in a name imports back', () => {
+    // X wins on the diagonal 2-4-6
+    const engine = playMoves([4, 0, 8, 1, 2, 5, 6]);
+    const text = GameRecord.export(engine, { Mode: '2p', X: 'Ali; Sara', O: 'Sam ;)' });
+
+    const imported = GameRecord.import(text);
+    assert.strictEqual(imported.tags.X, 'Ali; Sara');
+    assert.strictEqual(imported.tags.O, 'Sam ;)');
+    assert.deepStrictEqual(imported.engine.serialize(), engine.serialize());
+});
+
+test('comments after tags and moves are ignored', () => {
+    const text = [
+        '[Size "3"] ; the board',
+        '[Rules "classic"]',
+        '1. b2 a1 ; opening',
+        '2. c3'
+    ].join('\n');
+    const { tags, engine } = GameRecord.import(text);
+    assert.strictEqual(tags.Size, '3');
+    assert.deepStrictEqual(engine.moves.map(move => move.index), [4, 0, 8]);
+});
+
+test('import rejects numbers with anything after the digits', () => {
+    const record = tags => Object.keys(tags).map(name => `[${name} "${tags[name]}"]`).join('\n');
+    const standard = { Size: '3', WinLength: '3', Rules: 'infinite', Window: '9' };
+
+    assert.doesNotThrow(() => GameRecord.import(record(standard)));
+    assert.throws(() => GameRecord.import(record(Object.assign({}, standard, { Window: '9abc' }))), /Invalid Window/);
+    assert.throws(() => GameRecord.import(record(Object.assign({}, standard, { PieceLimit: '3x' }))), /Invalid PieceLimit/);
+    assert.throws(() => GameRecord.import(record(Object.assign({}, standard, { Size: '3.5' }))), /Size and WinLength/);
+    assert.throws(() => GameRecord.import(record(Object.assign({}, standard, { WinLength: '3 ' }))), /Size and WinLength/);
+});
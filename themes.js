@@ -0,0 +1,254 @@
+/**
+ * Themes.js - Colour Themes, Piece Symbols and Background Effects
+ * A theme is a palette in its dark or light variant, the symbols shown for
+ * X and O, and the background effect (see background.js) with its density.
+ * DOM-free: game.js applies the theme to the page and saves the settings.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+class Theme {
+    /**
+     * @param {Object} settings - Theme settings; unknown or missing values fall back to Theme.DEFAULTS
+     * @param {string} settings.palette - A key of Theme.PALETTES
+     * @param {string} settings.variant - 'dark' or 'light'
+     * @param {string} settings.pieces - A key of Theme.PIECES
+     * @param {string} settings.background - 'stars', 'snow' or 'none'
+     * @param {number} settings.density - Background particles on screen (Theme.DENSITY.min to max)
+     */
+    constructor(settings = {}) {
+        const defaults = Theme.DEFAULTS;
+        const density = parseInt(settings.density);
+
+        this.palette = Theme.PALETTES[settings.palette] ? settings.palette : defaults.palette;
+        this.variant = settings.variant === 'light' || settings.variant === 'dark' ? settings.variant : defaults.variant;
+        this.pieces = Theme.PIECES[settings.pieces] ? settings.pieces : defaults.pieces;
+        this.background = Theme.BACKGROUNDS.includes(settings.background) ? settings.background : defaults.background;
+        this.density = density >= Theme.DENSITY.min ? Math.min(density, Theme.DENSITY.max) : defaults.density;
+    }
+
+    /**
+     * Get the symbol shown on the board for a player's pieces
+     * @param {string} player - 'X' or 'O'
+     * @returns {string}
+     */
+    getSymbol(player) {
+        return Theme.PIECES[this.pieces][player];
+    }
+
+    /**
+     * Check if the piece symbols are emoji, which keep their own colours
+     * @returns {boolean}
+     */
+    hasEmojiPieces() {
+        return Theme.PIECES[this.pieces].emoji === true;
+    }
+
+    /**
+     * Get the CSS custom properties of the palette in its variant (see :root in styles.css)
+     * @returns {Object} - Property name → value
+     */
+    getVariables() {
+        const palette = Theme.PALETTES[this.palette];
+        const variant = palette[this.variant];
+        const gradient = ([from, to]) => `linear-gradient(135deg, ${from} 0%, ${to} 100%)`;
+
+        return {
+            '--primary-gradient': gradient(palette.primary),
+            '--accent-gradient': gradient(palette.accent),
+            '--x-gradient': gradient(palette.x),
+            '--o-gradient': gradient(palette.o),
+            '--x-color': palette.xColor,
+            '--o-color': palette.oColor,
+            '--win-line-color': palette.win,
+            '--primary-rgb': Theme.toRGB(palette.primary[0]),
+            '--bg-dark': variant.bg[0],
+            '--bg-medium': variant.bg[1],
+            '--bg-light': variant.bg[2],
+            '--text-primary': variant.text[0],
+            '--text-secondary': variant.text[1],
+            '--overlay-rgb': variant.overlay,
+            '--page-background': `linear-gradient(135deg, ${variant.page.join(', ')})`,
+            '--container-background': `rgba(${variant.surface}, 0.8)`
+        };
+    }
+
+    /**
+     * Get the settings of the background animation (see StarryBackground.configure)
+     * @returns {Object} - {effect, density, trail, particles, spark}, colours as 'r, g, b'
+     */
+    getBackground() {
+        const palette = Theme.PALETTES[this.palette];
+        const variant = palette[this.variant];
+        return {
+            effect: this.background,
+            density: this.density,
+            trail: Theme.toRGB(variant.bg[0]),
+            particles: variant.particles,
+            spark: Theme.toRGB(palette.win)
+        };
+    }
+
+    /**
+     * Get the settings for saving
+     * @returns {Object} - Input for the constructor
+     */
+    toJSON() {
+        return {
+            palette: this.palette,
+            variant: this.variant,
+            pieces: this.pieces,
+            background: this.background,
+            density: this.density
+        };
+    }
+
+    /**
+     * Turn a colour like '#ffd700' into '255, 215, 0' for use in rgba()
+     * @param {string} hex - Colour as #rrggbb
+     * @returns {string}
+     */
+    static toRGB(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return `${value >> 16}, ${(value >> 8) & 255}, ${value & 255}`;
+    }
+}
+
+// Colour palettes: gradient end colours for the buttons and pieces, and for each variant
+// the page (gradient stops, backgrounds, text, the panel surface and the overlay colour of
+// cells and buttons as 'r, g, b', and the colour of the background particles)
+Theme.PALETTES = {
+    cosmic: {
+        primary: ['#667eea', '#764ba2'],
+        accent: ['#f093fb', '#f5576c'],
+        x: ['#fa709a', '#fee140'],
+        o: ['#30cfd0', '#330867'],
+        xColor: '#ff6b9d',
+        oColor: '#00d4ff',
+        win: '#ffd700',
+        dark: {
+            page: ['#0f0c29', '#302b63', '#24243e'],
+            bg: ['#0f0c29', '#1a1640', '#24204a'],
+            text: ['#ffffff', '#b8b5d1'],
+            surface: '26, 22, 64',
+            overlay: '255, 255, 255',
+            particles: '200, 200, 255'
+        },
+        light: {
+            page: ['#e0dcff', '#f5f3ff', '#dcd6f7'],
+            bg: ['#ece9fc', '#f4f2ff', '#ffffff'],
+            text: ['#1e1a3c', '#5b5680'],
+            surface: '255, 255, 255',
+            overlay: '30, 26, 60',
+            particles: '102, 126, 234'
+        }
+    },
+    ocean: {
+        primary: ['#2193b0', '#6dd5ed'],
+        accent: ['#00c6ff', '#0072ff'],
+        x: ['#f7797d', '#fbd786'],
+        o: ['#43e97b', '#38f9d7'],
+        xColor: '#f7797d',
+        oColor: '#38f9d7',
+        win: '#fbd786',
+        dark: {
+            page: ['#031b2e', '#0b3d5c', '#062436'],
+            bg: ['#031b2e', '#0a2a43', '#123a58'],
+            text: ['#ffffff', '#a9c9dc'],
+            surface: '10, 42, 67',
+            overlay: '255, 255, 255',
+            particles: '170, 220, 255'
+        },
+        light: {
+            page: ['#d4eef7', '#f2fbfe', '#cde8f2'],
+            bg: ['#e6f5fb', '#eef8fc', '#ffffff'],
+            text: ['#0a2a43', '#4a6b80'],
+            surface: '255, 255, 255',
+            overlay: '10, 42, 67',
+            particles: '33, 147, 176'
+        }
+    },
+    sunset: {
+        primary: ['#ff7e5f', '#feb47b'],
+        accent: ['#ee0979', '#ff6a00'],
+        x: ['#ff512f', '#f09819'],
+        o: ['#b06ab3', '#4568dc'],
+        xColor: '#ff7e5f',
+        oColor: '#b06ab3',
+        win: '#ffe259',
+        dark: {
+            page: ['#2b1020', '#5c2340', '#3a1526'],
+            bg: ['#2b1020', '#3d1a2e', '#4f243b'],
+            text: ['#ffffff', '#e0b9c6'],
+            surface: '61, 26, 46',
+            overlay: '255, 255, 255',
+            particles: '255, 200, 170'
+        },
+        light: {
+            page: ['#ffe0cc', '#fff6f0', '#ffd6c2'],
+            bg: ['#fff0e8', '#fff4ee', '#ffffff'],
+            text: ['#3d1a2e', '#7a4f5f'],
+            surface: '255, 255, 255',
+            overlay: '61, 26, 46',
+            particles: '255, 126, 95'
+        }
+    },
+    forest: {
+        primary: ['#11998e', '#38ef7d'],
+        accent: ['#a8e063', '#56ab2f'],
+        x: ['#f2994a', '#f2c94c'],
+        o: ['#56ccf2', '#2f80ed'],
+        xColor: '#f2994a',
+        oColor: '#56ccf2',
+        win: '#f2c94c',
+        dark: {
+            page: ['#0b1f17', '#1d4a33', '#10291d'],
+            bg: ['#0b1f17', '#12301f', '#1a4029'],
+            text: ['#ffffff', '#b5d6c0'],
+            surface: '18, 48, 31',
+            overlay: '255, 255, 255',
+            particles: '200, 255, 210'
+        },
+        light: {
+            page: ['#d6efdd', '#f4fbf6', '#cbe8d3'],
+            bg: ['#ecf7ef', '#f0f8f2', '#ffffff'],
+            text: ['#12301f', '#4d6e58'],
+            surface: '255, 255, 255',
+            overlay: '18, 48, 31',
+            particles: '17, 153, 142'
+        }
+    }
+};
+
+// Symbols shown for the pieces - emoji keep their own colours rather than the X and O gradients
+Theme.PIECES = {
+    letters: { X: 'X', O: 'O' },
+    symbols: { X: '✕', O: '◯' },
+    emoji: { X: '❌', O: '⭕', emoji: true },
+    animals: { X: '🐱', O: '🐶', emoji: true },
+    fruit: { X: '🍓', O: '🍊', emoji: true }
+};
+
+// Background effects (see background.js)
+Theme.BACKGROUNDS = ['stars', 'snow', 'none'];
+
+// Range of the background density, in particles on screen
+Theme.DENSITY = { min: 10, max: 200, step: 10 };
+
+// Theme used until the player picks one - the original look
+Theme.DEFAULTS = {
+    palette: 'cosmic',
+    variant: 'dark',
+    pieces: 'letters',
+    background: 'stars',
+    density: 50
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Theme;
+}
@@ -0,0 +1,170 @@
+/**
+ * Transposition.js - Transposition Table for the AI Search
+ * Remembers the results of positions already searched, using Zobrist hashing.
+ * Positions that are rotations or reflections of each other share one entry.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+// Entries kept before the table is emptied
+const TABLE_MAX_ENTRIES = 1 << 18;
+
+class TranspositionTable {
+    /**
+     * @param {GameRules} rules - Board the positions are on
+     * @param {Object} options - Table settings
+     * @param {number} options.maxMoves - Pieces kept before the oldest is removed; with a
+     *     finite window (or a per-player limit in the rules) the order of the pieces
+     *     is part of the position
+     * @param {boolean} options.symmetry - Share entries between symmetric positions (true by default)
+     * @param {number} options.maxEntries - Entries kept before the table is emptied
+     */
+    constructor(rules, options = {}) {
+        this.rules = rules;
+        this.ranked = Number.isFinite(options.maxMoves !== undefined ? options.maxMoves : rules.maxMoves) ||
+            Number.isFinite(rules.pieceLimit);
+        this.symmetries = options.symmetry === false ? rules.symmetries.slice(0, 1) : rules.symmetries;
+        this.maxEntries = options.maxEntries || TABLE_MAX_ENTRIES;
+
+        // Map from each symmetry's cell back to the original cell
+        this.inverses = this.symmetries.map(map => {
+            const inverse = [];
+            map.forEach((target, index) => {
+                inverse[target] = index;
+            });
+            return inverse;
+        });
+
+        // Random keys, made from a fixed seed so searches can be repeated exactly
+        this.random = TranspositionTable.createRandom(0x9e3779b9);
+        this.keys = []; // keys[rank][player][cell] = [high, low]
+        this.sideKey = [this.random(), this.random()];
+
+        this.entries = new Map();
+        this.hits = 0;
+    }
+
+    /**
+     * Small seeded random number generator (mulberry32)
+     * @param {number} seed - Starting value
+     * @returns {Function} - Returns a new 26-bit integer on each call
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) & 0x3ffffff;
+        };
+    }
+
+    /**
+     * Get the random keys for pieces at a given place in the removal order
+     * @param {number} rank - 0 for the oldest piece
+     * @returns {Array} - [xKeys, oKeys], one [high, low] pair per cell
+     */
+    getKeys(rank) {
+        while (this.keys.length <= rank) {
+            this.keys.push([0, 1].map(() =>
+                Array.from({ length: this.rules.cellCount }, () => [this.random(), this.random()])));
+        }
+        return this.keys[rank];
+    }
+
+    /**
+     * Hash a position in every symmetry and keep the smallest hash, so
+     * symmetric positions get the same key
+     * @param {GameEngine} engine - Position to hash
+     * @returns {Object} - {key, symmetry} where symmetry is the one giving the key
+     */
+    getKey(engine) {
+        const history = engine.moveHistory;
+        const side = engine.currentPlayer === 'X' ? 0 : 1;
+        let best = Infinity;
+        let bestSymmetry = 0;
+
+        for (let s = 0; s < this.symmetries.length; s++) {
+            const map = this.symmetries[s];
+            let high = side ? this.sideKey[0] : 0;
+            let low = side ? this.sideKey[1] : 0;
+
+            for (let i = 0; i < history.length; i++) {
+                const move = history[i];
+                const key = this.getKeys(this.ranked ? i : 0)[move.player === 'X' ? 0 : 1][map[move.index]];
+                high ^= key[0];
+                low ^= key[1];
+            }
+
+            // 52 bits in all - still an exact integer
+            const hash = high * 0x4000000 + low;
+            if (hash < best) {
+                best = hash;
+                bestSymmetry = s;
+            }
+        }
+
+        return { key: best, symmetry: bestSymmetry };
+    }
+
+    /**
+     * Move a cell into the stored (canonical) orientation
+     */
+    toCanonical(index, symmetry) {
+        return index < 0 ? index : this.symmetries[symmetry][index];
+    }
+
+    /**
+     * Move a stored cell back into the position's own orientation
+     */
+    fromCanonical(index, symmetry) {
+        return index < 0 ? index : this.inverses[symmetry][index];
+    }
+
+    /**
+     * Look up a position
+     * @param {number} key - Key from getKey()
+     * @returns {Object|undefined} - {score, flag, depth, move, horizon}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.hits++;
+        }
+        return entry;
+    }
+
+    /**
+     * Store a search result
+     * @param {number} key - Key from getKey()
+     * @param {Object} entry - {score, flag, depth, move, horizon}: flag is EXACT,
+     *     LOWER or UPPER, depth the plies searched below the position, move the
+     *     best move in the canonical orientation and horizon whether the depth limit was reached
+     */
+    set(key, entry) {
+        if (this.entries.size >= this.maxEntries && !this.entries.has(key)) {
+            this.entries.clear();
+        }
+        this.entries.set(key, entry);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.hits = 0;
+    }
+}
+
+// Kinds of stored score: the exact value, or a bound from an alpha-beta cutoff
+TranspositionTable.EXACT = 0;
+TranspositionTable.LOWER = 1; // The real score is at least this
+TranspositionTable.UPPER = 2; // The real score is at most this
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranspositionTable;
+}
@@ -0,0 +1,251 @@
+/**
+ * WebSocket.js - Minimal WebSocket Server Connection (Node only)
+ * Implements the handshake and framing of RFC 6455 with Node's built-in
+ * modules, so the online mode needs no packages. Text messages only.
+ *
+ * @author Abdessamad Guiadiri
+ * @copyright © 2025 Abdessamad Guiadiri. All rights reserved.
+ * @email abdessamadguia11@gmail.com
+ * @phone +212 778-9463
+ * @portfolio https://portfolio-v2-2-ten.vercel.app/
+ * @github https://github.com/abdessamad159
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Fixed key from the WebSocket specification, used in the handshake
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest message accepted; game messages are far smaller
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Time between pings; a connection that misses a pong is dropped
+const PING_INTERVAL_MS = 20000;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+class WebSocketConnection extends EventEmitter {
+    /**
+     * Use WebSocketConnection.accept() rather than calling this directly
+     * @param {net.Socket} socket - Upgraded HTTP socket
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        this.alive = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this.handleData(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => socket.destroy());
+
+        // Drop connections that stop answering, e.g. a phone that went to sleep
+        this.pingTimer = setInterval(() => {
+            if (!this.alive) {
+                socket.destroy();
+                return;
+            }
+            this.alive = false;
+            this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+        }, PING_INTERVAL_MS);
+    }
+
+    /**
+     * Complete the handshake for an HTTP upgrade request
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {net.Socket} socket - Request socket
+     * @returns {WebSocketConnection|null} - The connection, or null if the request was refused
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (String(request.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        return new WebSocketConnection(socket);
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text - Message
+     */
+    send(text) {
+        this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Close the connection
+     * @param {number} code - Close code (1000 is a normal close)
+     * @param {string} reason - Short reason
+     */
+    close(code = 1000, reason = '') {
+        if (this.closed) {
+            return;
+        }
+        const reasonBytes = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+
+        // Give the close frame a moment to go out before dropping the socket
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+        this.finish();
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) {
+            return;
+        }
+
+        // Server frames are never masked
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        // Read every complete frame in the buffer
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) {
+                break;
+            }
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Take one complete frame off the buffer
+     * @returns {Object|null} - {fin, opcode, payload}, or null if more data is needed
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) {
+            return null;
+        }
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) {
+                return null;
+            }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) {
+                return null;
+            }
+            const bigLength = buffer.readBigUInt64BE(2);
+            length = bigLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(bigLength);
+            offset = 10;
+        }
+
+        // Clients must mask their frames
+        if (!masked || length > MAX_MESSAGE_BYTES) {
+            this.close(masked ? 1009 : 1002, masked ? 'Message too big' : 'Frames must be masked');
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) {
+            return null;
+        }
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                this.fragments.push(frame.payload);
+                const size = this.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > MAX_MESSAGE_BYTES) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (frame.fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', text);
+                }
+                break;
+            }
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, frame.payload);
+                break;
+            case OPCODES.pong:
+                this.alive = true;
+                break;
+            case OPCODES.close:
+                this.close();
+                break;
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+
+    handleClose() {
+        this.socket.destroy();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        clearInterval(this.pingTimer);
+        this.emit('close');
+    }
+}
+
+module.exports = WebSocketConnection;